@@ -6,42 +6,326 @@
 import { EventEmitter } from 'events';
 import { randomUUID } from 'crypto';
 import { performance } from 'perf_hooks';
+import { SimulatedExecutor } from './agent-executors.js';
+import { createTopology } from './swarm-topology.js';
+import { MessageBus } from './message-bus.js';
+import { LockManager } from './coordination-locks.js';
+import { RuleBasedDecomposer, SpecDecomposer, parseTaskSpec } from './task-decomposer.js';
+import { CapabilityTaxonomy } from './capability-taxonomy.js';
+import { LRUPolicy, LowestPerformancePolicy, TypeDiversityPolicy } from './rebalance-policies.js';
+import { BudgetTracker } from './resource-budgets.js';
+import { ArtifactStore, outputArtifacts } from './artifact-store.js';
+import { CollectReducer, ConcatReducer, MergeReducer, FinalReducer } from './result-reducers.js';
+import { PerformanceModel, taskShape } from './performance-model.js';
+
+// Numeric weights for task priorities, used to order the dispatch queue
+const PRIORITY_LEVELS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4
+};
+
+// Used when neither the task nor the agent type defines a retry policy
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  backoff: {
+    initialDelay: 1000,
+    factor: 2,
+    maxDelay: 30000
+  },
+  retryOnDifferentAgent: false
+};
+
+// Capabilities of each built-in agent type, also used to pick a type to auto-spawn
+const DEFAULT_AGENT_CAPABILITIES = {
+  coordinator: ['planning', 'orchestration', 'monitoring'],
+  researcher: ['search', 'analysis', 'documentation'],
+  coder: ['implementation', 'debugging', 'refactoring'],
+  analyst: ['data-analysis', 'optimization', 'reporting'],
+  architect: ['design', 'patterns', 'structure'],
+  tester: ['testing', 'validation', 'quality'],
+  reviewer: ['review', 'feedback', 'approval'],
+  optimizer: ['performance', 'efficiency', 'scaling'],
+  documenter: ['documentation', 'examples', 'guides'],
+  monitor: ['monitoring', 'alerting', 'metrics'],
+  specialist: ['domain-specific', 'custom', 'flexible']
+};
+
+// When to add agents for uncovered capabilities and retire idle ones
+const DEFAULT_SCALING = {
+  // Capability coverage an idle agent needs before no agent is spawned
+  minCoverage: 0.5,
+  // Idle time after which agents beyond minAgents are retired (0 disables)
+  idleTimeout: 300000,
+  minAgents: 1,
+  checkInterval: 30000
+};
+
+// Settings a swarm may override on top of the coordinator-wide configuration
+const SWARM_SETTINGS = ['maxAgents', 'strategy', 'decomposer', 'autoSpawn', 'scaling', 'scoring', 'rebalance', 'retryPolicies', 'budget', 'reducer'];
+
+// Relative weight of each part of an agent's score for a subtask. Weights are
+// normalized, so scores always fall between 0 and 1.
+const DEFAULT_SCORING = {
+  weights: {
+    capability: 0.5,
+    type: 0.2,
+    successRate: 0.2,
+    speed: 0.1
+  },
+  // Average task time at which the speed component drops to 0.5
+  referenceTaskTime: 10000
+};
 
 export class AgentCoordinator extends EventEmitter {
   constructor(config = {}) {
     super();
     
     this.swarms = new Map();
+    this.activeSwarmId = null;
     this.agents = new Map();
     this.tasks = new Map();
     this.topology = config.topology || 'hierarchical';
     this.maxAgents = config.maxAgents || 8;
     this.strategies = config.strategies || ['parallel', 'sequential', 'adaptive', 'balanced'];
     this.messageQueue = [];
-    this.coordinationLocks = new Map();
+    this.queueConfig = {
+      maxDepth: config.queue?.maxDepth || 1000,
+      agingInterval: config.queue?.agingInterval || 30000
+    };
+    this.coordinationLocks = new LockManager(config.locks);
+    this.taskControls = new Map();
+    // Tasks whose budget clocks are counting, by id, and whether they run now
+    this.taskClocks = new Map();
+    this.retryPolicies = new Map(Object.entries(config.retryPolicies || {}));
+    this.memory = config.memory || null;
+    this.executors = new Map();
+    this.decomposers = new Map();
+    this.reducers = new Map();
+    this.defaultReducer = config.reducer || 'collect';
+    // Recorded on the tasks this coordinator runs, e.g. { pid, host }
+    this.owner = config.owner || null;
+    // Subtask outputs and task results; kept in process unless a store is given
+    this.artifacts = config.artifactStore || new ArtifactStore();
+    this.taxonomy = new CapabilityTaxonomy({ capabilities: config.capabilities });
+    // What past subtasks and tasks taught us about agent types and strategies
+    this.performanceModel = new PerformanceModel(config.learning);
+    this.scoring = {
+      weights: { ...DEFAULT_SCORING.weights, ...config.scoring?.weights },
+      referenceTaskTime: config.scoring?.referenceTaskTime || DEFAULT_SCORING.referenceTaskTime
+    };
+    this.scaling = {
+      ...DEFAULT_SCALING,
+      ...config.scaling,
+      autoSpawn: Boolean(config.autoSpawn)
+    };
+    this.defaultDecomposer = config.decomposer || 'rule-based';
+    this.rebalancePolicies = new Map();
+    // Subtasks needing any of these capabilities wait for a human even when not marked
+    this.approvalsRequiredFor = (config.approvals?.requiredFor || []).map(name => this.taxonomy.canonicalize(name));
+    this.approvalWaiters = new Map();
+    this.defaultRebalancePolicy = config.rebalance?.policy || 'type-diversity';
     this.metrics = {
       tasksCompleted: 0,
       tasksInProgress: 0,
       tasksFailed: 0,
+      tasksPartiallyFailed: 0,
+      subtaskRetries: 0,
       avgCompletionTime: 0,
-      tokenUsage: 0
+      tokenUsage: 0,
+      cost: 0
     };
+
+    // Agent-to-agent messaging routed along each swarm's topology
+    this.messageBus = new MessageBus({
+      route: (fromId, toId) => this.routeMessage(fromId, toId),
+      getPeers: (agentId) => this.getSwarmAgents(this.agents.get(agentId)?.swarmId).map(agent => agent.id),
+      requestTimeout: config.messaging?.requestTimeout
+    });
+    this.messageBus.on('message', (message) => this.emit('message:sent', message));
+
+    for (const event of ['lock:acquired', 'lock:released', 'lock:expired']) {
+      this.coordinationLocks.on(event, (data) => this.emit(event, data));
+    }
+
+    // Token, time and cost ceilings; config.budgets.swarm and .task are default limits
+    this.budgets = new BudgetTracker(config.budgets);
+    this.defaultBudgets = { swarm: config.budgets?.swarm || null, task: config.budgets?.task || null };
+    this.budgets.on('budget:warning', (data) => this.emit('budget:warning', data));
+    this.budgets.on('budget:exceeded', (data) => {
+      this.emit('budget:exceeded', data);
+      this.enforceBudget(data);
+    });
+
+    // Fallback executor used for agent types without a registered executor
+    this.registerExecutor('*', config.defaultExecutor || new SimulatedExecutor());
+
+    for (const [type, executor] of Object.entries(config.executors || {})) {
+      this.registerExecutor(type, executor);
+    }
+
+    // Retire agents that stayed idle too long; swarms may set their own idle timeout
+    this.scalingTimer = setInterval(() => this.retireIdleAgents(), this.scaling.checkInterval);
+    this.scalingTimer.unref?.();
+
+    this.registerDecomposer('rule-based', new RuleBasedDecomposer());
+    this.registerDecomposer('spec', new SpecDecomposer());
+
+    for (const [name, decomposer] of Object.entries(config.decomposers || {})) {
+      this.registerDecomposer(name, decomposer);
+    }
+
+    this.registerReducer('collect', new CollectReducer());
+    this.registerReducer('concat', new ConcatReducer());
+    this.registerReducer('merge', new MergeReducer());
+    this.registerReducer('final', new FinalReducer());
+
+    for (const [name, reducer] of Object.entries(config.reducers || {})) {
+      this.registerReducer(name, reducer);
+    }
+
+    const policyOptions = { gracePeriod: config.rebalance?.gracePeriod };
+    this.registerRebalancePolicy('lru', new LRUPolicy());
+    this.registerRebalancePolicy('lowest-performance', new LowestPerformancePolicy(policyOptions));
+    this.registerRebalancePolicy('type-diversity', new TypeDiversityPolicy(policyOptions));
+
+    for (const [name, policy] of Object.entries(config.rebalancePolicies || {})) {
+      this.registerRebalancePolicy(name, policy);
+    }
+  }
+
+  /**
+   * Register an executor for an agent type ('*' for the fallback)
+   */
+  registerExecutor(agentType, executor) {
+    if (!executor || typeof executor.execute !== 'function') {
+      throw new Error(`Executor for '${agentType}' must implement execute(context)`);
+    }
+
+    this.executors.set(agentType, executor);
+    this.emit('executor:registered', { agentType, executor: executor.name });
+  }
+
+  getExecutor(agentType) {
+    return this.executors.get(agentType) || this.executors.get('*');
+  }
+
+  /**
+   * Register a task decomposer under a name tasks can select
+   */
+  registerDecomposer(name, decomposer) {
+    if (!decomposer || typeof decomposer.decompose !== 'function') {
+      throw new Error(`Decomposer '${name}' must implement decompose(task)`);
+    }
+
+    this.decomposers.set(name, decomposer);
+    this.emit('decomposer:registered', { name, decomposer: decomposer.name });
+  }
+
+  getDecomposer(name) {
+    const decomposer = this.decomposers.get(name);
+    if (!decomposer) {
+      throw new Error(`Unknown decomposer: ${name}`);
+    }
+    return decomposer;
+  }
+
+  /**
+   * Register a reducer that combines subtask outputs into a task result
+   */
+  registerReducer(name, reducer) {
+    if (!reducer || typeof reducer.reduce !== 'function') {
+      throw new Error(`Reducer '${name}' must implement reduce(outputs, context)`);
+    }
+
+    this.reducers.set(name, reducer);
+  }
+
+  getReducer(name) {
+    const reducer = this.reducers.get(name);
+    if (!reducer) {
+      throw new Error(`Unknown reducer: ${name}`);
+    }
+    return reducer;
+  }
+
+  /**
+   * Register a policy that decides which agents leave an over-capacity swarm
+   */
+  registerRebalancePolicy(name, policy) {
+    if (!policy || typeof policy.rank !== 'function') {
+      throw new Error(`Rebalance policy '${name}' must implement rank(agents, context)`);
+    }
+
+    this.rebalancePolicies.set(name, policy);
+  }
+
+  getRebalancePolicy(name) {
+    const policy = this.rebalancePolicies.get(name);
+    if (!policy) {
+      throw new Error(`Unknown rebalance policy: ${name}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Set the retry policy for an agent type ('*' for the swarm-wide default)
+   */
+  setRetryPolicy(agentType, policy) {
+    this.retryPolicies.set(agentType, policy);
+  }
+
+  /**
+   * Merge the default, agent type, task and subtask retry policies
+   */
+  resolveRetryPolicy(task, subtask, agentType) {
+    const swarmPolicies = this.getSwarmConfig(task.swarmId).retryPolicies;
+    const layers = [
+      this.retryPolicies.get('*'),
+      swarmPolicies['*'],
+      this.retryPolicies.get(agentType),
+      swarmPolicies[agentType],
+      task.retryPolicy,
+      subtask.retryPolicy
+    ].filter(Boolean);
+
+    return layers.reduce((policy, layer) => ({
+      ...policy,
+      ...layer,
+      backoff: { ...policy.backoff, ...layer.backoff }
+    }), DEFAULT_RETRY_POLICY);
+  }
+
+  getBackoffDelay(policy, attempt) {
+    const { initialDelay, factor, maxDelay } = policy.backoff;
+    return Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
   }
 
   /**
-   * Initialize a new swarm with specified topology
+   * Initialize a new swarm with specified topology.
+   * The first swarm becomes the active swarm.
    */
   async initSwarm(options = {}) {
     const swarmId = options.swarmId || randomUUID();
+    const name = options.name || `swarm-${swarmId.slice(0, 8)}`;
     const topology = options.topology || this.topology;
-    const maxAgents = options.maxAgents || this.maxAgents;
-    const strategy = options.strategy || 'auto';
+    const config = this.validateSwarmConfig(options.config || {});
+    const maxAgents = options.maxAgents || config.maxAgents || this.maxAgents;
+    const strategy = options.strategy || config.strategy || 'auto';
+
+    if (this.findSwarmByName(name)) {
+      throw new Error(`Swarm name ${name} is already in use`);
+    }
 
     const swarm = {
       id: swarmId,
+      name,
       topology,
+      topologyOptions: options.topologyOptions || {},
       maxAgents,
       strategy,
+      config,
       agents: new Set(),
       tasks: new Set(),
       status: 'active',
@@ -54,13 +338,124 @@ export class AgentCoordinator extends EventEmitter {
     };
 
     this.swarms.set(swarmId, swarm);
+
+    if (config.budget || this.defaultBudgets.swarm) {
+      this.setBudget('swarm', swarmId, config.budget || this.defaultBudgets.swarm);
+    }
     
     // Setup topology-specific coordination
     await this.setupTopology(swarmId, topology);
+
+    if (!this.activeSwarmId) {
+      this.activeSwarmId = swarmId;
+    }
     
-    this.emit('swarm:initialized', { swarmId, topology });
+    this.emit('swarm:initialized', { swarmId, name, topology });
     
-    return { swarmId, topology, maxAgents };
+    return { swarmId, name, topology, maxAgents };
+  }
+
+  /**
+   * Make a swarm, given by id or name, the default for new agents and tasks
+   */
+  useSwarm(reference) {
+    const swarm = this.resolveSwarm(reference);
+    if (swarm.status !== 'active') {
+      throw new Error(`Swarm ${swarm.name} is not active`);
+    }
+
+    this.activeSwarmId = swarm.id;
+    this.emit('swarm:activated', { swarmId: swarm.id, name: swarm.name });
+
+    return { swarmId: swarm.id, name: swarm.name };
+  }
+
+  /**
+   * Change a swarm's configuration overrides; null removes an override
+   */
+  configureSwarm(reference, overrides) {
+    const swarm = this.resolveSwarm(reference);
+    const config = { ...swarm.config };
+
+    for (const [key, value] of Object.entries(this.validateSwarmConfig(overrides))) {
+      if (value === null) {
+        delete config[key];
+      } else if (typeof value === 'object' && !Array.isArray(value)) {
+        config[key] = { ...config[key], ...value };
+      } else {
+        config[key] = value;
+      }
+    }
+
+    swarm.config = config;
+    swarm.maxAgents = config.maxAgents || swarm.maxAgents;
+    swarm.strategy = config.strategy || swarm.strategy;
+
+    if (overrides.budget) {
+      this.setBudget('swarm', swarm.id, overrides.budget);
+    }
+
+    this.emit('swarm:configured', { swarmId: swarm.id, config });
+
+    return { swarmId: swarm.id, name: swarm.name, config, effective: this.getSwarmConfig(swarm.id) };
+  }
+
+  validateSwarmConfig(config) {
+    for (const key of Object.keys(config)) {
+      if (!SWARM_SETTINGS.includes(key)) {
+        throw new Error(`Unknown swarm setting: ${key} (expected one of ${SWARM_SETTINGS.join(', ')})`);
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Coordinator configuration with a swarm's overrides applied
+   */
+  getSwarmConfig(swarmId) {
+    const overrides = this.swarms.get(swarmId)?.config || {};
+
+    return {
+      decomposer: overrides.decomposer || this.defaultDecomposer,
+      reducer: overrides.reducer || this.defaultReducer,
+      scaling: {
+        ...this.scaling,
+        ...overrides.scaling,
+        autoSpawn: overrides.autoSpawn ?? this.scaling.autoSpawn
+      },
+      scoring: {
+        weights: { ...this.scoring.weights, ...overrides.scoring?.weights },
+        referenceTaskTime: overrides.scoring?.referenceTaskTime || this.scoring.referenceTaskTime
+      },
+      rebalancePolicy: overrides.rebalance?.policy || this.defaultRebalancePolicy,
+      retryPolicies: overrides.retryPolicies || {}
+    };
+  }
+
+  resolveSwarm(reference) {
+    const swarm = this.swarms.get(reference) || this.findSwarmByName(reference);
+    if (!swarm) {
+      throw new Error(`Swarm ${reference} not found`);
+    }
+    return swarm;
+  }
+
+  findSwarmByName(name) {
+    return Array.from(this.swarms.values()).find(swarm => swarm.name === name) || null;
+  }
+
+  listSwarms() {
+    return Array.from(this.swarms.values()).map(swarm => ({
+      id: swarm.id,
+      name: swarm.name,
+      topology: swarm.topology,
+      status: swarm.status,
+      active: swarm.id === this.getActiveSwarmId(),
+      agents: swarm.agents.size,
+      maxAgents: swarm.maxAgents,
+      tasks: swarm.tasks.size,
+      config: swarm.config
+    }));
   }
 
   /**
@@ -88,6 +483,7 @@ export class AgentCoordinator extends EventEmitter {
       performance: {
         avgTaskTime: 0,
         successRate: 1.0,
+        samples: 0,
         specialization: this.calculateSpecialization(type)
       }
     };
@@ -98,6 +494,7 @@ export class AgentCoordinator extends EventEmitter {
     if (swarmId && this.swarms.has(swarmId)) {
       const swarm = this.swarms.get(swarmId);
       swarm.agents.add(agentId);
+      swarm.structure.join(agent);
       
       // Rebalance if needed
       if (swarm.agents.size > swarm.maxAgents) {
@@ -107,6 +504,9 @@ export class AgentCoordinator extends EventEmitter {
     
     this.emit('agent:spawned', { agentId, type, name, swarmId });
     
+    // New capacity may unblock queued subtasks
+    this.dispatchQueue();
+    
     return { agentId, type, name, capabilities };
   }
 
@@ -115,11 +515,15 @@ export class AgentCoordinator extends EventEmitter {
    */
   async orchestrateTask(options = {}) {
     const taskId = options.taskId || randomUUID();
-    const task = options.task || '';
-    const strategy = options.strategy || 'adaptive';
-    const priority = options.priority || 'medium';
+    const spec = options.spec ? parseTaskSpec(options.spec) : null;
+    const task = options.task || spec?.description || '';
+    const strategy = options.strategy || spec?.strategy || 'adaptive';
+    const priority = options.priority || spec?.priority || 'medium';
     const dependencies = options.dependencies || [];
     const swarmId = options.swarmId || this.getActiveSwarmId();
+    const retryPolicy = options.retryPolicy || null;
+    const reducer = options.reducer || spec?.reducer || this.getSwarmConfig(swarmId).reducer;
+    this.getReducer(reducer);
 
     const taskObj = {
       id: taskId,
@@ -128,6 +532,12 @@ export class AgentCoordinator extends EventEmitter {
       priority,
       dependencies,
       swarmId,
+      retryPolicy,
+      handoff: options.handoff || null,
+      owner: this.owner,
+      decomposer: options.decomposer || (spec ? 'spec' : this.getSwarmConfig(swarmId).decomposer),
+      reducer,
+      spec,
       status: 'pending',
       created: Date.now(),
       started: null,
@@ -135,41 +545,161 @@ export class AgentCoordinator extends EventEmitter {
       subtasks: [],
       assignedAgents: new Set(),
       results: null,
+      result: null,
       error: null
     };
 
-    this.tasks.set(taskId, taskObj);
+    // Cross-task dependencies must refer to tasks we already know about
+    for (const dependency of dependencies) {
+      if (dependency === taskId || !this.tasks.has(dependency)) {
+        throw new Error(`Task ${taskId} depends on unknown task ${dependency}`);
+      }
+    }
+
+    const exhausted = this.budgets.getExceeded('swarm', swarmId);
+    if (exhausted.length > 0) {
+      throw new Error(`Swarm ${this.swarms.get(swarmId).name} has used up its ${exhausted.join(', ')} budget`);
+    }
+
+    // Decompose before registering, so a rejected graph leaves no task behind
+    const subtasks = await this.decomposeTask(taskObj);
+    this.validateDependencies(subtasks);
+    taskObj.subtasks = subtasks;
     
+    this.tasks.set(taskId, taskObj);
+    this.getTaskControl(taskId);
+
+    if (options.budget || this.defaultBudgets.task) {
+      try {
+        this.setBudget('task', taskId, options.budget || this.defaultBudgets.task);
+      } catch (error) {
+        this.tasks.delete(taskId);
+        this.taskControls.delete(taskId);
+        this.budgets.remove('task', taskId);
+        throw error;
+      }
+    }
+
     // Add to swarm
     if (swarmId && this.swarms.has(swarmId)) {
       this.swarms.get(swarmId).tasks.add(taskId);
     }
     
-    // Decompose task
-    const subtasks = await this.decomposeTask(taskObj);
-    taskObj.subtasks = subtasks;
-    
-    // Execute based on strategy
-    switch (strategy) {
-      case 'parallel':
-        await this.executeParallel(taskObj);
-        break;
-      case 'sequential':
-        await this.executeSequential(taskObj);
-        break;
-      case 'adaptive':
-        await this.executeAdaptive(taskObj);
-        break;
-      case 'balanced':
-        await this.executeBalanced(taskObj);
-        break;
-      default:
-        await this.executeAuto(taskObj);
-    }
+    // Run in the background; callers block on handle.done if they need to
+    const done = this.runTask(taskObj);
     
     this.emit('task:orchestrated', { taskId, strategy });
     
-    return { taskId, status: 'orchestrating' };
+    return this.createTaskHandle(taskObj, done);
+  }
+
+  /**
+   * Start a task in another swarm that depends on a task of this one, so the
+   * source task's results reach the new task's executors as upstream input
+   */
+  async handoffTask(fromTaskId, options = {}) {
+    const source = this.tasks.get(fromTaskId);
+    if (!source) {
+      throw new Error(`Task ${fromTaskId} not found`);
+    }
+
+    const target = this.resolveSwarm(options.swarmId);
+    const handoff = { fromTask: source.id, fromSwarm: source.swarmId, toSwarm: target.id };
+
+    const handle = await this.orchestrateTask({
+      ...options,
+      task: options.task || (options.spec ? undefined : `Continue: ${source.description}`),
+      swarmId: target.id,
+      dependencies: [...new Set([...(options.dependencies || []), source.id])],
+      handoff
+    });
+
+    this.emit('task:handoff', { taskId: handle.taskId, ...handoff });
+    return handle;
+  }
+
+  /**
+   * Wait for upstream tasks, execute the task and resolve with its summary.
+   * Never rejects: failures are reported through the task status.
+   */
+  async runTask(task) {
+    try {
+      // Wait for upstream tasks before any subtask starts
+      await this.waitForTaskDependencies(task);
+      
+      // Time budgets count from here, while the task runs
+      this.taskClocks.set(task.id, false);
+      this.updateTaskClock(task);
+      
+      // Execute based on strategy
+      switch (task.strategy) {
+        case 'parallel':
+          await this.executeParallel(task);
+          break;
+        case 'sequential':
+          await this.executeSequential(task);
+          break;
+        case 'adaptive':
+          await this.executeAdaptive(task);
+          break;
+        case 'balanced':
+          await this.executeBalanced(task);
+          break;
+        default:
+          await this.executeAuto(task);
+      }
+    } catch (error) {
+      this.taskControls.delete(task.id);
+      
+      if (task.status !== 'cancelled') {
+        task.status = 'failed';
+        this.metrics.tasksFailed++;
+      }
+      task.error = task.error || error.message;
+      task.completed = Date.now();
+      
+      this.emit(task.status === 'cancelled' ? 'task:cancelled' : 'task:failed', {
+        taskId: task.id,
+        error: task.error
+      });
+    } finally {
+      if (this.taskClocks.get(task.id)) {
+        this.budgets.stop('task', task.id);
+        this.budgets.stop('swarm', task.swarmId);
+      }
+      this.taskClocks.delete(task.id);
+    }
+    
+    return this.getTaskSummary(task);
+  }
+
+  /**
+   * Create the handle returned by orchestrateTask
+   */
+  createTaskHandle(task, done) {
+    const handle = { taskId: task.id };
+    
+    Object.defineProperties(handle, {
+      status: { get: () => task.status, enumerable: true },
+      done: { value: done },
+      cancel: { value: (reason) => this.cancelTask(task.id, reason) },
+      pause: { value: () => this.pauseTask(task.id) },
+      resume: { value: () => this.resumeTask(task.id) }
+    });
+    
+    return handle;
+  }
+
+  getTaskSummary(task) {
+    return {
+      taskId: task.id,
+      status: task.status,
+      results: task.results,
+      result: task.result,
+      error: task.error,
+      started: task.started,
+      completed: task.completed
+    };
   }
 
   /**
@@ -178,64 +708,116 @@ export class AgentCoordinator extends EventEmitter {
   async setupTopology(swarmId, topology) {
     const swarm = this.swarms.get(swarmId);
     
-    switch (topology) {
-      case 'hierarchical':
-        swarm.structure = {
-          type: 'hierarchical',
-          levels: 3,
-          root: null,
-          branches: new Map()
-        };
-        break;
-        
-      case 'mesh':
-        swarm.structure = {
-          type: 'mesh',
-          connections: new Map(),
-          minConnections: 3
-        };
-        break;
-        
-      case 'ring':
-        swarm.structure = {
-          type: 'ring',
-          order: [],
-          bidirectional: true
-        };
-        break;
-        
-      case 'star':
-        swarm.structure = {
-          type: 'star',
-          center: null,
-          spokes: new Set()
-        };
-        break;
+    swarm.structure = createTopology(topology, { ...swarm.topologyOptions, taxonomy: this.taxonomy });
+    
+    // Agents may already belong to the swarm when the topology is rebuilt
+    for (const agentId of swarm.agents) {
+      swarm.structure.join(this.agents.get(agentId));
+    }
+  }
+
+  /**
+   * Remove an agent from its swarm and the swarm's topology
+   */
+  removeAgent(agentId, reason) {
+    const agent = this.agents.get(agentId);
+    if (!agent) return;
+    
+    const swarm = this.swarms.get(agent.swarmId);
+    if (swarm) {
+      swarm.agents.delete(agentId);
+      swarm.structure?.leave(agentId);
+    }
+    
+    this.agents.delete(agentId);
+    this.messageBus.removeAgent(agentId);
+    this.coordinationLocks.releaseAll(agentId);
+    this.emit('agent:removed', { agentId, reason });
+  }
+
+  /**
+   * Deliver a subtask result to the agents the swarm topology routes it to
+   */
+  shareResult(agent, subtask, result) {
+    const swarm = this.swarms.get(agent.swarmId);
+    if (!swarm?.structure) return [];
+    
+    const recipients = swarm.structure.getResultRecipients(agent.id)
+      .filter(id => this.agents.has(id));
+    
+    for (const recipientId of recipients) {
+      this.agents.get(recipientId).memory.set(`result:${subtask.id}`, {
+        from: agent.id,
+        subtaskId: subtask.id,
+        result: result.result,
+        received: Date.now()
+      });
+    }
+    
+    if (recipients.length > 0) {
+      this.emit('subtask:result-shared', {
+        subtaskId: subtask.id,
+        from: agent.id,
+        to: recipients,
+        topology: swarm.topology
+      });
     }
+    
+    return recipients;
   }
 
   /**
    * Decompose task into subtasks
    */
   async decomposeTask(task) {
-    const subtasks = [];
     const complexity = this.analyzeComplexity(task.description);
     
-    // Basic decomposition based on task keywords
-    const components = this.extractComponents(task.description);
+    // Components refer to each other by key; subtasks by id
+    const components = await this.getDecomposer(task.decomposer).decompose(task);
+    const ids = new Map(components.map(component => [component.key, randomUUID()]));
     
-    for (const component of components) {
-      subtasks.push({
-        id: randomUUID(),
+    return components.map(component => {
+      const dependencies = (component.dependencies || []).map(key => {
+        if (!ids.has(key)) {
+          throw new Error(`Subtask ${component.key} depends on unknown subtask ${key}`);
+        }
+        return ids.get(key);
+      });
+      
+      return {
+        id: ids.get(component.key),
         parentId: task.id,
+        key: component.key,
         description: component.description,
         type: component.type,
         priority: component.priority || task.priority,
-        dependencies: component.dependencies || [],
+        dependencies,
         estimatedTime: component.estimatedTime || complexity * 1000,
-        requiredCapabilities: component.capabilities || []
-      });
-    }
+        requiredCapabilities: component.capabilities || [],
+        ...(component.command && { command: component.command }),
+        ...(component.resources && { resources: component.resources }),
+        ...(component.retryPolicy && { retryPolicy: component.retryPolicy }),
+        ...(component.requiresApproval && { requiresApproval: true }),
+        status: 'pending'
+      };
+    });
+  }
+
+  /**
+   * Decompose a task without orchestrating it
+   */
+  async previewDecomposition(options = {}) {
+    const spec = options.spec ? parseTaskSpec(options.spec) : null;
+    const task = {
+      id: options.taskId || 'preview',
+      description: options.task || spec?.description || '',
+      priority: options.priority || spec?.priority || 'medium',
+      decomposer: options.decomposer || (spec ? 'spec' : this.defaultDecomposer),
+      spec
+    };
+    
+    const subtasks = await this.decomposeTask(task);
+    this.validateDependencies(subtasks);
     
     return subtasks;
   }
@@ -244,161 +826,1050 @@ export class AgentCoordinator extends EventEmitter {
    * Execute tasks in parallel
    */
   async executeParallel(task) {
-    task.status = 'in_progress';
-    task.started = Date.now();
-    
-    const availableAgents = await this.getAvailableAgents(task.swarmId);
-    const assignments = new Map();
-    
-    // Assign subtasks to agents
-    for (const subtask of task.subtasks) {
-      const agent = this.findBestAgent(availableAgents, subtask);
-      if (agent) {
-        assignments.set(subtask.id, agent.id);
-        agent.status = 'busy';
-        agent.currentTask = subtask.id;
-        task.assignedAgents.add(agent.id);
-      }
-    }
-    
-    // Execute all subtasks in parallel
-    const promises = [];
-    for (const [subtaskId, agentId] of assignments) {
-      const subtask = task.subtasks.find(st => st.id === subtaskId);
-      const agent = this.agents.get(agentId);
-      promises.push(this.executeSubtask(agent, subtask));
-    }
-    
-    // Wait for all to complete
-    const results = await Promise.allSettled(promises);
-    
-    // Collect results
-    task.results = results.map((result, index) => ({
-      subtaskId: task.subtasks[index].id,
-      status: result.status,
-      value: result.value || result.reason
-    }));
-    
-    task.status = 'completed';
-    task.completed = Date.now();
-    
-    this.metrics.tasksCompleted++;
-    this.updateMetrics(task);
+    task.execution = 'parallel';
+    await this.executeGraph(task);
   }
 
   /**
    * Execute tasks sequentially
    */
   async executeSequential(task) {
-    task.status = 'in_progress';
-    task.started = Date.now();
-    
-    const results = [];
-    
-    for (const subtask of task.subtasks) {
-      const availableAgents = await this.getAvailableAgents(task.swarmId);
-      const agent = this.findBestAgent(availableAgents, subtask);
-      
-      if (agent) {
-        agent.status = 'busy';
-        agent.currentTask = subtask.id;
-        task.assignedAgents.add(agent.id);
-        
-        try {
-          const result = await this.executeSubtask(agent, subtask);
-          results.push({
-            subtaskId: subtask.id,
-            status: 'fulfilled',
-            value: result
-          });
-        } catch (error) {
-          results.push({
-            subtaskId: subtask.id,
-            status: 'rejected',
-            value: error.message
-          });
-        }
-        
-        agent.status = 'idle';
-        agent.currentTask = null;
-      }
-    }
-    
-    task.results = results;
-    task.status = 'completed';
-    task.completed = Date.now();
-    
-    this.metrics.tasksCompleted++;
-    this.updateMetrics(task);
+    task.execution = 'sequential';
+    await this.executeGraph(task, { concurrency: 1 });
   }
 
   /**
-   * Execute tasks adaptively
+   * Execute tasks adaptively: the task's shape suggests a strategy, and the
+   * performance model overrides it once past tasks of that shape show a
+   * better one
    */
   async executeAdaptive(task) {
     // Analyze task characteristics
     const analysis = await this.analyzeTask(task);
     
-    // Choose strategy based on analysis
+    let heuristic = 'balanced';
     if (analysis.parallelizable > 0.7) {
-      await this.executeParallel(task);
+      heuristic = 'parallel';
     } else if (analysis.dependencies > 0.5) {
-      await this.executeSequential(task);
-    } else {
-      await this.executeBalanced(task);
+      heuristic = 'sequential';
     }
-  }
+    
+    const choice = this.performanceModel.chooseStrategy(analysis.shape, heuristic);
+    this.emit('task:strategy-chosen', { taskId: task.id, shape: analysis.shape, heuristic, ...choice });
+    
+    switch (choice.strategy) {
+      case 'parallel':
+        await this.executeParallel(task);
+        break;
+      case 'sequential':
+        await this.executeSequential(task);
+        break;
+      default:
+        await this.executeBalanced(task);
+    }
+  }
 
   /**
    * Execute tasks with balanced approach
    */
   async executeBalanced(task) {
-    task.status = 'in_progress';
-    task.started = Date.now();
-    
-    // Group subtasks by dependencies
-    const groups = this.groupByDependencies(task.subtasks);
-    const results = [];
-    
-    // Execute each group
-    for (const group of groups) {
-      const groupPromises = [];
-      
-      for (const subtask of group) {
-        const availableAgents = await this.getAvailableAgents(task.swarmId);
-        const agent = this.findBestAgent(availableAgents, subtask);
-        
-        if (agent) {
-          agent.status = 'busy';
-          agent.currentTask = subtask.id;
-          task.assignedAgents.add(agent.id);
-          
-          groupPromises.push(
-            this.executeSubtask(agent, subtask)
-              .then(result => {
-                agent.status = 'idle';
-                agent.currentTask = null;
-                return { subtaskId: subtask.id, status: 'fulfilled', value: result };
-              })
-              .catch(error => {
-                agent.status = 'idle';
-                agent.currentTask = null;
-                return { subtaskId: subtask.id, status: 'rejected', value: error.message };
-              })
-          );
+    task.execution = 'balanced';
+    await this.executeGraph(task, {
+      concurrency: Math.max(1, (await this.getAvailableAgents(task.swarmId)).length)
+    });
+  }
+
+  /**
+   * Execute the subtask dependency graph of a task.
+   * Each subtask starts as soon as all of its dependencies have completed,
+   * limited only by the concurrency cap and agent availability.
+   */
+  async executeGraph(task, options = {}) {
+    const concurrency = options.concurrency || Infinity;
+    const order = this.topologicalOrder(task.subtasks);
+    const results = new Map();
+    const running = new Map();
+    const pending = new Set(order.map(st => st.id));
+
+    // Subtasks finished before an interruption keep their results
+    for (const subtask of task.subtasks) {
+      if (subtask.status === 'completed') {
+        pending.delete(subtask.id);
+        results.set(subtask.id, { subtaskId: subtask.id, status: 'fulfilled', value: subtask.result });
+      }
+    }
+
+    const control = this.getTaskControl(task.id);
+
+    if (control.paused) {
+      control.previousStatus = 'in_progress';
+    } else {
+      task.status = 'in_progress';
+    }
+    task.started = task.started || Date.now();
+    this.metrics.tasksInProgress++;
+
+    try {
+      const upstream = this.collectUpstreamResults(task);
+
+      while (pending.size > 0 || running.size > 0) {
+        if (control.controller.signal.aborted) {
+          for (const id of pending) {
+            const subtask = task.subtasks.find(st => st.id === id);
+            subtask.status = 'cancelled';
+            results.set(id, { subtaskId: id, status: 'cancelled', value: 'Task cancelled' });
+          }
+          pending.clear();
+
+          await Promise.allSettled(running.values());
+          break;
+        }
+
+        // While paused, let running subtasks finish but start nothing new
+        if (control.paused) {
+          await (running.size > 0 ? Promise.race(running.values()) : this.waitForResume(task.id));
+          continue;
+        }
+
+        for (const subtask of order) {
+          if (!pending.has(subtask.id)) continue;
+
+          const blocker = subtask.dependencies.find(dep => {
+            const result = results.get(dep);
+            return result && result.status !== 'fulfilled';
+          });
+
+          if (blocker) {
+            pending.delete(subtask.id);
+            subtask.status = 'skipped';
+            results.set(subtask.id, {
+              subtaskId: subtask.id,
+              status: 'skipped',
+              value: `Dependency ${blocker} did not complete`
+            });
+            continue;
+          }
+
+          const ready = subtask.dependencies.every(dep => results.get(dep)?.status === 'fulfilled');
+          if (!ready || running.size >= concurrency) continue;
+
+          pending.delete(subtask.id);
+
+          const inputs = {};
+          for (const dep of subtask.dependencies) {
+            inputs[dep] = results.get(dep).value.result;
+          }
+
+          // Subtasks that were waiting for approval before an interruption only need the decision
+          const execution = subtask.status === 'awaiting_approval'
+            ? this.awaitApproval(task, subtask, { subtaskId: subtask.id, status: 'fulfilled', value: subtask.result }, control.controller.signal)
+            : this.runSubtaskWithRetry(task, subtask, { inputs, upstream, signal: control.controller.signal });
+
+          const run = execution.then(result => {
+            running.delete(subtask.id);
+            results.set(subtask.id, result);
+          });
+
+          running.set(subtask.id, run);
+        }
+
+        if (running.size > 0) {
+          await Promise.race(running.values());
         }
       }
-      
-      const groupResults = await Promise.allSettled(groupPromises);
-      results.push(...groupResults.map(r => r.value));
+    } finally {
+      this.metrics.tasksInProgress--;
+    }
+
+    if (!control.controller.signal.aborted) {
+      await this.reduceResults(task, results);
+    }
+    this.finalizeTask(task, task.subtasks.map(st => results.get(st.id)));
+  }
+
+  /**
+   * Run one subtask on an assigned agent and release the agent afterwards
+   */
+  async runSubtask(task, agent, subtask, context = {}) {
+    agent.status = 'busy';
+    agent.currentTask = subtask.id;
+    task.assignedAgents.add(agent.id);
+
+    subtask.status = 'in_progress';
+    subtask.started = Date.now();
+    this.updateTaskClock(task);
+
+    const event = { taskId: task.id, subtaskId: subtask.id, agentId: agent.id };
+    this.emit('subtask:started', event);
+
+    let stopRenewing = null;
+
+    try {
+      stopRenewing = await this.acquireResources(agent, subtask, context.signal);
+
+      const result = await this.executeSubtask(agent, subtask, context);
+
+      subtask.status = 'completed';
+      subtask.completed = Date.now();
+      subtask.result = result;
+      this.shareResult(agent, subtask, result);
+      this.emit('subtask:completed', { ...event, duration: result.duration });
+
+      return { subtaskId: subtask.id, status: 'fulfilled', value: result };
+
+    } catch (error) {
+      const cancelled = Boolean(context.signal?.aborted);
+
+      subtask.status = cancelled ? 'cancelled' : 'failed';
+      subtask.error = error.message;
+      this.emit('subtask:failed', { ...event, error: error.message, cancelled });
+
+      return { subtaskId: subtask.id, status: cancelled ? 'cancelled' : 'rejected', value: error.message };
+
+    } finally {
+      stopRenewing?.();
+      this.coordinationLocks.releaseAll(agent.id);
+      this.releaseAgent(agent);
+      this.updateTaskClock(task);
+    }
+  }
+
+  /**
+   * Run a subtask, retrying failures according to the resolved retry policy.
+   * Agents are obtained through the dispatch queue for every attempt.
+   */
+  async runSubtaskWithRetry(task, subtask, context = {}) {
+    const triedAgents = new Set();
+    let attempt = 0;
+    let result;
+
+    while (true) {
+      attempt++;
+
+      let agent;
+      try {
+        subtask.status = 'queued';
+        this.updateTaskClock(task);
+        agent = await this.requestAgent(task, subtask, {
+          avoid: triedAgents,
+          signal: context.signal
+        });
+      } catch (error) {
+        const cancelled = Boolean(context.signal?.aborted);
+        subtask.status = cancelled ? 'cancelled' : 'failed';
+        subtask.error = error.message;
+        result = { subtaskId: subtask.id, status: cancelled ? 'cancelled' : 'rejected', value: error.message };
+        break;
+      }
+
+      const policy = this.resolveRetryPolicy(task, subtask, agent.type);
+      if (policy.retryOnDifferentAgent) {
+        triedAgents.add(agent.id);
+      }
+
+      result = await this.runSubtask(task, agent, subtask, context);
+
+      if (result.status !== 'rejected' || attempt >= policy.maxAttempts) break;
+
+      const delay = this.getBackoffDelay(policy, attempt);
+      this.metrics.subtaskRetries++;
+      this.emit('subtask:retrying', {
+        taskId: task.id,
+        subtaskId: subtask.id,
+        agentId: agent.id,
+        attempt,
+        delay,
+        error: result.value
+      });
+
+      try {
+        await this.raceAbort(new Promise(resolve => setTimeout(resolve, delay)), context.signal);
+      } catch (error) {
+        subtask.status = 'cancelled';
+        result = { subtaskId: subtask.id, status: 'cancelled', value: error.message };
+        break;
+      }
+    }
+
+    subtask.attempts = attempt;
+
+    if (result.status === 'fulfilled' && this.requiresApproval(subtask)) {
+      result = await this.awaitApproval(task, subtask, result, context.signal);
+    }
+
+    return { ...result, attempts: attempt };
+  }
+
+  requiresApproval(subtask) {
+    return Boolean(subtask.requiresApproval) || (subtask.requiredCapabilities || [])
+      .some(capability => this.approvalsRequiredFor.includes(this.taxonomy.canonicalize(capability)));
+  }
+
+  /**
+   * Hold a finished subtask until a human approves or rejects its result.
+   * Dependent subtasks wait meanwhile; a rejection fails the subtask. A
+   * decision recorded while the task was not running is applied at once.
+   */
+  async awaitApproval(task, subtask, result, signal) {
+    subtask.status = 'awaiting_approval';
+    subtask.approval = subtask.approval || { requested: Date.now(), decision: null, comment: null, decided: null };
+
+    if (!subtask.approval.decision) {
+      this.updateTaskClock(task);
+      this.emit('approval:requested', {
+        taskId: task.id,
+        subtaskId: subtask.id,
+        description: subtask.description,
+        agentId: result.value?.agentId || null,
+        output: result.value?.result ?? null
+      });
+
+      try {
+        await this.raceAbort(new Promise(resolve => this.approvalWaiters.set(subtask.id, resolve)), signal);
+      } catch (error) {
+        subtask.status = 'cancelled';
+        return { subtaskId: subtask.id, status: 'cancelled', value: error.message };
+      } finally {
+        this.approvalWaiters.delete(subtask.id);
+      }
+    }
+
+    if (subtask.approval.decision === 'approved') {
+      subtask.status = 'completed';
+      this.updateTaskClock(task);
+      return result;
+    }
+
+    subtask.status = 'failed';
+    this.updateTaskClock(task);
+    subtask.error = `Rejected${subtask.approval.comment ? `: ${subtask.approval.comment}` : ''}`;
+    this.emit('subtask:failed', { taskId: task.id, subtaskId: subtask.id, error: subtask.error });
+    return { subtaskId: subtask.id, status: 'rejected', value: subtask.error };
+  }
+
+  /**
+   * Approve or reject a subtask waiting for a human
+   */
+  decideApproval(subtaskId, decision, options = {}) {
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new Error(`Approval decision must be 'approved' or 'rejected', got ${decision}`);
+    }
+
+    const task = Array.from(this.tasks.values()).find(candidate =>
+      candidate.subtasks.some(subtask => subtask.id === subtaskId)
+    );
+    const subtask = task?.subtasks.find(candidate => candidate.id === subtaskId);
+    if (!subtask) {
+      throw new Error(`Subtask ${subtaskId} not found`);
+    }
+
+    if (subtask.status !== 'awaiting_approval' || subtask.approval?.decision) {
+      throw new Error(`Subtask ${subtaskId} is not awaiting approval (status ${subtask.status})`);
+    }
+
+    subtask.approval = {
+      ...subtask.approval,
+      decision,
+      comment: options.comment || null,
+      decidedBy: options.decidedBy || null,
+      decided: options.decided || Date.now()
+    };
+
+    this.emit('approval:decided', { taskId: task.id, subtaskId, ...subtask.approval });
+    this.approvalWaiters.get(subtaskId)?.();
+
+    return { taskId: task.id, subtaskId, taskStatus: task.status, ...subtask.approval };
+  }
+
+  /**
+   * Subtasks waiting for a human decision, oldest first
+   */
+  getPendingApprovals() {
+    const pending = [];
+
+    for (const task of this.tasks.values()) {
+      for (const subtask of task.subtasks) {
+        if (subtask.status !== 'awaiting_approval' || subtask.approval?.decision) continue;
+
+        pending.push({
+          taskId: task.id,
+          task: task.description,
+          taskStatus: task.status,
+          subtaskId: subtask.id,
+          key: subtask.key,
+          description: subtask.description,
+          requested: subtask.approval?.requested || null,
+          output: subtask.result?.result ?? null
+        });
+      }
+    }
+
+    return pending.sort((a, b) => a.requested - b.requested);
+  }
+
+  /**
+   * Queue a request for an agent to run a subtask.
+   * Resolves with a reserved agent once one is free; requests are served by
+   * priority, with waiting requests gaining priority as they age.
+   */
+  requestAgent(task, subtask, options = {}) {
+    const swarmAgents = this.getSwarmAgents(task.swarmId);
+
+    // Admission control: refuse work that can never be served or would overflow the queue
+    if (swarmAgents.length === 0 && !(this.getSwarmConfig(task.swarmId).scaling.autoSpawn && this.swarms.has(task.swarmId))) {
+      return Promise.reject(new Error(`Swarm ${task.swarmId} has no agents to run subtask ${subtask.id}`));
+    }
+
+    if (this.messageQueue.length >= this.queueConfig.maxDepth) {
+      return Promise.reject(new Error(`Dispatch queue is full (${this.queueConfig.maxDepth} waiting subtasks)`));
+    }
+
+    if (options.signal?.aborted) {
+      return Promise.reject(options.signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        id: randomUUID(),
+        taskId: task.id,
+        swarmId: task.swarmId,
+        subtask,
+        priority: this.getPriorityLevel(subtask.priority || task.priority),
+        enqueued: Date.now(),
+        avoid: options.avoid || new Set(),
+        resolve,
+        reject
+      };
+
+      if (options.signal) {
+        const onAbort = () => {
+          this.removeFromQueue(entry.id);
+          reject(options.signal.reason);
+        };
+        options.signal.addEventListener('abort', onAbort, { once: true });
+        entry.resolve = (agent) => {
+          options.signal.removeEventListener('abort', onAbort);
+          resolve(agent);
+        };
+      }
+
+      this.messageQueue.push(entry);
+      this.emit('queue:enqueued', { taskId: task.id, subtaskId: subtask.id, depth: this.messageQueue.length });
+      this.dispatchQueue();
+    });
+  }
+
+  /**
+   * Hand idle agents to queued requests in priority order
+   */
+  dispatchQueue() {
+    if (this.messageQueue.length === 0) return;
+
+    const now = Date.now();
+    const ordered = [...this.messageQueue].sort((a, b) =>
+      this.getEffectivePriority(b, now) - this.getEffectivePriority(a, now) || a.enqueued - b.enqueued
+    );
+    const spawns = new Map();
+
+    for (const entry of ordered) {
+      if (this.taskControls.get(entry.taskId)?.paused) continue;
+
+      const idle = this.getSwarmAgents(entry.swarmId).filter(agent => agent.status === 'idle' && !agent.draining);
+
+      // Wait for a new agent rather than hand the subtask to one that cannot do it
+      if (this.planAutoSpawn(entry, idle, spawns)) continue;
+
+      if (idle.length === 0) continue;
+
+      const structure = this.swarms.get(entry.swarmId)?.structure;
+      const fresh = idle.filter(agent => !entry.avoid.has(agent.id));
+      const pool = fresh.length > 0 ? fresh : idle;
+      const candidates = structure ? structure.selectCandidates(pool, entry.subtask) : pool;
+      // A topology may rule out every idle agent; the subtask waits for the next one
+      if (candidates.length === 0) continue;
+
+      const { agent, explanation } = this.findBestAgent(candidates, entry.subtask);
+
+      // Kept on the subtask (and persisted with it) for `task explain`
+      entry.subtask.assignment = {
+        ...explanation,
+        idleAgents: idle.length,
+        topology: structure?.type || null,
+        assigned: now
+      };
+
+      this.removeFromQueue(entry.id);
+      agent.status = 'busy';
+      agent.currentTask = entry.subtask.id;
+
+      if (structure) {
+        structure.onAssigned(agent.id, entry.subtask);
+
+        // Record how the work reached the agent from the topology's dispatcher
+        const dispatcher = structure.getDispatcher();
+        entry.subtask.route = dispatcher
+          ? (structure.getDelegationPath?.(agent.id) || structure.route(dispatcher, agent.id))
+          : [agent.id];
+      }
+
+      this.emit('queue:dispatched', {
+        taskId: entry.taskId,
+        subtaskId: entry.subtask.id,
+        agentId: agent.id,
+        score: explanation.score,
+        waited: now - entry.enqueued
+      });
+      entry.resolve(agent);
+    }
+
+    // Spawn after the pass so the new agents' own dispatch does not interleave with it
+    for (const plan of spawns.values()) {
+      this.autoSpawnAgent(plan);
+    }
+  }
+
+  /**
+   * Decide whether a queued subtask needs a new agent: auto-spawn is on, no
+   * idle agent covers its capabilities and the swarm has room. Subtasks that
+   * need the same agent type share one spawn.
+   */
+  planAutoSpawn(entry, idle, spawns) {
+    const scaling = this.getSwarmConfig(entry.swarmId).scaling;
+    if (!scaling.autoSpawn || entry.autoSpawned) return false;
+
+    // Generic subtasks can go to any agent
+    const required = (entry.subtask.requiredCapabilities || [])
+      .filter(capability => this.taxonomy.canonicalize(capability) !== 'domain-specific');
+    if (required.length === 0 && idle.length > 0) return false;
+
+    const covered = idle.some(agent =>
+      this.taxonomy.matchAll(required, agent.capabilities).coverage >= scaling.minCoverage
+    );
+    if (covered) return false;
+
+    const type = this.chooseAgentType(entry.subtask);
+    const key = `${entry.swarmId}:${type}`;
+
+    if (spawns.has(key)) {
+      spawns.get(key).entries.push(entry);
+      return true;
+    }
+
+    const swarm = this.swarms.get(entry.swarmId);
+    const planned = Array.from(spawns.values()).filter(plan => plan.swarmId === entry.swarmId).length;
+    if (!swarm || swarm.agents.size + planned >= swarm.maxAgents) return false;
+
+    spawns.set(key, {
+      swarmId: entry.swarmId,
+      type,
+      capabilities: required,
+      entries: [entry]
+    });
+    return true;
+  }
+
+  /**
+   * Built-in agent type that best covers a subtask's capabilities
+   */
+  chooseAgentType(subtask) {
+    const required = (subtask.requiredCapabilities || [])
+      .filter(capability => this.taxonomy.canonicalize(capability) !== 'domain-specific');
+    // Generic work goes to a specialist unless another type fits strictly better
+    let best = { type: 'specialist', score: required.length > 0 ? 0 : 1 };
+
+    for (const [type, capabilities] of Object.entries(DEFAULT_AGENT_CAPABILITIES)) {
+      const { coverage } = this.taxonomy.matchAll(required, capabilities);
+      const typeMatch = subtask.type && this.taxonomy.canonicalize(type) === this.taxonomy.canonicalize(subtask.type);
+      const score = coverage + (typeMatch ? 0.5 : 0);
+
+      if (score > best.score) {
+        best = { type, score };
+      }
+    }
+
+    return best.type;
+  }
+
+  async autoSpawnAgent(plan) {
+    // Each subtask triggers at most one spawn; afterwards it takes the best agent available
+    for (const entry of plan.entries) {
+      entry.autoSpawned = true;
+    }
+
+    try {
+      const agent = await this.spawnAgent({ type: plan.type, swarmId: plan.swarmId });
+
+      this.emit('agent:auto-spawned', {
+        ...agent,
+        swarmId: plan.swarmId,
+        reason: `no idle agent covers ${plan.capabilities.join(', ') || 'the queued work'}`,
+        subtaskIds: plan.entries.map(entry => entry.subtask.id)
+      });
+    } catch (error) {
+      this.emit('scaling:error', { swarmId: plan.swarmId, type: plan.type, error: error.message });
+      this.dispatchQueue();
+    }
+  }
+
+  /**
+   * Retire agents idle for longer than the idle timeout, keeping at least
+   * minAgents per swarm and leaving swarms with queued work alone
+   */
+  retireIdleAgents(now = Date.now()) {
+    const retired = [];
+
+    for (const swarm of this.swarms.values()) {
+      const { idleTimeout, minAgents } = this.getSwarmConfig(swarm.id).scaling;
+      if (!(idleTimeout > 0) || this.messageQueue.some(entry => entry.swarmId === swarm.id)) continue;
+
+      const candidates = this.getSwarmAgents(swarm.id)
+        .filter(agent => agent.status === 'idle' && now - agent.lastActive >= idleTimeout)
+        .sort((a, b) => a.lastActive - b.lastActive);
+
+      for (const agent of candidates) {
+        if (swarm.agents.size <= minAgents) break;
+
+        this.reassignWork(agent);
+        this.removeAgent(agent.id, 'idle-timeout');
+        retired.push(agent.id);
+
+        this.emit('agent:retired', {
+          agentId: agent.id,
+          type: agent.type,
+          name: agent.name,
+          swarmId: swarm.id,
+          idleFor: now - agent.lastActive,
+          remaining: swarm.agents.size
+        });
+      }
+    }
+
+    return retired;
+  }
+
+  removeFromQueue(entryId) {
+    const index = this.messageQueue.findIndex(entry => entry.id === entryId);
+    if (index !== -1) {
+      this.messageQueue.splice(index, 1);
+    }
+  }
+
+  getPriorityLevel(priority) {
+    if (typeof priority === 'number') return priority;
+    return PRIORITY_LEVELS[priority] || PRIORITY_LEVELS.medium;
+  }
+
+  getEffectivePriority(entry, now = Date.now()) {
+    return entry.priority + Math.floor((now - entry.enqueued) / this.queueConfig.agingInterval);
+  }
+
+  /**
+   * Return an agent to the idle pool and serve waiting requests
+   */
+  releaseAgent(agent) {
+    agent.status = 'idle';
+    agent.currentTask = null;
+    agent.lastActive = Date.now();
+
+    // A draining agent leaves as soon as its current subtask is done
+    if (agent.draining) {
+      this.removeAgent(agent.id, agent.draining);
+      this.emit('agent:drained', { agentId: agent.id, swarmId: agent.swarmId, reason: agent.draining });
+    }
+
+    this.dispatchQueue();
+  }
+
+  getQueueStatus(swarmId) {
+    const now = Date.now();
+    const entries = this.messageQueue.filter(entry => !swarmId || entry.swarmId === swarmId);
+    const byPriority = {};
+
+    for (const entry of entries) {
+      const level = Object.keys(PRIORITY_LEVELS).find(name => PRIORITY_LEVELS[name] === entry.priority) || entry.priority;
+      byPriority[level] = (byPriority[level] || 0) + 1;
+    }
+
+    return {
+      depth: entries.length,
+      maxDepth: this.queueConfig.maxDepth,
+      oldestWait: entries.length > 0 ? now - Math.min(...entries.map(e => e.enqueued)) : 0,
+      byPriority
+    };
+  }
+
+  /**
+   * Lease the resources a subtask declares before it runs.
+   * Names are locked in sorted order so subtasks cannot deadlock each other.
+   * The leases are renewed every third of their TTL until the returned
+   * function is called, so a subtask that outlives the TTL keeps its locks.
+   */
+  async acquireResources(agent, subtask, signal) {
+    const resources = [...new Set(subtask.resources || [])].sort();
+    const ttl = subtask.lockTtl || this.coordinationLocks.defaultTtl;
+    const held = [];
+
+    if (resources.length === 0) {
+      return () => {};
+    }
+
+    const heartbeat = setInterval(() => {
+      for (const resource of held) {
+        try {
+          this.coordinationLocks.renew(resource, agent.id, ttl);
+        } catch {
+          // Released in the meantime
+        }
+      }
+    }, Math.max(10, Math.floor(ttl / 3)));
+    heartbeat.unref?.();
+
+    try {
+      for (const resource of resources) {
+        await this.coordinationLocks.acquire(resource, agent.id, { ttl, signal });
+        held.push(resource);
+      }
+    } catch (error) {
+      clearInterval(heartbeat);
+      throw error;
     }
+
+    return () => clearInterval(heartbeat);
+  }
+
+  /**
+   * Combine the outputs of the completed subtasks with the task's reducer and
+   * store the result as an artifact. A failing reducer leaves the task
+   * without a result but does not fail it.
+   */
+  async reduceResults(task, results) {
+    // Tasks persisted before reducers existed use the swarm's reducer
+    const reducer = task.reducer || this.getSwarmConfig(task.swarmId).reducer;
+    const outputs = this.topologicalOrder(task.subtasks)
+      .filter(subtask => results.get(subtask.id)?.status === 'fulfilled')
+      .map(subtask => {
+        const value = results.get(subtask.id).value;
+        return {
+          subtaskId: subtask.id,
+          key: subtask.key,
+          description: subtask.description,
+          type: subtask.type,
+          output: value?.result ?? null,
+          artifacts: value?.artifacts || []
+        };
+      });
+
+    try {
+      const value = await this.getReducer(reducer).reduce(outputs, { task, artifacts: this.artifacts });
+      const artifact = await this.artifacts.put({ name: 'result', content: value ?? null });
+
+      task.result = {
+        reducer,
+        artifact,
+        subtasks: outputs.length,
+        partial: outputs.length < task.subtasks.length
+      };
+      this.emit('task:reduced', { taskId: task.id, ...task.result });
+    } catch (error) {
+      task.result = { reducer, artifact: null, error: error.message };
+      this.emit('task:reduce-failed', { taskId: task.id, reducer, error: error.message });
+    }
+  }
+
+  /**
+   * The reduced result of a task, with the artifacts of every subtask.
+   * Artifact content is included when options.content is set.
+   */
+  async getTaskResult(taskId, options = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const load = async (ref) => {
+      if (!options.content) return ref;
+      const artifact = await this.artifacts.get(ref.id);
+      return { ...ref, content: artifact ? artifact.content : null };
+    };
+
+    const subtasks = [];
+    for (const subtask of this.topologicalOrder(task.subtasks)) {
+      const artifacts = [];
+      for (const ref of subtask.result?.artifacts || []) {
+        artifacts.push(await load(ref));
+      }
+      subtasks.push({ subtaskId: subtask.id, key: subtask.key, status: subtask.status, artifacts });
+    }
+
+    const artifact = task.result?.artifact ? await this.artifacts.get(task.result.artifact.id) : null;
+
+    return {
+      taskId,
+      status: task.status,
+      reducer: task.result?.reducer || task.reducer,
+      value: artifact ? artifact.content : null,
+      partial: task.result?.partial ?? null,
+      error: task.result?.error || null,
+      artifact: task.result?.artifact || null,
+      subtasks
+    };
+  }
+
+  /**
+   * Record the outcome of a finished task
+   */
+  finalizeTask(task, results) {
+    const control = this.taskControls.get(task.id);
+    this.taskControls.delete(task.id);
     
     task.results = results;
-    task.status = 'completed';
     task.completed = Date.now();
     
-    this.metrics.tasksCompleted++;
-    this.updateMetrics(task);
+    if (control?.controller.signal.aborted && control.failed) {
+      task.status = 'failed';
+      this.metrics.tasksFailed++;
+      this.emit('task:failed', { taskId: task.id, status: task.status, error: task.error });
+      return;
+    }
+    
+    if (control?.controller.signal.aborted) {
+      task.status = 'cancelled';
+      this.emit('task:cancelled', { taskId: task.id, reason: task.error });
+      return;
+    }
+    
+    // Skipped subtasks count as failures: their work never happened
+    const succeeded = results.filter(r => r.status === 'fulfilled').length;
+    const failed = results.length - succeeded;
+    
+    // Teach the model how the strategy did on a task of this shape
+    if (task.execution) {
+      this.performanceModel.recordTask({
+        shape: taskShape(task.subtasks),
+        strategy: task.execution,
+        subtasks: results.length,
+        duration: task.completed - task.started,
+        successRate: succeeded / Math.max(1, results.length)
+      });
+    }
+    
+    if (failed === 0) {
+      task.status = 'completed';
+      this.metrics.tasksCompleted++;
+      this.updateMetrics(task);
+      this.emit('task:completed', { taskId: task.id, status: task.status });
+      return;
+    }
+    
+    if (succeeded === 0) {
+      task.status = 'failed';
+      this.metrics.tasksFailed++;
+    } else {
+      task.status = 'partially_failed';
+      this.metrics.tasksPartiallyFailed++;
+    }
+    
+    task.error = `${failed} of ${results.length} subtasks failed`;
+    this.emit('task:failed', { taskId: task.id, status: task.status, error: task.error });
+  }
+
+  /**
+   * Cancel a task, aborting any subtasks that are still running
+   */
+  async cancelTask(taskId, reason = 'Task cancelled') {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const control = this.taskControls.get(taskId);
+    if (!control) {
+      return { taskId, cancelled: false, status: task.status };
+    }
+
+    const error = new Error(reason);
+    error.name = 'AbortError';
+
+    task.error = reason;
+    control.paused = false;
+    control.controller.abort(error);
+    this.releaseResumeWaiters(control);
+
+    this.emit('task:cancelling', { taskId, reason });
+
+    return { taskId, cancelled: true, status: 'cancelling' };
+  }
+
+  /**
+   * Stop a task like cancelTask, but end it as failed rather than cancelled
+   */
+  async failTask(taskId, reason) {
+    const control = this.taskControls.get(taskId);
+    if (control) {
+      control.failed = true;
+    }
+
+    return this.cancelTask(taskId, reason);
+  }
+
+  /**
+   * Pause a task: running subtasks finish, but no new ones start
+   */
+  async pauseTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const control = this.taskControls.get(taskId);
+    if (!control || control.controller.signal.aborted) {
+      throw new Error(`Task ${taskId} cannot be paused in status ${task.status}`);
+    }
+
+    if (!control.paused) {
+      control.paused = true;
+      control.previousStatus = task.status;
+      task.status = 'paused';
+      this.updateTaskClock(task);
+      this.emit('task:paused', { taskId });
+    }
+
+    return { taskId, status: task.status };
+  }
+
+  /**
+   * Resume a paused task
+   */
+  async resumeTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const control = this.taskControls.get(taskId);
+    if (!control || !control.paused) {
+      throw new Error(`Task ${taskId} is not paused`);
+    }
+
+    this.assertWithinBudget(task);
+
+    control.paused = false;
+    task.status = control.previousStatus || 'in_progress';
+    task.pauseReason = null;
+    this.updateTaskClock(task);
+    this.releaseResumeWaiters(control);
+    this.emit('task:resumed', { taskId });
+    this.dispatchQueue();
+
+    return { taskId, status: task.status };
+  }
+
+  /**
+   * Set or change the budget of a swarm or task, e.g.
+   * { tokens: 50000, time: 600000, cost: 2, onExceeded: 'fail' }
+   */
+  setBudget(scope, id, budget = {}) {
+    const owner = scope === 'swarm' ? this.swarms.get(id) : scope === 'task' ? this.tasks.get(id) : undefined;
+    if (owner === undefined) {
+      throw new Error(`Unknown budget scope: ${scope}`);
+    }
+    if (!owner) {
+      throw new Error(`${scope === 'swarm' ? 'Swarm' : 'Task'} ${id} not found`);
+    }
+
+    const { onExceeded, thresholds, ...limits } = budget;
+    if (onExceeded && !['pause', 'fail'].includes(onExceeded)) {
+      throw new Error(`onExceeded must be 'pause' or 'fail', got ${onExceeded}`);
+    }
+
+    const status = this.budgets.setBudget(scope, id, limits, { onExceeded, thresholds });
+    this.emit('budget:updated', status);
+    return status;
+  }
+
+  /**
+   * Pause or fail the work running under a budget that ran out
+   */
+  enforceBudget({ scope, id, resource, used, limit, action }) {
+    const taskIds = scope === 'task' ? [id] : Array.from(this.swarms.get(id)?.tasks || []);
+    const reason = `${scope === 'task' ? 'Task' : 'Swarm'} ${resource} budget exceeded (${formatUsage(resource, used)} of ${formatUsage(resource, limit)})`;
+
+    for (const taskId of taskIds) {
+      const control = this.taskControls.get(taskId);
+      if (!control || control.controller.signal.aborted) continue;
+
+      if (action === 'fail') {
+        this.failTask(taskId, reason);
+      } else if (!control.paused) {
+        this.tasks.get(taskId).pauseReason = reason;
+        this.pauseTask(taskId);
+      }
+    }
+  }
+
+  /**
+   * Run the time budget clocks of a task and its swarm only while the task
+   * can make progress: not while it is paused, nor while it has nothing to
+   * do but wait for approvals
+   */
+  updateTaskClock(task) {
+    if (!this.taskClocks.has(task.id)) return;
+
+    const control = this.taskControls.get(task.id);
+    const working = task.subtasks.some(subtask => subtask.status === 'queued' || subtask.status === 'in_progress');
+    const awaitingApproval = task.subtasks.some(subtask => subtask.status === 'awaiting_approval' && !subtask.approval?.decision);
+    const running = Boolean(control) && !control.paused && (working || !awaitingApproval);
+
+    if (running === this.taskClocks.get(task.id)) return;
+
+    this.taskClocks.set(task.id, running);
+    if (running) {
+      this.budgets.start('task', task.id);
+      this.budgets.start('swarm', task.swarmId);
+    } else {
+      this.budgets.stop('task', task.id);
+      this.budgets.stop('swarm', task.swarmId);
+    }
+  }
+
+  assertWithinBudget(task) {
+    const overBudget = [
+      ...this.budgets.getExceeded('task', task.id).map(resource => `task ${resource}`),
+      ...this.budgets.getExceeded('swarm', task.swarmId).map(resource => `swarm ${resource}`)
+    ];
+    if (overBudget.length > 0) {
+      throw new Error(`Task ${task.id} is over its ${overBudget.join(', ')} budget; raise the budget before resuming`);
+    }
+  }
+
+  getBudgetStatus() {
+    return this.budgets.list();
+  }
+
+  getTaskControl(taskId) {
+    if (!this.taskControls.has(taskId)) {
+      this.taskControls.set(taskId, {
+        controller: new AbortController(),
+        paused: false,
+        previousStatus: null,
+        resumeWaiters: []
+      });
+    }
+
+    return this.taskControls.get(taskId);
+  }
+
+  waitForResume(taskId) {
+    const control = this.getTaskControl(taskId);
+    if (!control.paused) return Promise.resolve();
+
+    return new Promise(resolve => control.resumeWaiters.push(resolve));
+  }
+
+  releaseResumeWaiters(control) {
+    const waiters = control.resumeWaiters;
+    control.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
   }
 
   /**
@@ -420,39 +1891,208 @@ export class AgentCoordinator extends EventEmitter {
   /**
    * Execute a single subtask
    */
-  async executeSubtask(agent, subtask) {
+  async executeSubtask(agent, subtask, context = {}) {
     const startTime = performance.now();
-    
+    const executor = this.getExecutor(agent.type);
+
+    const executionContext = this.buildExecutionContext(agent, subtask, context);
+
+    let recorded = false;
+
     try {
-      // Simulate task execution
-      await this.simulateWork(subtask.estimatedTime);
-      
+      const outcome = await this.raceAbort(executor.execute(executionContext), context.signal);
+      const tokenUsage = outcome?.tokenUsage || { prompt: 0, completion: 0, total: 0 };
+
+      // Failed attempts consume budget too
+      const cost = this.recordUsage(agent, subtask, { tokenUsage, cost: outcome?.cost, model: outcome?.metadata?.model });
+      recorded = true;
+
+      if (outcome?.error) {
+        const error = new Error(outcome.error);
+        error.output = outcome.output;
+        error.tokenUsage = tokenUsage;
+        throw error;
+      }
+
+      // The executor did its work; a store failure is not held against the agent
+      let artifacts = [];
+      let artifactError;
+      try {
+        artifacts = await this.artifacts.putAll(outputArtifacts(outcome || {}));
+      } catch (error) {
+        artifactError = error.message;
+        this.emit('subtask:artifacts-failed', { taskId: subtask.parentId, subtaskId: subtask.id, agentId: agent.id, error: error.message });
+      }
+
       // Update agent stats
       agent.tasksCompleted++;
       agent.lastActive = Date.now();
-      
+
       const duration = performance.now() - startTime;
-      this.updateAgentPerformance(agent, duration, true);
-      
+      this.updateAgentPerformance(agent, duration, true, subtask);
+
       return {
         agentId: agent.id,
         subtaskId: subtask.id,
+        executor: executor.name,
         duration,
-        result: `Completed by ${agent.name}`
+        result: outcome?.output ?? null,
+        artifacts,
+        ...(artifactError && { artifactError }),
+        tokenUsage,
+        cost,
+        metadata: outcome?.metadata || {}
       };
-      
+
     } catch (error) {
-      const duration = performance.now() - startTime;
-      this.updateAgentPerformance(agent, duration, false);
+      // Executors that throw may attach the usage they incurred to the error
+      if (!recorded && error?.tokenUsage) {
+        this.recordUsage(agent, subtask, { tokenUsage: error.tokenUsage, cost: error.cost, model: error.model });
+      }
+
+      // A cancelled subtask says nothing about how well the agent works
+      if (!context.signal?.aborted) {
+        const duration = performance.now() - startTime;
+        this.updateAgentPerformance(agent, duration, false, subtask);
+      }
       throw error;
+
+    } finally {
+      executionContext.messages.close();
     }
   }
 
+  /**
+   * Charge token usage to the subtask's task and swarm budgets and the
+   * metrics; returns its cost
+   */
+  recordUsage(agent, subtask, { tokenUsage, cost, model }) {
+    const usage = { prompt: 0, completion: 0, ...tokenUsage };
+    usage.total = tokenUsage.total ?? usage.prompt + usage.completion;
+
+    const charged = this.budgets.record([['task', subtask.parentId], ['swarm', agent.swarmId]], { tokenUsage: usage, cost, model });
+    this.metrics.tokenUsage += usage.total;
+    this.metrics.cost += charged;
+    return charged;
+  }
+
+  /**
+   * Build the context handed to an executor
+   */
+  buildExecutionContext(agent, subtask, context = {}) {
+    const swarm = this.swarms.get(agent.swarmId);
+
+    return {
+      subtask,
+      inputs: context.inputs || {},
+      upstream: context.upstream || {},
+      signal: context.signal || null,
+      agent: {
+        id: agent.id,
+        type: agent.type,
+        name: agent.name,
+        capabilities: [...agent.capabilities]
+      },
+      memory: {
+        local: agent.memory,
+        shared: this.memory
+      },
+      topology: {
+        type: swarm?.topology || null,
+        route: subtask.route || [agent.id],
+        neighbours: swarm?.structure ? swarm.structure.getNeighbours(agent.id) : []
+      },
+      messages: this.createMessenger(agent.id),
+      locks: {
+        acquire: (name, options = {}) => this.coordinationLocks.acquire(name, agent.id, {
+          signal: context.signal,
+          ...options
+        }),
+        release: (name) => this.coordinationLocks.release(name, agent.id),
+        renew: (name, ttl) => this.coordinationLocks.renew(name, agent.id, ttl)
+      }
+    };
+  }
+
+  /**
+   * Message bus API bound to one agent. Subscriptions made through it are
+   * dropped by close() once the subtask ends.
+   */
+  createMessenger(agentId) {
+    const bus = this.messageBus;
+    const cleanups = [];
+
+    return {
+      send: (to, payload) => bus.send(agentId, to, payload),
+      publish: (topic, payload) => bus.publish(agentId, topic, payload),
+      broadcast: (payload) => bus.broadcast(agentId, payload),
+      request: (to, payload, options) => bus.request(agentId, to, payload, options),
+      reply: (request, payload) => bus.reply(request, payload),
+      subscribe: (topic, handler) => {
+        const unsubscribe = bus.subscribe(agentId, topic, handler);
+        cleanups.push(unsubscribe);
+        return unsubscribe;
+      },
+      onMessage: (handler) => {
+        const remove = bus.onMessage(agentId, handler);
+        cleanups.push(remove);
+        return remove;
+      },
+      inbox: () => bus.drainInbox(agentId),
+      close: () => cleanups.splice(0).forEach(cleanup => cleanup())
+    };
+  }
+
+  /**
+   * Route between two agents along their swarm's topology
+   */
+  routeMessage(fromId, toId) {
+    const from = this.agents.get(fromId);
+    const to = this.agents.get(toId);
+
+    if (!from || !to || from.swarmId !== to.swarmId) return null;
+
+    const structure = this.swarms.get(from.swarmId)?.structure;
+    return structure ? structure.route(fromId, toId) : [fromId, toId];
+  }
+
+  getMessageLog(filter = {}) {
+    return this.messageBus.getLog(filter);
+  }
+
+  /**
+   * Reject as soon as the signal aborts, even if the executor ignores it
+   */
+  raceAbort(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      promise.then(
+        value => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
   /**
    * Helper methods
    */
   
   getActiveSwarmId() {
+    if (this.swarms.get(this.activeSwarmId)?.status === 'active') {
+      return this.activeSwarmId;
+    }
+
     for (const [id, swarm] of this.swarms) {
       if (swarm.status === 'active') {
         return id;
@@ -462,21 +2102,7 @@ export class AgentCoordinator extends EventEmitter {
   }
 
   getDefaultCapabilities(type) {
-    const capabilities = {
-      coordinator: ['planning', 'orchestration', 'monitoring'],
-      researcher: ['search', 'analysis', 'documentation'],
-      coder: ['implementation', 'debugging', 'refactoring'],
-      analyst: ['data-analysis', 'optimization', 'reporting'],
-      architect: ['design', 'patterns', 'structure'],
-      tester: ['testing', 'validation', 'quality'],
-      reviewer: ['review', 'feedback', 'approval'],
-      optimizer: ['performance', 'efficiency', 'scaling'],
-      documenter: ['documentation', 'examples', 'guides'],
-      monitor: ['monitoring', 'alerting', 'metrics'],
-      specialist: ['domain-specific', 'custom', 'flexible']
-    };
-    
-    return capabilities[type] || capabilities.specialist;
+    return DEFAULT_AGENT_CAPABILITIES[type] || DEFAULT_AGENT_CAPABILITIES.specialist;
   }
 
   calculateSpecialization(type) {
@@ -497,11 +2123,15 @@ export class AgentCoordinator extends EventEmitter {
     return specializations[type] || specializations.specialist;
   }
 
+  getSwarmAgents(swarmId) {
+    return Array.from(this.agents.values()).filter(agent => agent.swarmId === swarmId);
+  }
+
   async getAvailableAgents(swarmId) {
     const agents = [];
     
     for (const [id, agent] of this.agents) {
-      if (agent.swarmId === swarmId && agent.status === 'idle') {
+      if (agent.swarmId === swarmId && agent.status === 'idle' && !agent.draining) {
         agents.push(agent);
       }
     }
@@ -509,41 +2139,121 @@ export class AgentCoordinator extends EventEmitter {
     return agents;
   }
 
+  /**
+   * Pick the highest scoring agent for a subtask.
+   * Returns { agent, score, explanation }, or null without candidates.
+   */
   findBestAgent(agents, subtask) {
-    let bestAgent = null;
-    let bestScore = -1;
-    
-    for (const agent of agents) {
-      const score = this.calculateAgentScore(agent, subtask);
-      if (score > bestScore) {
-        bestScore = score;
-        bestAgent = agent;
-      }
-    }
-    
-    return bestAgent;
+    // Stable sort: on equal scores the topology's candidate order wins
+    const ranked = agents
+      .map(agent => ({ agent, ...this.scoreAgent(agent, subtask) }))
+      .sort((a, b) => b.score - a.score);
+
+    if (ranked.length === 0) return null;
+
+    const [best, ...others] = ranked;
+    return { agent: best.agent, score: best.score, explanation: this.explainScore(best, others) };
   }
 
-  calculateAgentScore(agent, subtask) {
-    let score = 0;
-    
-    // Check capability match
-    for (const required of subtask.requiredCapabilities) {
-      if (agent.capabilities.includes(required)) {
-        score += 0.2;
+  /**
+   * Weighted score in [0, 1] from capability coverage, type match, success
+   * rate and speed, each of which is itself in [0, 1]
+   */
+  scoreAgent(agent, subtask) {
+    const { weights, referenceTaskTime } = this.getSwarmConfig(agent.swarmId).scoring;
+    const { coverage, matches } = this.taxonomy.matchAll(subtask.requiredCapabilities || [], agent.capabilities);
+
+    const expected = this.expectedPerformance(agent, subtask);
+
+    const components = {
+      capability: coverage,
+      type: subtask.type && this.taxonomy.canonicalize(agent.type) === this.taxonomy.canonicalize(subtask.type) ? 1 : 0,
+      successRate: Math.min(1, Math.max(0, expected.successRate)),
+      speed: referenceTaskTime / (referenceTaskTime + Math.max(0, expected.avgTaskTime))
+    };
+
+    const totalWeight = Object.keys(components).reduce((sum, name) => sum + (weights[name] || 0), 0) || 1;
+    const score = Object.entries(components)
+      .reduce((sum, [name, value]) => sum + value * (weights[name] || 0), 0) / totalWeight;
+
+    return { score, components, matches, expected };
+  }
+
+  /**
+   * Human-readable account of why an agent was picked over the others
+   */
+  explainScore(best, others) {
+    const { agent, score, components, matches, expected } = best;
+    const round = value => Math.round(value * 1000) / 1000;
+
+    const reasons = matches.map(match => {
+      switch (match.relation) {
+        case 'exact':
+          return `has ${match.capability}${match.matchedBy !== match.capability ? ` (as ${match.matchedBy})` : ''}`;
+        case 'broader':
+          return `${match.matchedBy} covers ${match.capability}`;
+        case 'narrower':
+          return `${match.matchedBy} partly covers ${match.capability}`;
+        default:
+          return `lacks ${match.capability}`;
       }
+    });
+
+    if (components.type) {
+      reasons.push(`agent type ${agent.type} matches subtask type`);
     }
-    
-    // Factor in performance
-    score += agent.performance.successRate * 0.3;
-    score += (1 - agent.performance.avgTaskTime / 10000) * 0.2;
-    
-    // Type-specific bonuses
-    if (subtask.type && agent.type === subtask.type) {
-      score += 0.3;
+    reasons.push(`success rate ${Math.round(components.successRate * 100)}%`);
+    if (expected.modelSamples > 0) {
+      reasons.push(`learned from ${expected.modelSamples} earlier ${agent.type} subtasks`);
     }
-    
-    return score;
+
+    return {
+      agentId: agent.id,
+      agentName: agent.name,
+      agentType: agent.type,
+      score: round(score),
+      components: Object.fromEntries(Object.entries(components).map(([name, value]) => [
+        name, { value: round(value), weight: this.getSwarmConfig(agent.swarmId).scoring.weights[name] || 0 }
+      ])),
+      capabilities: matches,
+      reasons,
+      candidates: others.length + 1,
+      alternatives: others.slice(0, 3).map(other => ({
+        agentId: other.agent.id,
+        agentName: other.agent.name,
+        score: round(other.score),
+        margin: round(score - other.score)
+      }))
+    };
+  }
+
+  /**
+   * Why each subtask of a task went to its agent. Subtasks that are not
+   * assigned yet show how the swarm's agents would currently rank.
+   */
+  explainTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const agents = this.getSwarmAgents(task.swarmId);
+
+    return {
+      taskId: task.id,
+      description: task.description,
+      status: task.status,
+      subtasks: task.subtasks.map(subtask => ({
+        subtaskId: subtask.id,
+        key: subtask.key,
+        description: subtask.description,
+        type: subtask.type,
+        requiredCapabilities: subtask.requiredCapabilities,
+        status: subtask.status,
+        assignment: subtask.assignment || null,
+        ranking: subtask.assignment ? null : (this.findBestAgent(agents, subtask)?.explanation || null)
+      }))
+    };
   }
 
   analyzeComplexity(description) {
@@ -568,42 +2278,6 @@ export class AgentCoordinator extends EventEmitter {
     return Math.max(1, Math.min(10, complexity));
   }
 
-  extractComponents(description) {
-    // Basic component extraction
-    const components = [];
-    
-    // Look for common patterns
-    const patterns = [
-      { regex: /implement\s+(\w+)/gi, type: 'implementation' },
-      { regex: /test\s+(\w+)/gi, type: 'testing' },
-      { regex: /design\s+(\w+)/gi, type: 'design' },
-      { regex: /analyze\s+(\w+)/gi, type: 'analysis' },
-      { regex: /optimize\s+(\w+)/gi, type: 'optimization' }
-    ];
-    
-    for (const pattern of patterns) {
-      const matches = description.matchAll(pattern.regex);
-      for (const match of matches) {
-        components.push({
-          description: match[0],
-          type: pattern.type,
-          capabilities: [pattern.type]
-        });
-      }
-    }
-    
-    // If no specific components found, create a generic one
-    if (components.length === 0) {
-      components.push({
-        description: description,
-        type: 'general',
-        capabilities: ['domain-specific']
-      });
-    }
-    
-    return components;
-  }
-
   async analyzeTask(task) {
     const subtaskCount = task.subtasks.length;
     const dependencyCount = task.subtasks.reduce((sum, st) => sum + st.dependencies.length, 0);
@@ -611,53 +2285,239 @@ export class AgentCoordinator extends EventEmitter {
     return {
       parallelizable: subtaskCount > 1 && dependencyCount === 0 ? 1.0 : 0.5,
       dependencies: dependencyCount / Math.max(1, subtaskCount),
+      shape: taskShape(task.subtasks),
       complexity: this.analyzeComplexity(task.description) / 10
     };
   }
 
   groupByDependencies(subtasks) {
+    const order = this.topologicalOrder(subtasks);
+    const levels = new Map();
     const groups = [];
-    const processed = new Set();
-    
-    while (processed.size < subtasks.length) {
-      const group = [];
-      
-      for (const subtask of subtasks) {
-        if (!processed.has(subtask.id)) {
-          // Check if all dependencies are processed
-          const canProcess = subtask.dependencies.every(dep => processed.has(dep));
-          
-          if (canProcess) {
-            group.push(subtask);
-            processed.add(subtask.id);
-          }
+
+    for (const subtask of order) {
+      const level = subtask.dependencies.reduce((max, dep) => Math.max(max, levels.get(dep) + 1), 0);
+      levels.set(subtask.id, level);
+
+      if (!groups[level]) {
+        groups[level] = [];
+      }
+      groups[level].push(subtask);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Ensure every subtask dependency exists and the graph is acyclic
+   */
+  validateDependencies(subtasks) {
+    const ids = new Set(subtasks.map(st => st.id));
+
+    for (const subtask of subtasks) {
+      for (const dep of subtask.dependencies) {
+        if (!ids.has(dep)) {
+          throw new Error(`Subtask ${subtask.id} depends on unknown subtask ${dep}`);
         }
       }
-      
-      if (group.length > 0) {
-        groups.push(group);
+    }
+
+    const cycle = this.findDependencyCycle(subtasks);
+    if (cycle) {
+      const byId = new Map(subtasks.map(st => [st.id, st]));
+      const path = cycle.map(id => `${id} (${byId.get(id).description})`).join(' -> ');
+      throw new Error(`Dependency cycle detected: ${path}`);
+    }
+  }
+
+  /**
+   * Depth-first search for a dependency cycle, returning its path or null
+   */
+  findDependencyCycle(subtasks) {
+    const byId = new Map(subtasks.map(st => [st.id, st]));
+    const state = new Map();
+    const stack = [];
+
+    const visit = (id) => {
+      state.set(id, 'visiting');
+      stack.push(id);
+
+      for (const dep of byId.get(id)?.dependencies || []) {
+        if (state.get(dep) === 'visiting') {
+          return [...stack.slice(stack.indexOf(dep)), dep];
+        }
+
+        if (!state.has(dep) && byId.has(dep)) {
+          const cycle = visit(dep);
+          if (cycle) return cycle;
+        }
+      }
+
+      stack.pop();
+      state.set(id, 'done');
+      return null;
+    };
+
+    for (const subtask of subtasks) {
+      if (!state.has(subtask.id)) {
+        const cycle = visit(subtask.id);
+        if (cycle) return cycle;
       }
     }
-    
-    return groups;
+
+    return null;
+  }
+
+  /**
+   * Order subtasks so each one comes after its dependencies
+   */
+  topologicalOrder(subtasks) {
+    this.validateDependencies(subtasks);
+
+    const byId = new Map(subtasks.map(st => [st.id, st]));
+    const visited = new Set();
+    const order = [];
+
+    const visit = (subtask) => {
+      if (visited.has(subtask.id)) return;
+      visited.add(subtask.id);
+
+      for (const dep of subtask.dependencies) {
+        visit(byId.get(dep));
+      }
+      order.push(subtask);
+    };
+
+    for (const subtask of subtasks) {
+      visit(subtask);
+    }
+
+    return order;
+  }
+
+  /**
+   * Wait until every task this task depends on has finished
+   */
+  async waitForTaskDependencies(task) {
+    if (task.dependencies.length === 0) return;
+
+    task.status = 'waiting';
+    const signal = this.getTaskControl(task.id).controller.signal;
+    const events = ['task:completed', 'task:failed', 'task:cancelled'];
+    let onFinished;
+
+    // Resolves once every dependency completed, rejects once one did not
+    const finished = new Promise((resolve, reject) => {
+      const check = () => {
+        for (const depId of task.dependencies) {
+          const dependency = this.tasks.get(depId);
+
+          if (!dependency) {
+            return reject(new Error(`Task ${task.id} depends on unknown task ${depId}`));
+          }
+          if (['failed', 'partially_failed', 'cancelled'].includes(dependency.status)) {
+            return reject(new Error(`Task ${task.id} dependency ${depId} ended with status ${dependency.status}`));
+          }
+        }
+
+        if (task.dependencies.every(depId => this.tasks.get(depId).status === 'completed')) {
+          resolve();
+        }
+      };
+
+      onFinished = ({ taskId }) => {
+        if (task.dependencies.includes(taskId)) check();
+      };
+      check();
+    });
+
+    events.forEach(event => this.on(event, onFinished));
+    try {
+      await this.raceAbort(finished, signal);
+    } catch (error) {
+      this.taskControls.delete(task.id);
+      task.status = signal.aborted ? 'cancelled' : 'failed';
+      task.error = error.message;
+      throw error;
+    } finally {
+      // raceAbort already dropped its abort listener
+      events.forEach(event => this.off(event, onFinished));
+    }
+  }
+
+  /**
+   * Collect the results of the tasks a task depends on
+   */
+  collectUpstreamResults(task) {
+    const upstream = {};
+
+    for (const depId of task.dependencies) {
+      upstream[depId] = this.tasks.get(depId)?.results || null;
+    }
+
+    return upstream;
   }
 
-  async simulateWork(duration) {
-    // Simulate work with random variation
-    const actualDuration = duration * (0.8 + Math.random() * 0.4);
-    await new Promise(resolve => setTimeout(resolve, actualDuration));
+  /**
+   * Update an agent's exponentially weighted success rate and task time and
+   * teach the performance model. Only successes count towards task time;
+   * tasksCompleted has already been incremented for them.
+   */
+  updateAgentPerformance(agent, duration, success, subtask = {}) {
+    const perf = agent.performance;
+    const alpha = this.performanceModel.alpha;
+    
+    perf.samples = (perf.samples ?? agent.tasksCompleted) + 1;
+    perf.successRate += Math.max(alpha, 1 / perf.samples) * (Number(success) - perf.successRate);
+    
+    if (success) {
+      perf.avgTaskTime += Math.max(alpha, 1 / agent.tasksCompleted) * (duration - perf.avgTaskTime);
+    }
+    
+    this.performanceModel.recordSubtask({
+      agentType: agent.type,
+      capabilities: (subtask.requiredCapabilities || []).map(capability => this.taxonomy.canonicalize(capability)),
+      duration,
+      success
+    });
   }
 
-  updateAgentPerformance(agent, duration, success) {
+  /**
+   * Expected success rate and task time of an agent on a subtask: its own
+   * record, backed by what the model learned about its type for the
+   * subtask's capabilities. New agents rely on the model alone.
+   */
+  expectedPerformance(agent, subtask) {
+    const capabilities = (subtask.requiredCapabilities || []).map(capability => this.taxonomy.canonicalize(capability));
+    const prior = this.performanceModel.estimate(agent.type, capabilities);
+    const { priorWeight, alpha } = this.performanceModel;
     const perf = agent.performance;
     
-    // Update average task time
-    perf.avgTaskTime = (perf.avgTaskTime * agent.tasksCompleted + duration) / (agent.tasksCompleted + 1);
+    const samples = Math.min(perf.samples ?? agent.tasksCompleted, 1 / alpha);
+    const timed = Math.min(agent.tasksCompleted, 1 / alpha);
     
-    // Update success rate
-    if (!success) {
-      perf.successRate = (perf.successRate * agent.tasksCompleted) / (agent.tasksCompleted + 1);
+    let avgTaskTime = prior.avgTaskTime ?? perf.avgTaskTime;
+    if (timed > 0 && prior.avgTaskTime !== null) {
+      avgTaskTime = (perf.avgTaskTime * timed + prior.avgTaskTime * priorWeight) / (timed + priorWeight);
+    } else if (timed > 0) {
+      avgTaskTime = perf.avgTaskTime;
     }
+    
+    return {
+      successRate: (perf.successRate * samples + prior.successRate * priorWeight) / (samples + priorWeight),
+      avgTaskTime,
+      samples,
+      modelSamples: prior.samples
+    };
+  }
+
+  /**
+   * Re-fit the performance model from its recorded history
+   */
+  trainPerformanceModel(options = {}) {
+    const result = this.performanceModel.train(options);
+    this.emit('model:trained', result);
+    return result;
   }
 
   updateMetrics(task) {
@@ -668,33 +2528,257 @@ export class AgentCoordinator extends EventEmitter {
       (this.metrics.avgCompletionTime * (taskCount - 1) + duration) / taskCount;
   }
 
-  async rebalanceSwarm(swarmId) {
+  /**
+   * Work out which agents would leave a swarm that is over capacity, in the
+   * order the policy ranks them. Idle agents are removed; busy agents are
+   * drained so they finish their current subtask first.
+   */
+  planRebalance(swarmId, options = {}) {
     const swarm = this.swarms.get(swarmId);
-    if (!swarm) return;
-    
-    // Remove least performing agents if over capacity
-    while (swarm.agents.size > swarm.maxAgents) {
-      let worstAgent = null;
-      let worstScore = Infinity;
-      
-      for (const agentId of swarm.agents) {
-        const agent = this.agents.get(agentId);
-        const score = agent.performance.successRate * agent.tasksCompleted;
-        
-        if (score < worstScore && agent.status === 'idle') {
-          worstScore = score;
-          worstAgent = agentId;
-        }
-      }
-      
-      if (worstAgent) {
-        swarm.agents.delete(worstAgent);
-        this.agents.delete(worstAgent);
-        this.emit('agent:removed', { agentId: worstAgent, reason: 'rebalance' });
+    if (!swarm) {
+      throw new Error(`Swarm ${swarmId} not found`);
+    }
+
+    const policyName = options.policy || this.getSwarmConfig(swarmId).rebalancePolicy;
+    const policy = this.getRebalancePolicy(policyName);
+    const maxAgents = options.maxAgents ?? swarm.maxAgents;
+    const agents = this.getSwarmAgents(swarmId);
+    const staying = agents.filter(agent => !agent.draining);
+    const excess = Math.max(0, staying.length - maxAgents);
+
+    const leaving = policy.rank(staying, { swarm, now: Date.now() }).slice(0, excess);
+
+    return {
+      swarmId,
+      policy: policyName,
+      size: agents.length,
+      maxAgents,
+      excess,
+      changes: leaving.map(({ agent, reason }) => ({
+        agentId: agent.id,
+        name: agent.name,
+        type: agent.type,
+        status: agent.status,
+        action: agent.status === 'idle' ? 'remove' : 'drain',
+        reason
+      })),
+      draining: agents.filter(agent => agent.draining).map(agent => agent.id)
+    };
+  }
+
+  /**
+   * Bring a swarm back within capacity according to a rebalance policy
+   */
+  async rebalanceSwarm(swarmId, options = {}) {
+    if (!this.swarms.has(swarmId)) return null;
+
+    const plan = this.planRebalance(swarmId, options);
+
+    for (const change of plan.changes) {
+      if (change.action === 'remove') {
+        this.reassignWork(this.agents.get(change.agentId));
+        this.removeAgent(change.agentId, 'rebalance');
       } else {
-        break; // No idle agents to remove
+        this.drainAgent(change.agentId, 'rebalance');
+      }
+    }
+
+    this.emit('swarm:rebalanced', plan);
+    return plan;
+  }
+
+  /**
+   * Stop giving an agent work and remove it once its current subtask ends
+   */
+  drainAgent(agentId, reason = 'drained') {
+    const agent = this.agents.get(agentId);
+    if (!agent) {
+      throw new Error(`Agent ${agentId} not found`);
+    }
+
+    agent.draining = reason;
+    const reassigned = this.reassignWork(agent);
+    this.emit('agent:draining', { agentId, swarmId: agent.swarmId, currentTask: agent.currentTask, reason, reassigned });
+
+    if (agent.status === 'idle') {
+      this.releaseAgent(agent);
+    }
+  }
+
+  /**
+   * Hand the undelivered messages of a leaving agent to the swarm agent best
+   * suited to take over its work
+   */
+  reassignWork(agent) {
+    const inbox = this.messageBus.drainInbox(agent.id);
+    if (inbox.length === 0) return 0;
+
+    const successors = this.getSwarmAgents(agent.swarmId).filter(other => other.id !== agent.id && !other.draining);
+    if (successors.length === 0) return 0;
+
+    const successor = successors
+      .map(other => ({
+        other,
+        coverage: this.taxonomy.matchAll(agent.capabilities, other.capabilities).coverage + (other.type === agent.type ? 1 : 0)
+      }))
+      .sort((a, b) => b.coverage - a.coverage)[0].other;
+
+    for (const message of inbox) {
+      this.messageBus.deliver(successor.id, { ...message, to: successor.id, forwardedFrom: agent.id });
+    }
+
+    this.emit('agent:work-reassigned', { from: agent.id, to: successor.id, messages: inbox.length });
+    return inbox.length;
+  }
+
+  /**
+   * Serializable snapshots used to persist coordinator state
+   */
+
+  serializeSwarm(swarm) {
+    return {
+      id: swarm.id,
+      name: swarm.name,
+      topology: swarm.topology,
+      topologyOptions: swarm.topologyOptions,
+      maxAgents: swarm.maxAgents,
+      strategy: swarm.strategy,
+      config: swarm.config,
+      budget: this.budgets.serialize('swarm', swarm.id),
+      status: swarm.status,
+      created: swarm.created,
+      metrics: swarm.metrics,
+      agents: Array.from(swarm.agents),
+      tasks: Array.from(swarm.tasks)
+    };
+  }
+
+  serializeAgent(agent) {
+    return {
+      id: agent.id,
+      type: agent.type,
+      name: agent.name,
+      swarmId: agent.swarmId,
+      capabilities: agent.capabilities,
+      created: agent.created,
+      lastActive: agent.lastActive,
+      tasksCompleted: agent.tasksCompleted,
+      memory: Object.fromEntries(agent.memory),
+      performance: agent.performance
+    };
+  }
+
+  serializeTask(task) {
+    return {
+      id: task.id,
+      description: task.description,
+      strategy: task.strategy,
+      priority: task.priority,
+      dependencies: task.dependencies,
+      swarmId: task.swarmId,
+      retryPolicy: task.retryPolicy,
+      handoff: task.handoff,
+      owner: task.owner || null,
+      budget: this.budgets.serialize('task', task.id),
+      decomposer: task.decomposer,
+      reducer: task.reducer,
+      spec: task.spec,
+      status: task.status,
+      created: task.created,
+      started: task.started,
+      completed: task.completed,
+      subtasks: task.subtasks,
+      assignedAgents: Array.from(task.assignedAgents),
+      results: task.results,
+      result: task.result,
+      error: task.error
+    };
+  }
+
+  /**
+   * Restore swarms, agents and tasks from persisted snapshots.
+   * Tasks that were still running are marked 'interrupted' so they can resume.
+   */
+  rehydrate({ swarms = [], agents = [], tasks = [] } = {}) {
+    const interrupted = [];
+
+    for (const data of agents) {
+      this.agents.set(data.id, {
+        ...data,
+        status: 'idle',
+        currentTask: null,
+        memory: new Map(Object.entries(data.memory || {}))
+      });
+    }
+
+    for (const data of tasks) {
+      const task = {
+        ...data,
+        assignedAgents: new Set(data.assignedAgents || [])
+      };
+
+      if (!['completed', 'failed', 'partially_failed', 'cancelled'].includes(task.status)) {
+        task.status = 'interrupted';
+        for (const subtask of task.subtasks) {
+          if (subtask.status !== 'completed' && subtask.status !== 'awaiting_approval') {
+            subtask.status = 'pending';
+          }
+        }
+        interrupted.push(task.id);
       }
+
+      this.tasks.set(task.id, task);
+      if (data.budget) this.budgets.restore('task', task.id, data.budget);
+    }
+
+    for (const data of swarms) {
+      const swarm = {
+        ...data,
+        name: data.name || `swarm-${data.id.slice(0, 8)}`,
+        config: data.config || {},
+        agents: new Set(data.agents.filter(id => this.agents.has(id))),
+        tasks: new Set(data.tasks.filter(id => this.tasks.has(id)))
+      };
+
+      this.swarms.set(swarm.id, swarm);
+      this.setupTopology(swarm.id, swarm.topology);
+      if (data.budget) this.budgets.restore('swarm', swarm.id, data.budget);
+    }
+
+    this.emit('coordinator:rehydrated', {
+      swarms: this.swarms.size,
+      agents: this.agents.size,
+      tasks: this.tasks.size,
+      interrupted
+    });
+
+    return { interrupted };
+  }
+
+  /**
+   * Resume an interrupted task from its last completed subtask
+   */
+  resumeInterruptedTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    if (task.status !== 'interrupted') {
+      throw new Error(`Task ${taskId} is not interrupted (status ${task.status})`);
     }
+
+    this.assertWithinBudget(task);
+
+    task.status = 'pending';
+    task.error = null;
+    task.owner = this.owner;
+    this.getTaskControl(taskId);
+
+    const done = this.runTask(task);
+    this.emit('task:orchestrated', { taskId, strategy: task.strategy, resumed: true });
+
+    return this.createTaskHandle(task, done);
   }
 
   /**
@@ -711,7 +2795,7 @@ export class AgentCoordinator extends EventEmitter {
         id: agent.id,
         name: agent.name,
         type: agent.type,
-        status: agent.status,
+        status: agent.draining ? 'draining' : agent.status,
         tasksCompleted: agent.tasksCompleted
       });
     }
@@ -728,10 +2812,17 @@ export class AgentCoordinator extends EventEmitter {
     
     return {
       id: swarm.id,
+      name: swarm.name,
       topology: swarm.topology,
       status: swarm.status,
+      active: swarm.id === this.getActiveSwarmId(),
+      config: this.getSwarmConfig(swarm.id),
+      budget: this.budgets.describe('swarm', swarm.id),
       agents,
       tasks,
+      structure: swarm.structure.describe(),
+      queue: this.getQueueStatus(swarmId),
+      locks: this.coordinationLocks.getStatus(swarm.agents),
       metrics: swarm.metrics
     };
   }
@@ -745,19 +2836,22 @@ export class AgentCoordinator extends EventEmitter {
     
     // Stop all tasks
     for (const taskId of swarm.tasks) {
-      const task = this.tasks.get(taskId);
-      if (task && task.status === 'in_progress') {
-        task.status = 'cancelled';
+      if (this.taskControls.has(taskId)) {
+        await this.cancelTask(taskId, 'Swarm destroyed');
       }
     }
     
     // Remove all agents
-    for (const agentId of swarm.agents) {
-      this.agents.delete(agentId);
+    for (const agentId of [...swarm.agents]) {
+      this.removeAgent(agentId, 'swarm destroyed');
     }
     
     // Remove swarm
     this.swarms.delete(swarmId);
+    this.budgets.remove('swarm', swarmId);
+    if (this.activeSwarmId === swarmId) {
+      this.activeSwarmId = null;
+    }
     
     this.emit('swarm:destroyed', { swarmId });
     
@@ -765,4 +2859,15 @@ export class AgentCoordinator extends EventEmitter {
   }
 }
 
+function formatUsage(resource, value) {
+  switch (resource) {
+    case 'time':
+      return `${Math.round(value / 1000)}s`;
+    case 'cost':
+      return `$${value.toFixed(4)}`;
+    default:
+      return `${Math.round(value)} tokens`;
+  }
+}
+
 export default AgentCoordinator;
\ No newline at end of file
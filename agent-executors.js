@@ -0,0 +1,322 @@
+/**
+ * Claude Flow Agent Executors
+ * Pluggable execution backends that perform the actual work of a subtask
+ */
+
+import { spawn } from 'child_process';
+
+/**
+ * Script run by MockLLMExecutor in a separate Node process.
+ * Reads a JSON request on stdin and answers with a deterministic completion.
+ */
+const MOCK_LLM_SCRIPT = `
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+  const request = JSON.parse(input);
+  const countTokens = text => Math.ceil(text.length / 4);
+  const rule = (request.responses || []).find(r => new RegExp(r.pattern, 'i').test(request.prompt));
+
+  setTimeout(() => {
+    if (rule && rule.error) {
+      process.stderr.write(rule.error);
+      process.exit(1);
+    }
+
+    const text = rule
+      ? rule.text
+      : '[' + request.model + '] ' + request.agent.type + ' completed: ' + request.prompt.split('\\n')[0];
+
+    process.stdout.write(JSON.stringify({
+      model: request.model,
+      text,
+      usage: { prompt: countTokens(request.prompt), completion: countTokens(text) }
+    }));
+  }, request.latency || 0);
+});
+`;
+
+/**
+ * Base executor. Subclasses implement execute(context) and resolve with
+ * { output, artifacts, tokenUsage, cost, error, metadata }. cost is null
+ * unless the backend reports one; the coordinator then estimates it from
+ * tokenUsage and metadata.model. artifacts lists extra outputs as
+ * { kind: 'text' | 'json' | 'file', name, content, mediaType }; the output
+ * itself is always stored as an artifact too. An executor that throws
+ * after spending tokens can set tokenUsage (and cost, model) on the error so
+ * they still count against budgets.
+ *
+ * The context passed by AgentCoordinator contains:
+ *   - subtask: the subtask being executed
+ *   - agent: { id, type, name, capabilities }
+ *   - memory: { local: agent memory Map, shared: MemoryPersistence or null }
+ *   - inputs: results of the subtasks this subtask depends on
+ *   - upstream: results of the tasks this task depends on
+ *   - signal: AbortSignal fired when the task is cancelled
+ *   - topology: { type, route, neighbours } of the agent within its swarm
+ *   - messages: message bus API (send, publish, subscribe, request, broadcast)
+ *   - locks: { acquire(name, options), release(name), renew(name, ttl) } leases
+ *     on shared resources, released automatically when the subtask ends
+ */
+export class AgentExecutor {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+  }
+
+  async execute(context) {
+    throw new Error(`Executor ${this.name} does not implement execute()`);
+  }
+
+  /**
+   * Build a normalized executor result
+   */
+  createResult(output, options = {}) {
+    const prompt = options.tokenUsage?.prompt || 0;
+    const completion = options.tokenUsage?.completion || 0;
+
+    return {
+      output,
+      artifacts: options.artifacts || [],
+      tokenUsage: { prompt, completion, total: prompt + completion },
+      cost: options.cost ?? null,
+      error: options.error || null,
+      metadata: options.metadata || {}
+    };
+  }
+}
+
+/**
+ * Executor that only waits for the subtask's estimated time.
+ * Used as the default so swarms without real executors behave as before.
+ */
+export class SimulatedExecutor extends AgentExecutor {
+  constructor(options = {}) {
+    super({ name: 'simulated', ...options });
+    this.variation = options.variation ?? 0.2;
+  }
+
+  async execute(context) {
+    const { subtask, agent } = context;
+    const duration = (subtask.estimatedTime || 0) * (1 - this.variation + Math.random() * this.variation * 2);
+
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(context.signal.reason);
+      };
+      const timer = setTimeout(() => {
+        context.signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, duration);
+
+      context.signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return this.createResult(`Completed by ${agent.name}`);
+  }
+}
+
+/**
+ * Executor that runs a shell command for each subtask.
+ * The command comes from subtask.command or the `command` option, which may
+ * be a string or a function receiving the execution context.
+ */
+export class ShellExecutor extends AgentExecutor {
+  constructor(options = {}) {
+    super({ name: 'shell', ...options });
+    this.command = options.command || null;
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || {};
+    this.timeout = options.timeout || 0;
+  }
+
+  async execute(context) {
+    const { subtask, agent } = context;
+    const command = subtask.command || (typeof this.command === 'function' ? this.command(context) : this.command);
+
+    if (!command) {
+      return this.createResult(null, { error: `No command configured for subtask ${subtask.id}` });
+    }
+
+    const result = await runProcess(command, [], {
+      shell: true,
+      cwd: subtask.cwd || this.cwd,
+      timeout: this.timeout,
+      signal: context.signal,
+      env: {
+        ...process.env,
+        ...this.env,
+        CLAUDE_FLOW_SUBTASK_ID: subtask.id,
+        CLAUDE_FLOW_SUBTASK_DESCRIPTION: subtask.description || '',
+        CLAUDE_FLOW_AGENT_ID: agent.id,
+        CLAUDE_FLOW_AGENT_TYPE: agent.type
+      }
+    });
+
+    const output = {
+      command,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      exitCode: result.exitCode
+    };
+
+    let error = null;
+    if (result.aborted) {
+      error = 'Command aborted';
+    } else if (result.timedOut) {
+      error = `Command timed out after ${this.timeout}ms`;
+    } else if (result.exitCode !== 0) {
+      error = `Command exited with code ${result.exitCode}: ${result.stderr.trim()}`;
+    }
+
+    return this.createResult(output, { error, metadata: { pid: result.pid } });
+  }
+}
+
+/**
+ * Executor that sends a prompt to a mock LLM running in a local child process.
+ * Responses are deterministic, so pipelines can be exercised offline.
+ *
+ * Options:
+ *   - model: model name echoed in responses
+ *   - latency: artificial response delay in ms
+ *   - responses: [{ pattern, text }] or [{ pattern, error }] canned answers
+ *   - promptBuilder: function(context) returning the prompt string
+ */
+export class MockLLMExecutor extends AgentExecutor {
+  constructor(options = {}) {
+    super({ name: 'mock-llm', ...options });
+    this.model = options.model || 'mock-llm-1';
+    this.latency = options.latency || 0;
+    this.responses = options.responses || [];
+    this.promptBuilder = options.promptBuilder || null;
+    this.timeout = options.timeout || 30000;
+  }
+
+  buildPrompt(context) {
+    if (this.promptBuilder) {
+      return this.promptBuilder(context);
+    }
+
+    const { subtask, agent, memory } = context;
+    const lines = [
+      subtask.description,
+      `Role: ${agent.type}`,
+      `Capabilities: ${agent.capabilities.join(', ')}`
+    ];
+
+    if (memory?.local?.size > 0) {
+      lines.push(`Memory: ${Array.from(memory.local.keys()).join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  async execute(context) {
+    const prompt = this.buildPrompt(context);
+    const request = {
+      model: this.model,
+      prompt,
+      latency: this.latency,
+      agent: { id: context.agent.id, type: context.agent.type },
+      responses: this.responses.map(r => ({
+        pattern: r.pattern instanceof RegExp ? r.pattern.source : r.pattern,
+        text: r.text,
+        error: r.error
+      }))
+    };
+
+    const result = await runProcess(process.execPath, ['-e', MOCK_LLM_SCRIPT], {
+      input: JSON.stringify(request),
+      timeout: this.timeout,
+      signal: context.signal
+    });
+
+    if (result.aborted) {
+      return this.createResult(null, { error: 'Mock LLM request aborted' });
+    }
+
+    if (result.timedOut) {
+      return this.createResult(null, { error: `Mock LLM timed out after ${this.timeout}ms` });
+    }
+
+    if (result.exitCode !== 0) {
+      return this.createResult(null, { error: result.stderr.trim() || `Mock LLM exited with code ${result.exitCode}` });
+    }
+
+    const response = JSON.parse(result.stdout);
+
+    return this.createResult(response.text, {
+      tokenUsage: response.usage,
+      metadata: { model: response.model, pid: result.pid }
+    });
+  }
+}
+
+/**
+ * Run a child process and collect its output
+ */
+function runProcess(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd: options.cwd,
+      env: options.env || process.env,
+      shell: options.shell || false,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let aborted = false;
+    let timer = null;
+
+    if (options.timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, options.timeout);
+    }
+
+    const onAbort = () => {
+      aborted = true;
+      child.kill('SIGTERM');
+    };
+
+    if (options.signal?.aborted) {
+      onAbort();
+    } else {
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onAbort);
+    };
+
+    child.on('error', error => {
+      cleanup();
+      reject(error);
+    });
+
+    child.on('close', (exitCode, signal) => {
+      cleanup();
+      resolve({ pid: child.pid, stdout, stderr, exitCode, signal, timedOut, aborted });
+    });
+
+    // Commands that never read stdin may close it before we finish writing
+    child.stdin.on('error', () => {});
+    child.stdin.end(options.input || '');
+  });
+}
+
+export default {
+  AgentExecutor,
+  SimulatedExecutor,
+  ShellExecutor,
+  MockLLMExecutor
+};
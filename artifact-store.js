@@ -0,0 +1,150 @@
+/**
+ * Claude Flow Artifact Store
+ * Content-addressed storage for subtask outputs and task results
+ */
+
+import { createHash } from 'crypto';
+
+export const ARTIFACT_KINDS = ['text', 'json', 'file'];
+
+const DEFAULT_MEDIA_TYPES = {
+  text: 'text/plain',
+  json: 'application/json',
+  file: 'application/octet-stream'
+};
+
+/**
+ * Stores artifacts under the hash of their kind and content, so identical
+ * outputs are kept once however many subtasks produce them. An artifact is
+ * one of:
+ *   - text: a string
+ *   - json: any JSON value
+ *   - file: a named string or Buffer, such as a generated source file
+ *
+ * Artifacts go to a memory namespace when a memory backend ({ store,
+ * retrieve, has }) is given, and stay in process otherwise. Callers keep
+ * references ({ id, kind, name, mediaType, size }) and fetch content by id.
+ */
+export class ArtifactStore {
+  constructor(options = {}) {
+    this.memory = options.memory || null;
+    this.namespace = options.namespace || 'artifacts';
+    this.local = new Map();
+  }
+
+  /**
+   * Store an artifact ({ kind, content, name, mediaType }) and return its reference
+   */
+  async put(artifact) {
+    const kind = artifact.kind || (typeof artifact.content === 'string' ? 'text' : 'json');
+    if (!ARTIFACT_KINDS.includes(kind)) {
+      throw new Error(`Unknown artifact kind: ${kind} (expected one of ${ARTIFACT_KINDS.join(', ')})`);
+    }
+    if (kind === 'file' && !artifact.name) {
+      throw new Error('File artifacts need a name');
+    }
+
+    const bytes = encode(kind, artifact.content);
+    const id = `sha256:${createHash('sha256').update(`${kind}\n`).update(bytes).digest('hex')}`;
+    const mediaType = artifact.mediaType || DEFAULT_MEDIA_TYPES[kind];
+
+    if (!(await this.has(id))) {
+      const record = {
+        id,
+        kind,
+        mediaType,
+        size: bytes.length,
+        encoding: Buffer.isBuffer(artifact.content) ? 'base64' : 'utf8',
+        content: Buffer.isBuffer(artifact.content) ? artifact.content.toString('base64') : artifact.content,
+        created: Date.now()
+      };
+
+      if (this.memory) {
+        await this.memory.store(id, record, { namespace: this.namespace, tags: ['artifact', kind] });
+      } else {
+        this.local.set(id, record);
+      }
+    }
+
+    return { id, kind, name: artifact.name || null, mediaType, size: bytes.length };
+  }
+
+  async putAll(artifacts) {
+    const refs = [];
+    for (const artifact of artifacts) {
+      refs.push(await this.put(artifact));
+    }
+    return refs;
+  }
+
+  /**
+   * Fetch an artifact by id. Base64 file content comes back as a Buffer.
+   */
+  async get(id) {
+    const record = this.memory
+      ? await this.memory.retrieve(id, this.namespace)
+      : this.local.get(id);
+
+    if (!record) {
+      return null;
+    }
+
+    return {
+      ...record,
+      content: record.encoding === 'base64' ? Buffer.from(record.content, 'base64') : record.content
+    };
+  }
+
+  async has(id) {
+    if (this.memory) {
+      return this.memory.has(id, this.namespace);
+    }
+    return this.local.has(id);
+  }
+}
+
+/**
+ * The artifacts an executor result produces: its output as text or JSON,
+ * followed by any artifacts it declared
+ */
+export function outputArtifacts(outcome = {}) {
+  const artifacts = [];
+
+  if (outcome.output !== null && outcome.output !== undefined) {
+    artifacts.push({
+      kind: typeof outcome.output === 'string' ? 'text' : 'json',
+      name: 'output',
+      content: outcome.output
+    });
+  }
+
+  return artifacts.concat(outcome.artifacts || []);
+}
+
+function encode(kind, content) {
+  if (Buffer.isBuffer(content)) {
+    return content;
+  }
+  if (kind === 'json') {
+    return Buffer.from(canonicalJSON(content ?? null));
+  }
+  return Buffer.from(String(content ?? ''));
+}
+
+/**
+ * JSON with sorted object keys, so equal values hash alike
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+export default ArtifactStore;
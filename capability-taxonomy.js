@@ -0,0 +1,152 @@
+/**
+ * Claude Flow Capability Taxonomy
+ * Canonical capability names with synonyms and a parent/child hierarchy,
+ * used to match what a subtask needs against what an agent offers
+ */
+
+// name: { parent, synonyms }
+const DEFAULT_CAPABILITIES = {
+  planning: { synonyms: ['orchestration', 'coordination', 'planner'] },
+  monitoring: { synonyms: ['observability', 'alerting', 'monitor'] },
+  metrics: { parent: 'monitoring' },
+  analysis: { synonyms: ['research', 'investigation', 'researcher', 'analyst'] },
+  search: { parent: 'analysis' },
+  'data-analysis': { parent: 'analysis', synonyms: ['data'] },
+  reporting: { parent: 'analysis' },
+  design: { synonyms: ['architecture', 'structure', 'architect'] },
+  patterns: { parent: 'design' },
+  implementation: { synonyms: ['coding', 'development', 'programming', 'coder'] },
+  debugging: { parent: 'implementation' },
+  refactoring: { parent: 'implementation' },
+  testing: { synonyms: ['qa', 'tester', 'verification'] },
+  validation: { parent: 'testing' },
+  quality: { parent: 'testing' },
+  review: { synonyms: ['reviewer', 'audit'] },
+  feedback: { parent: 'review' },
+  approval: { parent: 'review' },
+  optimization: { synonyms: ['performance', 'tuning', 'optimizer'] },
+  efficiency: { parent: 'optimization' },
+  scaling: { parent: 'optimization' },
+  documentation: { synonyms: ['docs', 'documenter', 'writing'] },
+  examples: { parent: 'documentation' },
+  guides: { parent: 'documentation' },
+  deployment: { synonyms: ['release', 'delivery', 'ops'] },
+  'domain-specific': { synonyms: ['general', 'specialist'] },
+  custom: { parent: 'domain-specific' },
+  flexible: { parent: 'domain-specific' }
+};
+
+// Strength of a match, by how the agent's capability relates to the required one
+export const MATCH_STRENGTHS = {
+  exact: 1,
+  broader: 0.6,
+  narrower: 0.4,
+  none: 0
+};
+
+export class CapabilityTaxonomy {
+  /**
+   * @param {object} options
+   * @param {object} options.capabilities - extra { name: { parent, synonyms } } definitions
+   * @param {object} options.strengths - overrides for MATCH_STRENGTHS
+   */
+  constructor(options = {}) {
+    this.parents = new Map();
+    this.aliases = new Map();
+    this.strengths = { ...MATCH_STRENGTHS, ...options.strengths };
+
+    for (const [name, definition] of Object.entries({ ...DEFAULT_CAPABILITIES, ...options.capabilities })) {
+      this.define(name, definition);
+    }
+  }
+
+  /**
+   * Add or extend a capability
+   */
+  define(name, definition = {}) {
+    const canonical = normalize(name);
+
+    if (definition.parent) {
+      const parent = this.canonicalize(definition.parent);
+      if (parent === canonical || this.getAncestors(parent).includes(canonical)) {
+        throw new Error(`Capability ${name} cannot have ${definition.parent} as parent: hierarchy would loop`);
+      }
+      this.parents.set(canonical, parent);
+    } else if (!this.parents.has(canonical)) {
+      this.parents.set(canonical, null);
+    }
+
+    for (const synonym of definition.synonyms || []) {
+      this.aliases.set(normalize(synonym), canonical);
+    }
+  }
+
+  canonicalize(name) {
+    const normalized = normalize(name);
+    return this.aliases.get(normalized) || normalized;
+  }
+
+  getAncestors(name) {
+    const ancestors = [];
+    for (let parent = this.parents.get(this.canonicalize(name)); parent; parent = this.parents.get(parent)) {
+      ancestors.push(parent);
+    }
+    return ancestors;
+  }
+
+  /**
+   * How well a set of agent capabilities covers one required capability.
+   * An agent with a broader capability (implementation for debugging) is a
+   * better fit than one with a narrower one (debugging for implementation).
+   */
+  match(required, offered) {
+    const capability = this.canonicalize(required);
+    let best = { capability, matchedBy: null, relation: 'none', strength: this.strengths.none };
+
+    for (const candidate of offered) {
+      const canonical = this.canonicalize(candidate);
+      let relation = 'none';
+
+      if (canonical === capability) {
+        relation = 'exact';
+      } else if (this.getAncestors(capability).includes(canonical)) {
+        relation = 'broader';
+      } else if (this.getAncestors(canonical).includes(capability)) {
+        relation = 'narrower';
+      }
+
+      if (this.strengths[relation] > best.strength) {
+        best = { capability, matchedBy: candidate, relation, strength: this.strengths[relation] };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Match every required capability; coverage is the mean strength
+   */
+  matchAll(required, offered) {
+    const matches = [...new Set(required.map(name => this.canonicalize(name)))]
+      .map(capability => this.match(capability, offered));
+
+    const coverage = matches.length > 0
+      ? matches.reduce((sum, match) => sum + match.strength, 0) / matches.length
+      : 1;
+
+    return { coverage, matches };
+  }
+
+  describe() {
+    return Object.fromEntries(Array.from(this.parents, ([name, parent]) => [name, {
+      parent,
+      synonyms: Array.from(this.aliases).filter(([, canonical]) => canonical === name).map(([alias]) => alias)
+    }]));
+  }
+}
+
+function normalize(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+export default CapabilityTaxonomy;
@@ -9,9 +9,17 @@ import ClaudeFlowInitializer from './claude-flow-init.js';
 import MemoryPersistence from './memory-persistence.js';
 import AgentCoordinator from './agent-coordination.js';
 import SessionManager from './session-manager.js';
+import { SYSTEM_SENDER } from './message-bus.js';
+import { compareDecomposition, runDecompositionCases, parseSpecText } from './task-decomposer.js';
+import WorkflowEngine from './workflow-engine.js';
+import ArtifactStore from './artifact-store.js';
+import { isAlive } from './file-lock.js';
 import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
+import { hostname } from 'os';
+import { fileURLToPath } from 'url';
+import { createInterface } from 'readline/promises';
 import { EventEmitter } from 'events';
 
 export class ClaudeFlowCore extends EventEmitter {
@@ -24,13 +32,18 @@ export class ClaudeFlowCore extends EventEmitter {
     this.memory = null;
     this.coordinator = null;
     this.sessionManager = null;
+    this.workflows = null;
     this.activeSwarmId = null;
+    this.persistQueue = Promise.resolve();
   }
 
   /**
    * Initialize Claude Flow
+   *
+   * Options:
+   *   - resumeTasks: resume tasks interrupted by a previous process (default true)
    */
-  async initialize() {
+  async initialize(options = {}) {
     if (this.initialized) {
       return { already_initialized: true };
     }
@@ -46,15 +59,47 @@ export class ClaudeFlowCore extends EventEmitter {
         basePath: this.config.memory.location,
         maxSize: this.parseSize(this.config.memory.maxSize),
         compression: this.config.memory.compression,
-        encryption: this.config.memory.encryption
+        encryption: this.config.memory.encryption,
+        fsync: this.config.memory.fsync,
+        compactAfter: this.config.memory.compactAfter,
+        lock: this.config.memory.lock,
+        eviction: this.config.memory.eviction,
+        semantic: this.config.memory.semantic
       });
       await this.memory.initialize();
+      await this.memory.ensureNamespace('swarms');
+      await this.memory.ensureNamespace('workflows');
+      await this.memory.ensureNamespace('approvals');
+      await this.memory.ensureNamespace('artifacts');
+      await this.applyMemoryQuotas();
       
       // 3. Initialize agent coordinator
       this.coordinator = new AgentCoordinator({
         topology: this.config.swarm.defaultTopology,
         maxAgents: this.config.swarm.maxAgents,
-        strategies: this.config.swarm.strategies
+        strategies: this.config.swarm.strategies,
+        retryPolicies: this.config.swarm.retryPolicies,
+        queue: this.config.swarm.queue,
+        locks: this.config.swarm.locks,
+        decomposer: this.config.swarm.decomposer,
+        scoring: this.config.swarm.scoring,
+        capabilities: this.config.swarm.capabilities,
+        autoSpawn: this.config.swarm.autoSpawn,
+        scaling: this.config.swarm.scaling,
+        rebalance: this.config.swarm.rebalance,
+        budgets: this.config.swarm.budgets,
+        approvals: this.config.swarm.approvals,
+        reducer: this.config.swarm.reducer,
+        learning: this.config.swarm.learning,
+        owner: { pid: process.pid, host: hostname() },
+        artifactStore: new ArtifactStore({
+          memory: {
+            store: (key, value, storeOptions) => this.queueWrite(() => this.memory.store(key, value, storeOptions)),
+            retrieve: (key, namespace) => this.memory.retrieve(key, namespace),
+            has: (key, namespace) => this.memory.has(key, namespace)
+          }
+        }),
+        memory: this.memory
       });
       
       // 4. Initialize session manager
@@ -64,10 +109,23 @@ export class ClaudeFlowCore extends EventEmitter {
       });
       await this.sessionManager.initialize();
       
-      // 5. Setup event listeners
+      // 5. Workflows run their steps as tasks and wire data through memory
+      this.workflows = new WorkflowEngine({
+        orchestrate: (taskOptions) => this.orchestrateTask(taskOptions),
+        memory: {
+          store: (key, value, storeOptions) => this.storeMemory(key, value, storeOptions),
+          retrieve: (key, namespace) => this.memory.retrieve(key, namespace)
+        },
+        templatesDir: join(process.cwd(), '.claude', 'templates')
+      });
+      
+      // 6. Setup event listeners
       this.setupEventListeners();
       
-      // 6. Create default session
+      // 7. Restore swarms, agents and tasks from previous runs
+      const { interrupted } = await this.rehydrate();
+      
+      // 8. Create default session
       const session = await this.sessionManager.createSession({
         type: 'claude-flow',
         metadata: {
@@ -79,10 +137,20 @@ export class ClaudeFlowCore extends EventEmitter {
       this.initialized = true;
       console.log('✅ Claude Flow Core initialized successfully!');
       
+      if (options.resumeTasks !== false) {
+        for (const taskId of interrupted) {
+          if (!this.isRunningElsewhere(taskId)) {
+            this.coordinator.resumeInterruptedTask(taskId);
+          }
+        }
+      }
+      
       return {
         initialized: true,
         sessionId: session.sessionId,
-        version: this.config.version
+        version: this.config.version,
+        activeSwarmId: this.activeSwarmId,
+        interruptedTasks: interrupted
       };
       
     } catch (error) {
@@ -99,28 +167,82 @@ export class ClaudeFlowCore extends EventEmitter {
     this.ensureInitialized();
     
     const result = await this.coordinator.initSwarm(options);
-    this.activeSwarmId = result.swarmId;
     
     // Update session
     await this.sessionManager.addSwarm(result.swarmId, {
+      name: result.name,
       topology: result.topology,
       maxAgents: result.maxAgents
     });
     
     // Store in memory
-    await this.memory.store(`swarm:${result.swarmId}`, {
-      ...result,
-      created: Date.now()
-    }, { namespace: 'swarms' });
+    await this.persistSwarm(result.swarmId);
+    
+    // A new swarm becomes the active one, as if switched to with useSwarm
+    await this.useSwarm(result.swarmId);
+    
+    return result;
+  }
+
+  /**
+   * Switch the active swarm used when no swarm is given; the choice is
+   * remembered across runs
+   */
+  async useSwarm(reference) {
+    this.ensureInitialized();
+    
+    const result = this.coordinator.useSwarm(reference);
+    this.activeSwarmId = result.swarmId;
+    
+    this.sessionManager.addEvent('swarm_activated', result);
+    await this.enqueuePersist(() => this.memory.store('active', { swarmId: result.swarmId }, { namespace: 'swarms' }));
     
     return result;
   }
 
+  async listSwarms() {
+    this.ensureInitialized();
+    
+    return this.coordinator.listSwarms();
+  }
+
+  /**
+   * Override configuration for one swarm, e.g. { autoSpawn: false } or
+   * { scaling: { idleTimeout: 60000 } }
+   */
+  async configureSwarm(reference, overrides) {
+    this.ensureInitialized();
+    
+    const swarmId = this.resolveSwarmId(reference);
+    const result = this.coordinator.configureSwarm(swarmId, overrides);
+    
+    this.sessionManager.addEvent('swarm_configured', { swarmId, overrides });
+    await this.persistSwarm(swarmId);
+    
+    return result;
+  }
+
+  /**
+   * Id of a swarm given by id or name, or of the active swarm
+   */
+  resolveSwarmId(reference) {
+    if (reference) {
+      return this.coordinator.resolveSwarm(reference).id;
+    }
+    
+    if (!this.activeSwarmId) {
+      throw new Error('No active swarm');
+    }
+    return this.activeSwarmId;
+  }
+
   async spawnAgent(options = {}) {
     this.ensureInitialized();
     
     // Use active swarm if not specified
-    if (!options.swarmId && this.activeSwarmId) {
+    if (options.swarmId) {
+      options.swarmId = this.resolveSwarmId(options.swarmId);
+    } else if (this.activeSwarmId) {
       options.swarmId = this.activeSwarmId;
     }
     
@@ -134,10 +256,7 @@ export class ClaudeFlowCore extends EventEmitter {
     });
     
     // Store in memory
-    await this.memory.store(`agent:${result.agentId}`, {
-      ...result,
-      created: Date.now()
-    }, { namespace: 'agents' });
+    await this.persistAgent(result.agentId);
     
     return result;
   }
@@ -146,38 +265,292 @@ export class ClaudeFlowCore extends EventEmitter {
     this.ensureInitialized();
     
     // Use active swarm if not specified
-    if (!options.swarmId && this.activeSwarmId) {
+    if (options.swarmId) {
+      options.swarmId = this.resolveSwarmId(options.swarmId);
+    } else if (this.activeSwarmId) {
       options.swarmId = this.activeSwarmId;
     }
     
-    const result = await this.coordinator.orchestrateTask(options);
+    const handle = await this.coordinator.orchestrateTask(options);
+    await this.recordTask(handle.taskId, options);
     
+    return handle;
+  }
+
+  /**
+   * Start a task in another swarm that takes a task's results as input
+   *
+   * Options: swarmId (target swarm id or name), task, spec, strategy and the
+   * other orchestrateTask options
+   */
+  async handoffTask(fromTaskId, options = {}) {
+    this.ensureInitialized();
+    
+    const handle = await this.coordinator.handoffTask(fromTaskId, {
+      ...options,
+      swarmId: this.resolveSwarmId(options.swarmId)
+    });
+    const task = this.coordinator.tasks.get(handle.taskId);
+    
+    this.sessionManager.addEvent('task_handoff', { taskId: handle.taskId, ...task.handoff });
+    await this.recordTask(handle.taskId, { ...options, swarmId: task.swarmId });
+    
+    return handle;
+  }
+
+  /**
+   * Resolve with the task summary once the task ends, or with its status as
+   * soon as it pauses (e.g. because a budget ran out) or waits for approval
+   */
+  awaitTask(handle) {
+    return new Promise(resolve => {
+      const finish = (result) => {
+        this.coordinator.off('task:paused', onPaused);
+        this.coordinator.off('approval:requested', onApproval);
+        resolve(result);
+      };
+      
+      const onPaused = ({ taskId }) => {
+        if (taskId !== handle.taskId) return;
+        finish({ taskId, status: 'paused', reason: this.coordinator.tasks.get(taskId).pauseReason || null });
+      };
+      
+      const onApproval = ({ taskId }) => {
+        if (taskId !== handle.taskId) return;
+        finish({
+          taskId,
+          status: 'awaiting_approval',
+          approvals: this.coordinator.getPendingApprovals().filter(approval => approval.taskId === taskId)
+        });
+      };
+      
+      this.coordinator.on('task:paused', onPaused);
+      this.coordinator.on('approval:requested', onApproval);
+      handle.done.then(finish);
+    });
+  }
+
+  async recordTask(taskId, options) {
     // Update session
-    await this.sessionManager.addTask(result.taskId, {
-      description: options.task,
+    await this.sessionManager.addTask(taskId, {
+      description: this.coordinator.tasks.get(taskId).description,
       strategy: options.strategy,
       swarmId: options.swarmId
     });
     
-    // Store in memory
-    await this.memory.store(`task:${result.taskId}`, {
-      ...options,
-      taskId: result.taskId,
-      created: Date.now()
-    }, { namespace: 'tasks' });
+    // Store in memory; progress is persisted as subtasks finish
+    await this.persistTask(taskId);
+  }
+
+  registerExecutor(agentType, executor) {
+    this.ensureInitialized();
+    
+    this.coordinator.registerExecutor(agentType, executor);
+    
+    return { registered: true, agentType, executor: executor.name };
+  }
+
+  registerDecomposer(name, decomposer) {
+    this.ensureInitialized();
+    
+    this.coordinator.registerDecomposer(name, decomposer);
+    
+    return { registered: true, name, decomposer: decomposer.name };
+  }
+
+  /**
+   * Show how a task would be decomposed, optionally checked against an
+   * expected subtask graph
+   */
+  async decomposeTask(options = {}) {
+    this.ensureInitialized();
+    
+    const subtasks = await this.coordinator.previewDecomposition(options);
+    const keys = new Map(subtasks.map(subtask => [subtask.id, subtask.key]));
+    
+    const components = subtasks.map(subtask => ({
+      key: subtask.key,
+      description: subtask.description,
+      type: subtask.type,
+      dependencies: subtask.dependencies.map(id => keys.get(id))
+    }));
+    
+    return {
+      subtasks: components,
+      comparison: options.expected ? compareDecomposition(components, options.expected) : null
+    };
+  }
+
+  /**
+   * Run decomposition cases ([{ name, task, expected }]) against the
+   * registered decomposers
+   */
+  async runDecompositionCases(cases) {
+    this.ensureInitialized();
+    
+    return runDecompositionCases({
+      decompose: (task) => this.coordinator.getDecomposer(
+        task.decomposer || (task.spec ? 'spec' : this.coordinator.defaultDecomposer)
+      ).decompose(task)
+    }, cases);
+  }
+
+  async explainTask(taskId) {
+    this.ensureInitialized();
+    
+    return this.coordinator.explainTask(taskId);
+  }
+
+  async cancelTask(taskId, reason) {
+    this.ensureInitialized();
+    
+    const result = await this.coordinator.cancelTask(taskId, reason);
+    this.sessionManager.addEvent('task_cancelled', { taskId, reason });
+    
+    return result;
+  }
+
+  async pauseTask(taskId) {
+    this.ensureInitialized();
+    
+    const result = await this.coordinator.pauseTask(taskId);
+    this.sessionManager.addEvent('task_paused', { taskId });
     
     return result;
   }
 
+  /**
+   * Resume a paused task, or an interrupted one. options.force takes over a
+   * task from a process that still seems to run it.
+   */
+  async resumeTask(taskId, options = {}) {
+    this.ensureInitialized();
+    
+    // Tasks cut short by a previous process restart from their last completed subtask
+    const task = this.coordinator.tasks.get(taskId);
+    if (task?.status === 'interrupted' && this.isRunningElsewhere(taskId) && !options.force) {
+      throw new Error(`Task ${taskId} is still run by process ${task.owner.pid} on ${task.owner.host}; pass --force to take it over`);
+    }
+    
+    const result = task?.status === 'interrupted'
+      ? this.coordinator.resumeInterruptedTask(taskId)
+      : await this.coordinator.resumeTask(taskId);
+    this.sessionManager.addEvent('task_resumed', { taskId });
+    
+    return result;
+  }
+
+  /**
+   * Approve or reject a subtask waiting for a human. The decision is kept in
+   * memory and the session, so a process running the task picks it up and
+   * an interrupted task applies it when resumed.
+   */
+  async decideApproval(subtaskId, decision, options = {}) {
+    this.ensureInitialized();
+    
+    const result = this.coordinator.decideApproval(subtaskId, decision, options);
+    
+    await this.enqueuePersist(() => this.memory.store(`approval:${subtaskId}`, result, { namespace: 'approvals' }));
+    await this.sessionManager.recordApproval(result);
+    
+    // The process running the task persists it once it has applied the decision
+    if (!this.isRunningElsewhere(result.taskId)) {
+      await this.persistTask(result.taskId);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Whether another live process owns a task this process only loaded from
+   * memory. Owners on other hosts cannot be checked and count as alive.
+   */
+  isRunningElsewhere(taskId) {
+    const task = this.coordinator.tasks.get(taskId);
+    const owner = task?.owner;
+    if (task?.status !== 'interrupted' || !owner) return false;
+    if (owner.host !== hostname()) return true;
+    
+    return owner.pid !== process.pid && isAlive(owner.pid);
+  }
+
+  async getPendingApprovals() {
+    this.ensureInitialized();
+    
+    return this.coordinator.getPendingApprovals();
+  }
+
+  /**
+   * Poll memory for a decision on a subtask made by another process
+   */
+  watchApproval(subtaskId) {
+    const interval = this.config.swarm.approvals?.pollInterval || 2000;
+    
+    const isWaiting = () => this.coordinator.getPendingApprovals().some(approval => approval.subtaskId === subtaskId);
+    
+    const timer = setInterval(async () => {
+      try {
+        if (!isWaiting()) {
+          clearInterval(timer);
+          return;
+        }
+        
+        const decision = await this.memory.retrieve(`approval:${subtaskId}`, 'approvals');
+        if (!decision?.decision) return;
+        
+        clearInterval(timer);
+        // Decided here or cancelled while memory was read
+        if (isWaiting()) {
+          this.coordinator.decideApproval(subtaskId, decision.decision, decision);
+        }
+      } catch (error) {
+        clearInterval(timer);
+        console.error(`Failed to apply the approval decision for ${subtaskId}:`, error.message);
+      }
+    }, interval);
+    timer.unref?.();
+  }
+
+  setRetryPolicy(agentType, policy) {
+    this.ensureInitialized();
+    
+    this.coordinator.setRetryPolicy(agentType, policy);
+    
+    return { agentType, policy: this.coordinator.retryPolicies.get(agentType) };
+  }
+
   async getSwarmStatus(swarmId) {
     this.ensureInitialized();
     
-    swarmId = swarmId || this.activeSwarmId;
-    if (!swarmId) {
-      throw new Error('No active swarm');
+    return this.coordinator.getSwarmStatus(this.resolveSwarmId(swarmId));
+  }
+
+  /**
+   * Preview which agents a rebalance would remove or drain, or apply it
+   *
+   * Options:
+   *   - policy: rebalance policy name (default swarm.rebalance.policy)
+   *   - maxAgents: capacity to rebalance to (default the swarm's maxAgents)
+   *   - apply: carry out the plan instead of only returning it
+   */
+  async rebalanceSwarm(options = {}) {
+    this.ensureInitialized();
+    
+    const swarmId = this.resolveSwarmId(options.swarmId);
+    
+    if (!options.apply) {
+      return { applied: false, ...this.coordinator.planRebalance(swarmId, options) };
     }
     
-    return this.coordinator.getSwarmStatus(swarmId);
+    const plan = await this.coordinator.rebalanceSwarm(swarmId, options);
+    this.sessionManager.addEvent('swarm_rebalanced', {
+      swarmId,
+      policy: plan.policy,
+      changes: plan.changes.map(change => ({ agentId: change.agentId, type: change.type, action: change.action }))
+    });
+    await this.persistSwarm(swarmId);
+    
+    return { applied: true, ...plan };
   }
 
   async getTaskStatus(taskId) {
@@ -192,29 +565,209 @@ export class ClaudeFlowCore extends EventEmitter {
       id: task.id,
       status: task.status,
       progress: task.subtasks.filter(st => st.completed).length / task.subtasks.length,
+      subtasks: task.subtasks.map(st => ({
+        id: st.id,
+        description: st.description,
+        status: st.status
+      })),
       created: task.created,
       started: task.started,
-      completed: task.completed
+      completed: task.completed,
+      pauseReason: task.pauseReason || null,
+      budget: this.coordinator.budgets.describe('task', task.id),
+      result: task.result || null
     };
   }
 
-  async destroySwarm(swarmId) {
+  /**
+   * The combined result of a task; options.content adds the content of
+   * every subtask artifact
+   */
+  async getTaskResult(taskId, options = {}) {
     this.ensureInitialized();
     
-    swarmId = swarmId || this.activeSwarmId;
-    if (!swarmId) {
-      throw new Error('No active swarm');
+    return this.coordinator.getTaskResult(taskId, options);
+  }
+
+  /**
+   * Set or raise the budget of a swarm ({ swarmId }) or task ({ taskId }):
+   * tokens, time (ms), cost (USD) and onExceeded ('pause' or 'fail')
+   */
+  async setBudget(options = {}) {
+    this.ensureInitialized();
+    
+    const { swarmId, taskId, ...budget } = options;
+    const status = taskId
+      ? this.coordinator.setBudget('task', taskId, budget)
+      : this.coordinator.setBudget('swarm', this.resolveSwarmId(swarmId), budget);
+    
+    this.sessionManager.addEvent('budget_updated', { scope: status.scope, id: status.id, budget });
+    if (taskId) {
+      await this.persistTask(taskId);
+    } else {
+      await this.persistSwarm(status.id);
     }
     
+    return status;
+  }
+
+  async destroySwarm(reference) {
+    this.ensureInitialized();
+    
+    const swarmId = this.resolveSwarmId(reference);
+    
+    const agentIds = Array.from(this.coordinator.swarms.get(swarmId)?.agents || []);
     const result = await this.coordinator.destroySwarm(swarmId);
     
     if (swarmId === this.activeSwarmId) {
-      this.activeSwarmId = null;
+      this.activeSwarmId = this.coordinator.getActiveSwarmId();
+    }
+    
+    // Forget the swarm so it is not restored on the next run
+    await this.enqueuePersist(async () => {
+      await this.memory.delete(`swarm:${swarmId}`, 'swarms');
+      for (const agentId of agentIds) {
+        await this.memory.delete(`agent:${agentId}`, 'agents');
+      }
+    });
+    
+    return result;
+  }
+
+  /**
+   * Persistence of coordinator state
+   */
+
+  async rehydrate() {
+    const load = async (pattern, namespace) => {
+      const records = [];
+      for (const entry of await this.memory.list(pattern, namespace)) {
+        const value = await this.memory.retrieve(entry.key, namespace);
+        // Skip records written before snapshots carried their id
+        if (value?.id) records.push(value);
+      }
+      return records;
+    };
+    
+    const model = await this.memory.retrieve('performance-model', 'agents');
+    if (model) {
+      this.coordinator.performanceModel.restore(model);
+    }
+    
+    const result = this.coordinator.rehydrate({
+      swarms: (await load('swarm:*', 'swarms')).filter(swarm => swarm.status === 'active'),
+      agents: await load('agent:*', 'agents'),
+      tasks: await load('task:*', 'tasks')
+    });
+    
+    // Return to the swarm last switched to, if it still exists
+    const active = await this.memory.retrieve('active', 'swarms');
+    if (active?.swarmId && this.coordinator.swarms.has(active.swarmId)) {
+      this.coordinator.useSwarm(active.swarmId);
     }
+    this.activeSwarmId = this.coordinator.getActiveSwarmId();
     
     return result;
   }
 
+  /**
+   * Run persistence writes one at a time so index updates never interleave
+   */
+  enqueuePersist(operation) {
+    this.persistQueue = this.persistQueue
+      .then(operation)
+      .catch(error => console.error('Failed to persist coordinator state:', error.message));
+    
+    return this.persistQueue;
+  }
+
+  /**
+   * Run a write on the persistence queue, so index updates never interleave,
+   * and pass its outcome on to the caller
+   */
+  queueWrite(operation) {
+    const write = this.persistQueue.then(operation);
+    this.persistQueue = write.catch(() => {});
+    
+    return write;
+  }
+
+  /**
+   * Wait for every queued persistence write, including ones queued meanwhile
+   */
+  async flushPersistence() {
+    let pending;
+    do {
+      pending = this.persistQueue;
+      await pending;
+    } while (pending !== this.persistQueue);
+  }
+
+  persistSwarm(swarmId) {
+    return this.enqueuePersist(async () => {
+      const swarm = this.coordinator.swarms.get(swarmId);
+      if (swarm) {
+        await this.memory.store(`swarm:${swarmId}`, this.coordinator.serializeSwarm(swarm), { namespace: 'swarms' });
+      }
+    });
+  }
+
+  persistAgent(agentId) {
+    return this.enqueuePersist(async () => {
+      const agent = this.coordinator.agents.get(agentId);
+      if (agent) {
+        await this.memory.store(`agent:${agentId}`, this.coordinator.serializeAgent(agent), { namespace: 'agents' });
+      }
+    });
+  }
+
+  persistPerformanceModel() {
+    return this.enqueuePersist(() =>
+      this.memory.store('performance-model', this.coordinator.performanceModel.serialize(), { namespace: 'agents' })
+    );
+  }
+
+  persistTask(taskId) {
+    return this.enqueuePersist(async () => {
+      const task = this.coordinator.tasks.get(taskId);
+      if (task) {
+        await this.memory.store(`task:${taskId}`, this.coordinator.serializeTask(task), { namespace: 'tasks' });
+      }
+    });
+  }
+
+  /**
+   * Messaging operations
+   */
+
+  async sendMessage(agentId, payload) {
+    this.ensureInitialized();
+    
+    return this.coordinator.messageBus.send(SYSTEM_SENDER, agentId, payload);
+  }
+
+  async getMessageLog(filter = {}) {
+    this.ensureInitialized();
+    
+    const events = this.sessionManager.currentSession?.events || [];
+    const messages = events
+      .filter(event => event.type === 'message_sent')
+      .map(event => event.data);
+    
+    return messages.filter(message =>
+      (!filter.kind || message.kind === filter.kind) &&
+      (!filter.topic || message.topic === filter.topic) &&
+      (!filter.agentId || message.from === filter.agentId || [].concat(message.to).includes(filter.agentId))
+    );
+  }
+
+  async replayMessages(filter = {}) {
+    this.ensureInitialized();
+    
+    const messages = await this.getMessageLog(filter);
+    return this.coordinator.messageBus.replay(messages);
+  }
+
   /**
    * Memory operations
    */
@@ -222,7 +775,7 @@ export class ClaudeFlowCore extends EventEmitter {
   async storeMemory(key, value, options = {}) {
     this.ensureInitialized();
     
-    const result = await this.memory.store(key, value, options);
+    const result = await this.queueWrite(() => this.memory.store(key, value, options));
     
     // Update session memory
     await this.sessionManager.updateMemory(key, value);
@@ -230,16 +783,74 @@ export class ClaudeFlowCore extends EventEmitter {
     return result;
   }
 
+  /**
+   * Bring namespace quotas in line with config.memory.quotas
+   */
+  async applyMemoryQuotas() {
+    for (const [namespace, quota] of Object.entries(this.config.memory.quotas || {})) {
+      const config = { ...quota, ...(quota.maxSize !== undefined && { maxSize: this.parseSize(quota.maxSize) }) };
+      const current = this.memory.namespaces.get(namespace);
+      
+      if (!current) {
+        await this.memory.ensureNamespace(namespace, config);
+      } else if (Object.entries(config).some(([name, value]) => current[name] !== value)) {
+        await this.memory.configureNamespace(namespace, config);
+      }
+    }
+  }
+
+  async getMemoryUsage() {
+    this.ensureInitialized();
+    
+    return this.memory.getUsage();
+  }
+
+  /**
+   * Change the quota of a namespace; options: maxSize ('20MB' or bytes), eviction,
+   * evictable (whether the global quota may evict its entries)
+   */
+  async setMemoryQuota(namespace, options = {}) {
+    this.ensureInitialized();
+    
+    const config = {};
+    if (options.maxSize !== undefined) config.maxSize = this.parseSize(options.maxSize);
+    if (options.eviction !== undefined) config.eviction = options.eviction;
+    if (options.evictable !== undefined) config.evictable = options.evictable !== false && options.evictable !== 'false';
+    
+    return this.queueWrite(() => this.memory.configureNamespace(namespace, config));
+  }
+
   async retrieveMemory(key, namespace = 'default') {
     this.ensureInitialized();
     
     return this.memory.retrieve(key, namespace);
   }
 
-  async searchMemory(pattern, options = {}) {
+  /**
+   * Ranked full-text search; see MemoryPersistence.search for the query syntax
+   */
+  async searchMemory(query, options = {}) {
+    this.ensureInitialized();
+    
+    return this.memory.search(query, options);
+  }
+
+  /**
+   * Entries closest in meaning to a text; options: k, namespaces, minScore
+   */
+  async searchSimilar(text, options = {}) {
     this.ensureInitialized();
     
-    return this.memory.search(pattern, options);
+    return this.memory.searchSimilar(text, options);
+  }
+
+  async rebuildSearchIndex() {
+    this.ensureInitialized();
+    
+    return this.queueWrite(async () => ({
+      search: await this.memory.rebuildSearchIndex(),
+      semantic: await this.memory.rebuildSemanticIndex()
+    }));
   }
 
   async listMemory(pattern = '*', namespace = 'default') {
@@ -248,6 +859,38 @@ export class ClaudeFlowCore extends EventEmitter {
     return this.memory.list(pattern, namespace);
   }
 
+  /**
+   * Workflow operations
+   */
+
+  async listWorkflows() {
+    this.ensureInitialized();
+    
+    return this.workflows.list();
+  }
+
+  async validateWorkflow(reference) {
+    this.ensureInitialized();
+    
+    return this.workflows.validate(reference);
+  }
+
+  async runWorkflow(reference, options = {}) {
+    this.ensureInitialized();
+    
+    this.sessionManager.addEvent('workflow_started', { workflow: reference, inputs: options.inputs || {} });
+    
+    const run = await this.workflows.run(reference, options);
+    
+    this.sessionManager.addEvent(`workflow_${run.status}`, {
+      runId: run.id,
+      workflow: run.workflow,
+      error: run.error
+    });
+    
+    return run;
+  }
+
   /**
    * Session operations
    */
@@ -273,12 +916,17 @@ export class ClaudeFlowCore extends EventEmitter {
   async exportSession(format = 'json') {
     this.ensureInitialized();
     
+    await this.syncSessionMetrics();
     return this.sessionManager.exportSession(format);
   }
 
   async endSession() {
     this.ensureInitialized();
     
+    if ((await this.getHookActions('sessionEnd')).includes('trainPatterns')) {
+      await this.trainPatterns();
+    }
+    
     const summary = await this.sessionManager.endSession();
     
     // Backup memory
@@ -289,6 +937,38 @@ export class ClaudeFlowCore extends EventEmitter {
     return summary;
   }
 
+  /**
+   * Re-fit the agent performance model from its history and keep the result
+   */
+  async trainPatterns() {
+    this.ensureInitialized();
+    
+    const result = this.coordinator.trainPerformanceModel({ maxAge: this.config.swarm.learning?.maxAge });
+    this.sessionManager.addEvent('patterns_trained', result);
+    await this.persistPerformanceModel();
+    
+    return result;
+  }
+
+  async getPerformanceModel() {
+    this.ensureInitialized();
+    
+    return this.coordinator.performanceModel.describe();
+  }
+
+  /**
+   * Actions configured for a hook in .claude/hooks/config.json
+   */
+  async getHookActions(hook) {
+    const hooksPath = join(process.cwd(), '.claude', 'hooks', 'config.json');
+    if (!this.config.hooks?.enabled || !existsSync(hooksPath)) {
+      return [];
+    }
+    
+    const hooks = JSON.parse(await readFile(hooksPath, 'utf8'));
+    return hooks[hook]?.enabled ? hooks[hook].actions || [] : [];
+  }
+
   /**
    * Utility methods
    */
@@ -298,9 +978,11 @@ export class ClaudeFlowCore extends EventEmitter {
     
     return {
       coordinator: this.coordinator.metrics,
+      budgets: this.coordinator.getBudgetStatus(),
       memory: {
         namespaces: Array.from(this.memory.namespaces.keys()),
-        cacheSize: this.memory.cache.size
+        cacheSize: this.memory.cache.size,
+        usage: await this.memory.getUsage()
       },
       session: this.sessionManager.currentSession?.state.metrics
     };
@@ -309,6 +991,7 @@ export class ClaudeFlowCore extends EventEmitter {
   async performanceReport(options = {}) {
     this.ensureInitialized();
     
+    await this.syncSessionMetrics();
     const metrics = await this.getMetrics();
     const summary = await this.sessionManager.generateSummary();
     
@@ -319,6 +1002,16 @@ export class ClaudeFlowCore extends EventEmitter {
     };
   }
 
+  /**
+   * Copy token, cost and budget consumption into the session
+   */
+  async syncSessionMetrics() {
+    const { tasksCompleted, tokenUsage, cost } = this.coordinator.metrics;
+    
+    await this.sessionManager.updateMetrics({ tasksCompleted, tokensUsed: tokenUsage, cost });
+    this.sessionManager.updateBudgets(this.coordinator.getBudgetStatus());
+  }
+
   /**
    * Helper methods
    */
@@ -330,6 +1023,8 @@ export class ClaudeFlowCore extends EventEmitter {
   }
 
   parseSize(sizeStr) {
+    if (typeof sizeStr === 'number') return sizeStr;
+    
     const match = sizeStr.match(/^(\d+)(MB|GB|KB)?$/i);
     if (!match) return 100 * 1024 * 1024; // Default 100MB
     
@@ -358,11 +1053,108 @@ export class ClaudeFlowCore extends EventEmitter {
       this.emit('task:orchestrated', data);
     });
     
-    // Update metrics on task completion
-    this.coordinator.on('task:completed', async (data) => {
-      await this.sessionManager.updateMetrics({
-        tasksCompleted: this.coordinator.metrics.tasksCompleted
+    const forwarded = [
+      'task:completed', 'task:failed', 'task:cancelled', 'task:paused', 'task:resumed',
+      'subtask:started', 'subtask:completed', 'subtask:failed', 'subtask:artifacts-failed'
+    ];
+    for (const event of forwarded) {
+      this.coordinator.on(event, (data) => this.emit(event, data));
+    }
+    
+    for (const event of ['workflow:started', 'workflow:completed', 'workflow:failed', 'workflow:rejected',
+      'workflow:step-started', 'workflow:step-completed', 'workflow:step-skipped', 'workflow:approval-required']) {
+      this.workflows.on(event, (data) => this.emit(event, data));
+    }
+    
+    // Keep every agent message in the session log for inspection and replay
+    this.coordinator.on('message:sent', (message) => {
+      this.sessionManager.addEvent('message_sent', message);
+      this.emit('message:sent', message);
+    });
+    
+    // Record every scaling decision with the reason behind it
+    this.coordinator.on('agent:auto-spawned', (data) => {
+      this.sessionManager.addAgent(data.agentId, { type: data.type, name: data.name, swarmId: data.swarmId });
+      this.sessionManager.addEvent('scale_up', {
+        agentId: data.agentId,
+        type: data.type,
+        name: data.name,
+        swarmId: data.swarmId,
+        reason: data.reason,
+        subtaskIds: data.subtaskIds
+      });
+      this.emit('agent:auto-spawned', data);
+    });
+    
+    this.coordinator.on('agent:retired', (data) => {
+      this.sessionManager.addEvent('scale_down', { ...data, reason: 'idle-timeout' });
+      this.persistSwarm(data.swarmId);
+      this.emit('agent:retired', data);
+    });
+    
+    this.coordinator.on('agent:draining', (data) => {
+      this.sessionManager.addEvent('agent_draining', data);
+    });
+    
+    // Persist state changes so a later process can pick up where this one left off
+    this.coordinator.on('agent:spawned', ({ agentId, swarmId }) => {
+      this.persistAgent(agentId);
+      this.persistSwarm(swarmId);
+    });
+    
+    this.coordinator.on('agent:removed', ({ agentId }) => {
+      this.enqueuePersist(() => this.memory.delete(`agent:${agentId}`, 'agents'));
+    });
+    
+    const taskEvents = [
+      'task:orchestrated', 'task:completed', 'task:failed', 'task:cancelled', 'task:paused', 'task:resumed',
+      'subtask:completed', 'subtask:failed'
+    ];
+    for (const event of taskEvents) {
+      this.coordinator.on(event, ({ taskId }) => {
+        this.persistTask(taskId);
+      });
+    }
+    
+    this.coordinator.on('task:orchestrated', ({ taskId }) => {
+      const swarmId = this.coordinator.tasks.get(taskId)?.swarmId;
+      if (swarmId) this.persistSwarm(swarmId);
+    });
+    
+    for (const event of ['subtask:completed', 'subtask:failed']) {
+      this.coordinator.on(event, ({ agentId }) => {
+        if (agentId) this.persistAgent(agentId);
+      });
+    }
+    
+    // Update metrics and keep what the performance model learned when a task ends
+    for (const event of ['task:completed', 'task:failed', 'task:cancelled']) {
+      this.coordinator.on(event, () => {
+        this.syncSessionMetrics();
+        this.persistPerformanceModel();
       });
+    }
+    
+    this.coordinator.on('approval:requested', (data) => {
+      this.sessionManager.addEvent('approval_requested', data);
+      this.persistTask(data.taskId);
+      this.watchApproval(data.subtaskId);
+      this.emit('approval:requested', data);
+    });
+    
+    this.coordinator.on('approval:decided', ({ taskId }) => {
+      this.persistTask(taskId);
+    });
+    
+    this.coordinator.on('budget:warning', (data) => {
+      this.sessionManager.addEvent('budget_warning', data);
+      this.emit('budget:warning', data);
+    });
+    
+    this.coordinator.on('budget:exceeded', (data) => {
+      this.sessionManager.addEvent('budget_exceeded', data);
+      this.emit('budget:exceeded', data);
+      if (data.scope === 'swarm') this.persistSwarm(data.id);
     });
   }
 
@@ -377,10 +1169,15 @@ export class ClaudeFlowCore extends EventEmitter {
       });
     }
     
-    if (metrics.coordinator.tasksFailed > metrics.coordinator.tasksCompleted * 0.2) {
+    const { tasksCompleted, tasksFailed, tasksPartiallyFailed } = metrics.coordinator;
+    const tasksFinished = tasksCompleted + tasksFailed + tasksPartiallyFailed;
+    
+    if (tasksFinished > 0 && (tasksFailed + tasksPartiallyFailed) / tasksFinished > 0.2) {
       recommendations.push({
         type: 'reliability',
-        message: 'High failure rate detected. Review task complexity and agent capabilities'
+        message: tasksFailed >= tasksPartiallyFailed
+          ? 'High failure rate detected. Review task complexity and agent capabilities'
+          : 'Many tasks only partially completed. Add retry policies with retryOnDifferentAgent for flaky agent types'
       });
     }
     
@@ -392,6 +1189,35 @@ export class ClaudeFlowCore extends EventEmitter {
       });
     }
     
+    const { usage } = metrics.memory;
+    const full = [
+      ...(usage.utilization >= 0.9 ? [{ label: 'Memory', quota: 'memory.maxSize', ...usage }] : []),
+      ...Object.entries(usage.namespaces)
+        .filter(([, namespace]) => namespace.utilization >= 0.9)
+        .map(([name, namespace]) => ({ label: `Namespace '${name}'`, quota: `its quota (memory quota ${name} --max-size)`, ...namespace }))
+    ];
+    
+    for (const { label, quota, utilization, eviction } of full) {
+      recommendations.push({
+        type: 'memory',
+        message: eviction === 'reject'
+          ? `${label} is ${Math.round(utilization * 100)}% full and will reject new entries. Raise ${quota} or choose an eviction policy`
+          : `${label} is ${Math.round(utilization * 100)}% full and evicts entries by ${eviction}. Raise ${quota} to keep more`
+      });
+    }
+    
+    if (usage.rejected > 0) {
+      recommendations.push({
+        type: 'memory',
+        message: `${usage.rejected} writes were rejected for exceeding memory quotas`
+      });
+    } else if (usage.evicted > 0) {
+      recommendations.push({
+        type: 'memory',
+        message: `${usage.evicted} entries were evicted to stay within memory quotas`
+      });
+    }
+    
     return recommendations;
   }
 
@@ -419,6 +1245,9 @@ export class ClaudeFlowCore extends EventEmitter {
       case 'session':
         return this.handleSessionCommand(args);
         
+      case 'workflow':
+        return this.handleWorkflowCommand(args);
+        
       case 'status':
         return this.getSwarmStatus();
         
@@ -437,9 +1266,43 @@ export class ClaudeFlowCore extends EventEmitter {
     const subcommand = args[0];
     
     switch (subcommand) {
-      case 'init':
-        const topology = args[1] || 'hierarchical';
-        return this.initSwarm({ topology });
+      case 'init': {
+        const { flags, positional } = parseFlags(args.slice(1));
+        return this.initSwarm({
+          topology: positional[0] || 'hierarchical',
+          name: flags.name,
+          maxAgents: flags.max !== undefined ? Number(flags.max) : undefined,
+          config: expandDottedKeys(parseAssignments(flags.set))
+        });
+      }
+        
+      case 'list':
+        return this.listSwarms();
+        
+      case 'use':
+        if (!args[1]) {
+          throw new Error('Usage: swarm use <name>');
+        }
+        return this.useSwarm(args[1]);
+        
+      case 'config': {
+        // --set key=value (repeatable); dotted keys reach nested settings
+        const { flags, positional } = parseFlags(args.slice(1));
+        if (!flags.set) {
+          return this.getSwarmStatus(positional[0]).then(status => status.config);
+        }
+        return this.configureSwarm(positional[0], expandDottedKeys(parseAssignments(flags.set)));
+      }
+        
+      case 'budget': {
+        // swarm budget [name] tokens=100000 time=3600000 cost=5 onExceeded=pause
+        const limits = args.slice(1).filter(arg => arg.includes('='));
+        const swarmId = args.slice(1).find(arg => !arg.includes('='));
+        if (limits.length === 0) {
+          return this.getSwarmStatus(swarmId).then(status => status.budget);
+        }
+        return this.setBudget({ swarmId, ...parseAssignments(limits) });
+      }
         
       case 'status':
         return this.getSwarmStatus(args[1]);
@@ -447,6 +1310,16 @@ export class ClaudeFlowCore extends EventEmitter {
       case 'destroy':
         return this.destroySwarm(args[1]);
         
+      case 'rebalance': {
+        const { flags, positional } = parseFlags(args.slice(1));
+        return this.rebalanceSwarm({
+          swarmId: positional[0],
+          policy: flags.policy,
+          maxAgents: flags.max !== undefined ? Number(flags.max) : undefined,
+          apply: Boolean(flags.apply)
+        });
+      }
+        
       default:
         throw new Error(`Unknown swarm command: ${subcommand}`);
     }
@@ -456,15 +1329,22 @@ export class ClaudeFlowCore extends EventEmitter {
     const subcommand = args[0];
     
     switch (subcommand) {
-      case 'spawn':
-        const type = args[1] || 'specialist';
-        return this.spawnAgent({ type });
+      case 'spawn': {
+        const { flags, positional } = parseFlags(args.slice(1));
+        return this.spawnAgent({ type: positional[0] || 'specialist', swarmId: flags.swarm });
+      }
         
       case 'list':
         const swarmId = args[1] || this.activeSwarmId;
         const status = await this.getSwarmStatus(swarmId);
         return status.agents;
         
+      case 'performance':
+        return this.getPerformanceModel();
+        
+      case 'train':
+        return this.trainPatterns();
+        
       default:
         throw new Error(`Unknown agent command: ${subcommand}`);
     }
@@ -474,18 +1354,148 @@ export class ClaudeFlowCore extends EventEmitter {
     const subcommand = args[0];
     
     switch (subcommand) {
-      case 'run':
-        const task = args.slice(1).join(' ');
-        return this.orchestrateTask({ task });
+      case 'run': {
+        const { flags, positional } = parseFlags(args.slice(1));
+        const handle = await this.orchestrateTask({
+          task: positional.join(' '),
+          spec: flags.spec ? await readFile(flags.spec, 'utf8') : undefined,
+          decomposer: flags.decomposer,
+          reducer: flags.reducer,
+          strategy: flags.strategy,
+          swarmId: flags.swarm,
+          dependencies: flags.after ? [].concat(flags.after) : undefined,
+          // --budget tokens=5000 --budget cost=0.5 (repeatable)
+          budget: flags.budget ? parseAssignments(flags.budget) : undefined
+        });
+        return this.awaitTask(handle);
+      }
+        
+      case 'result': {
+        // task result <taskId> [--artifacts]
+        const { flags, positional } = parseFlags(args.slice(1));
+        if (!positional[0]) {
+          throw new Error('Usage: task result <taskId> [--artifacts]');
+        }
+        return this.getTaskResult(positional[0], { content: Boolean(flags.artifacts) });
+      }
+        
+      case 'budget': {
+        // task budget <taskId> tokens=10000 time=60000 cost=1 onExceeded=fail
+        if (!args[1]) {
+          throw new Error('Usage: task budget <taskId> [resource=limit ...]');
+        }
+        if (args.length === 2) {
+          return this.getTaskStatus(args[1]).then(status => status.budget);
+        }
+        return this.setBudget({ taskId: args[1], ...parseAssignments(args.slice(2)) });
+      }
+        
+      case 'handoff': {
+        // task handoff <taskId> --to <swarm> [description]
+        const { flags, positional } = parseFlags(args.slice(1));
+        if (!positional[0] || !flags.to) {
+          throw new Error('Usage: task handoff <taskId> --to <swarm> [description]');
+        }
+        const handle = await this.handoffTask(positional[0], {
+          swarmId: flags.to,
+          task: positional.slice(1).join(' ') || undefined,
+          spec: flags.spec ? await readFile(flags.spec, 'utf8') : undefined,
+          strategy: flags.strategy
+        });
+        return this.awaitTask(handle);
+      }
+        
+      case 'decompose': {
+        const { flags, positional } = parseFlags(args.slice(1));
+        
+        if (flags.cases) {
+          const data = parseSpecText(await readFile(flags.cases, 'utf8'));
+          return this.runDecompositionCases(Array.isArray(data) ? data : data.cases);
+        }
+        
+        return this.decomposeTask({
+          task: positional.join(' '),
+          spec: flags.spec ? await readFile(flags.spec, 'utf8') : undefined,
+          decomposer: flags.decomposer,
+          expected: flags.expected ? await readFile(flags.expected, 'utf8') : undefined
+        });
+      }
         
       case 'status':
         return this.getTaskStatus(args[1]);
         
+      case 'explain':
+        return this.explainTask(args[1]);
+        
+      case 'cancel':
+        return this.cancelTask(args[1], args.slice(2).join(' ') || undefined);
+        
+      case 'pause':
+        return this.pauseTask(args[1]);
+        
+      case 'resume': {
+        // task resume <taskId> [--force]
+        const { flags, positional } = parseFlags(args.slice(1));
+        const resumed = await this.resumeTask(positional[0], { force: Boolean(flags.force) });
+        return resumed.done ? this.awaitTask(resumed) : resumed;
+      }
+        
+      case 'approvals':
+        return this.getPendingApprovals();
+        
+      case 'approve':
+      case 'reject': {
+        // task approve|reject <subtaskId> [comment]
+        if (!args[1]) {
+          throw new Error(`Usage: task ${subcommand} <subtaskId> [comment]`);
+        }
+        const decision = await this.decideApproval(args[1], subcommand === 'approve' ? 'approved' : 'rejected', {
+          comment: args.slice(2).join(' ') || null,
+          decidedBy: process.env.USER || null
+        });
+        
+        // The process still running the task applies the decision itself
+        if (this.isRunningElsewhere(decision.taskId)) {
+          return { decision, owner: this.coordinator.tasks.get(decision.taskId).owner };
+        }
+        
+        // The task stopped with its previous process; carry on from the decision
+        if (this.coordinator.tasks.get(decision.taskId).status === 'interrupted') {
+          const handle = await this.resumeTask(decision.taskId);
+          return { decision, result: await this.awaitTask(handle) };
+        }
+        return { decision };
+      }
+        
       default:
         throw new Error(`Unknown task command: ${subcommand}`);
     }
   }
 
+  async handleWorkflowCommand(args) {
+    const subcommand = args[0];
+    const { flags, positional } = parseFlags(args.slice(1));
+    
+    switch (subcommand) {
+      case 'list':
+        return this.listWorkflows();
+        
+      case 'validate':
+        return this.validateWorkflow(positional[0]);
+        
+      case 'run': {
+        // --input name=value (repeatable)
+        return this.runWorkflow(positional[0], {
+          inputs: parseAssignments(flags.input),
+          approve: flags.approve ? async () => true : promptApproval
+        });
+      }
+        
+      default:
+        throw new Error(`Unknown workflow command: ${subcommand}`);
+    }
+  }
+
   async handleMemoryCommand(args) {
     const subcommand = args[0];
     
@@ -496,12 +1506,46 @@ export class ClaudeFlowCore extends EventEmitter {
       case 'get':
         return this.retrieveMemory(args[1]);
         
-      case 'search':
-        return this.searchMemory(args[1]);
+      case 'search': {
+        // memory search <query> [--namespace ns] [--tag tag] [--limit n] [--no-snippets]
+        const { flags, positional } = parseFlags(args.slice(1));
+        return this.searchMemory(positional.join(' '), {
+          namespaces: flags.namespace ? [].concat(flags.namespace) : undefined,
+          tags: flags.tag ? [].concat(flags.tag) : undefined,
+          limit: flags.limit ? Number(flags.limit) : undefined,
+          snippets: !flags['no-snippets']
+        });
+      }
+        
+      case 'similar': {
+        // memory similar <text> [--k n] [--namespace ns] [--min-score s]
+        const { flags, positional } = parseFlags(args.slice(1));
+        return this.searchSimilar(positional.join(' '), {
+          k: flags.k ? Number(flags.k) : undefined,
+          namespaces: flags.namespace ? [].concat(flags.namespace) : undefined,
+          minScore: flags['min-score'] !== undefined ? Number(flags['min-score']) : undefined
+        });
+      }
+        
+      case 'reindex':
+        return this.rebuildSearchIndex();
         
       case 'list':
         return this.listMemory(args[1]);
         
+      case 'usage':
+        return this.getMemoryUsage();
+        
+      case 'quota': {
+        // memory quota <namespace> [--max-size 20MB] [--eviction reject|lru|lfu|oldest|ttl] [--evictable true|false]
+        const { flags, positional } = parseFlags(args.slice(1));
+        return this.setMemoryQuota(positional[0], {
+          maxSize: flags['max-size'],
+          eviction: flags.eviction,
+          evictable: flags.evictable
+        });
+      }
+        
       default:
         throw new Error(`Unknown memory command: ${subcommand}`);
     }
@@ -532,6 +1576,85 @@ export class ClaudeFlowCore extends EventEmitter {
   }
 }
 
+/**
+ * Split CLI arguments into --name value flags and positional arguments.
+ * A flag with no value (or followed by another flag) is true; a repeated
+ * flag collects its values in an array.
+ */
+function parseFlags(args) {
+  const flags = {};
+  const positional = [];
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const name = args[i].slice(2);
+      const next = args[i + 1];
+      const value = next !== undefined && !next.startsWith('--') ? args[++i] : true;
+      flags[name] = name in flags ? [].concat(flags[name], value) : value;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  
+  return { flags, positional };
+}
+
+/**
+ * Turn repeated name=value flags into an object; values are parsed as JSON
+ * when possible
+ */
+function parseAssignments(values) {
+  const assignments = {};
+  
+  for (const assignment of [].concat(values || [])) {
+    const [name, ...rest] = String(assignment).split('=');
+    const value = rest.join('=');
+    try {
+      assignments[name] = JSON.parse(value);
+    } catch {
+      assignments[name] = value;
+    }
+  }
+  
+  return assignments;
+}
+
+/**
+ * { 'scaling.idleTimeout': 1000 } -> { scaling: { idleTimeout: 1000 } }
+ */
+function expandDottedKeys(flat) {
+  const nested = {};
+  
+  for (const [key, value] of Object.entries(flat)) {
+    const path = key.split('.');
+    let target = nested;
+    for (const part of path.slice(0, -1)) {
+      target = target[part] = target[part] || {};
+    }
+    target[path[path.length - 1]] = value;
+  }
+  
+  return nested;
+}
+
+/**
+ * Ask on the terminal whether a workflow approval gate may pass.
+ * Without a terminal the gate is rejected; pass --approve to allow it.
+ */
+async function promptApproval(gate) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+  
+  const prompt = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await prompt.question(`Approve step ${gate.stepId} of ${gate.workflow}: ${gate.message} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
+  }
+}
+
 // CLI Interface
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
   const core = new ClaudeFlowCore();
@@ -539,10 +1662,15 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
   const command = process.argv[2];
   const args = process.argv.slice(3);
   
-  core.initialize()
+  // Interrupted tasks are only resumed on request from the CLI (task resume <id>)
+  core.initialize({ resumeTasks: false })
     .then(() => core.handleCommand(command, args))
-    .then(result => {
+    .then(async result => {
       console.log(JSON.stringify(result, null, 2));
+      await core.flushPersistence();
+      // Keep the session events this command produced, such as scaling decisions
+      await core.sessionManager.saveSession();
+      await core.memory.close();
       process.exit(0);
     })
     .catch(error => {
@@ -22,13 +22,73 @@ const DEFAULT_CONFIG = {
     location: './memory',
     maxSize: '100MB',
     ttl: 86400000, // 24 hours
-    namespaces: ['default', 'agents', 'tasks', 'sessions']
+    namespaces: ['default', 'agents', 'tasks', 'swarms', 'sessions', 'workflows', 'approvals', 'artifacts'],
+    fsync: 'interval', // index journals: always (every write), interval (about once a second) or never
+    compactAfter: 5000, // journal operations before an index is compacted into a snapshot
+    eviction: 'reject', // when maxSize is reached: reject, lru, lfu, oldest or ttl (soonest to expire)
+    quotas: {}, // per namespace, e.g. { sessions: { maxSize: '20MB', eviction: 'oldest' } }
+    lock: {
+      staleAfter: 10000, // a lock its holder has not touched for this long is taken over
+      acquireTimeout: 30000 // give up waiting for another process after this long
+    },
+    semantic: {
+      dimensions: 256, // size of the local hashing embeddings
+      tables: 8, // LSH tables; more find more neighbours at the cost of memory
+      bits: 10, // hyperplanes per table; more make buckets smaller
+      exactBelow: 500 // compare against every vector while the index is this small
+    }
   },
   swarm: {
     defaultTopology: 'hierarchical',
     maxAgents: 8,
     strategies: ['parallel', 'sequential', 'adaptive', 'balanced'],
-    autoSpawn: true
+    decomposer: 'rule-based',
+    reducer: 'collect', // how subtask outputs combine into a task result: collect, concat, merge or final
+    scoring: {
+      weights: { capability: 0.5, type: 0.2, successRate: 0.2, speed: 0.1 },
+      referenceTaskTime: 10000
+    },
+    capabilities: {},
+    autoSpawn: true,
+    scaling: {
+      minCoverage: 0.5,
+      idleTimeout: 300000, // 5 minutes
+      minAgents: 1,
+      checkInterval: 30000
+    },
+    rebalance: {
+      policy: 'type-diversity', // lru, lowest-performance or type-diversity
+      gracePeriod: 60000
+    },
+    learning: {
+      alpha: 0.1, // weight of the newest observation in the moving averages
+      priorWeight: 3, // how many observations an agent type's record counts as for a new agent
+      minStrategySamples: 3, // tasks of a shape before adaptive execution trusts learned strategies
+      historySize: 1000, // observations kept for retraining
+      maxAge: null // trainPatterns drops observations older than this (ms)
+    },
+    approvals: {
+      requiredFor: [], // capabilities that always need a human, e.g. ['approval']
+      pollInterval: 2000 // how often a waiting task checks for decisions made by another process
+    },
+    budgets: {
+      thresholds: [0.5, 0.8], // warn at these fractions of a limit
+      onExceeded: 'pause', // or 'fail'
+      pricing: { '*': { prompt: 0.003, completion: 0.015 } }, // USD per 1000 tokens
+      swarm: null, // default limits, e.g. { tokens: 100000, time: 3600000, cost: 5 }
+      task: null
+    },
+    locks: {
+      defaultTtl: 60000,
+      acquireTimeout: 30000
+    },
+    queue: {
+      maxDepth: 1000,
+      agingInterval: 30000
+    },
+    retryPolicies: {
+      '*': { maxAttempts: 1, backoff: { initialDelay: 1000, factor: 2, maxDelay: 30000 } }
+    }
   },
   neural: {
     enabled: true,
@@ -187,11 +247,12 @@ class ClaudeFlowInitializer {
       maxAgents: config.swarm.maxAgents,
       strategies: config.swarm.strategies,
       autoSpawn: config.swarm.autoSpawn,
+      scaling: config.swarm.scaling,
       coordination: {
         messageQueue: [],
         taskQueue: [],
         agentRegistry: {},
-        locks: {}
+        locks: config.swarm.locks || {}
       }
     };
 
@@ -0,0 +1,251 @@
+/**
+ * Claude Flow Coordination Locks
+ * Named locks and leases on shared resources, with TTLs, fair queueing and
+ * deadlock detection
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+export class LockManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.defaultTtl = config.defaultTtl || 60000;
+    this.acquireTimeout = config.acquireTimeout || 30000;
+    this.locks = new Map();
+    this.waitingFor = new Map();
+  }
+
+  /**
+   * Acquire a lease on a named resource. Waiters are served first come,
+   * first served. Rejects when the wait would deadlock or times out.
+   */
+  acquire(name, owner, options = {}) {
+    const ttl = options.ttl || this.defaultTtl;
+    const timeout = options.timeout ?? this.acquireTimeout;
+    const lock = this.getLock(name);
+
+    // Re-entrant for the current holder
+    if (lock.holder?.owner === owner) {
+      lock.holder.count++;
+      this.scheduleExpiry(name, ttl);
+      return Promise.resolve(this.describeLease(lock.holder));
+    }
+
+    if (!lock.holder && lock.waiters.length === 0) {
+      return Promise.resolve(this.grant(name, owner, ttl));
+    }
+
+    const cycle = this.findDeadlock(owner, name);
+    if (cycle) {
+      return Promise.reject(new Error(`Deadlock detected: ${cycle.join(' -> ')}`));
+    }
+
+    if (options.signal?.aborted) {
+      return Promise.reject(options.signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (lock.waiters.includes(waiter)) abandon(options.signal.reason);
+      };
+      // However the wait ends, stop listening on the signal
+      const settle = (callback) => (value) => {
+        options.signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const waiter = { owner, ttl, resolve: settle(resolve), reject: settle(reject), timer: null, enqueued: Date.now() };
+
+      const abandon = (error) => {
+        lock.waiters.splice(lock.waiters.indexOf(waiter), 1);
+        this.waitingFor.delete(owner);
+        clearTimeout(waiter.timer);
+        waiter.reject(error);
+      };
+
+      if (timeout > 0) {
+        waiter.timer = setTimeout(() => {
+          abandon(new Error(`Timed out after ${timeout}ms waiting for lock ${name}`));
+        }, timeout);
+      }
+
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+
+      lock.waiters.push(waiter);
+      this.waitingFor.set(owner, name);
+      this.emit('lock:waiting', { name, owner, position: lock.waiters.length });
+    });
+  }
+
+  /**
+   * Release a lease held by an owner and hand the lock to the next waiter
+   */
+  release(name, owner) {
+    const lock = this.locks.get(name);
+    if (!lock?.holder || lock.holder.owner !== owner) {
+      return false;
+    }
+
+    if (--lock.holder.count > 0) {
+      return true;
+    }
+
+    this.handOver(name, 'released');
+    return true;
+  }
+
+  /**
+   * Release every lease held by an owner and stop its pending waits
+   */
+  releaseAll(owner) {
+    const released = [];
+
+    for (const [name, lock] of this.locks) {
+      if (lock.holder?.owner === owner) {
+        lock.holder.count = 1;
+        this.release(name, owner);
+        released.push(name);
+      }
+
+      for (const waiter of [...lock.waiters]) {
+        if (waiter.owner === owner) {
+          lock.waiters.splice(lock.waiters.indexOf(waiter), 1);
+          clearTimeout(waiter.timer);
+          waiter.reject(new Error(`Wait for lock ${name} abandoned by ${owner}`));
+        }
+      }
+    }
+
+    this.waitingFor.delete(owner);
+    return released;
+  }
+
+  /**
+   * Extend the TTL of a held lease
+   */
+  renew(name, owner, ttl = this.defaultTtl) {
+    const lock = this.locks.get(name);
+    if (!lock?.holder || lock.holder.owner !== owner) {
+      throw new Error(`Lock ${name} is not held by ${owner}`);
+    }
+
+    this.scheduleExpiry(name, ttl);
+    return this.describeLease(lock.holder);
+  }
+
+  /**
+   * Current holders and queues, optionally limited to a set of owners
+   */
+  getStatus(owners = null) {
+    const status = [];
+
+    for (const [name, lock] of this.locks) {
+      const involved = !owners || (lock.holder && owners.has(lock.holder.owner)) ||
+        lock.waiters.some(waiter => owners.has(waiter.owner));
+      if (!involved) continue;
+
+      status.push({
+        name,
+        owner: lock.holder?.owner || null,
+        acquired: lock.holder?.acquired || null,
+        expires: lock.holder?.expires || null,
+        waiters: lock.waiters.map(waiter => waiter.owner)
+      });
+    }
+
+    return status;
+  }
+
+  /**
+   * Helper methods
+   */
+
+  getLock(name) {
+    if (!this.locks.has(name)) {
+      this.locks.set(name, { holder: null, waiters: [], expiryTimer: null });
+    }
+    return this.locks.get(name);
+  }
+
+  grant(name, owner, ttl) {
+    const lock = this.getLock(name);
+
+    lock.holder = {
+      name,
+      owner,
+      token: randomUUID(),
+      count: 1,
+      acquired: Date.now(),
+      expires: null
+    };
+    this.waitingFor.delete(owner);
+    this.scheduleExpiry(name, ttl);
+
+    this.emit('lock:acquired', { name, owner });
+    return this.describeLease(lock.holder);
+  }
+
+  handOver(name, reason) {
+    const lock = this.locks.get(name);
+    const previous = lock.holder;
+
+    clearTimeout(lock.expiryTimer);
+    lock.holder = null;
+    this.emit(reason === 'expired' ? 'lock:expired' : 'lock:released', { name, owner: previous.owner });
+
+    const next = lock.waiters.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve(this.grant(name, next.owner, next.ttl));
+    } else {
+      this.locks.delete(name);
+    }
+  }
+
+  scheduleExpiry(name, ttl) {
+    const lock = this.locks.get(name);
+
+    clearTimeout(lock.expiryTimer);
+    lock.holder.expires = Date.now() + ttl;
+    lock.expiryTimer = setTimeout(() => this.handOver(name, 'expired'), ttl);
+    lock.expiryTimer.unref?.();
+  }
+
+  describeLease(holder) {
+    return {
+      name: holder.name,
+      owner: holder.owner,
+      token: holder.token,
+      acquired: holder.acquired,
+      expires: holder.expires
+    };
+  }
+
+  /**
+   * Follow the wait-for graph from the lock an owner wants to wait on.
+   * Returns the cycle as an alternating owner/lock path, or null.
+   */
+  findDeadlock(owner, name) {
+    const path = [owner, `lock ${name}`];
+    const seen = new Set([owner]);
+    let lockName = name;
+
+    while (lockName) {
+      const holder = this.locks.get(lockName)?.holder?.owner;
+      if (!holder) return null;
+
+      path.push(holder);
+      if (holder === owner) return path;
+      if (seen.has(holder)) return null;
+      seen.add(holder);
+
+      lockName = this.waitingFor.get(holder);
+      if (lockName) path.push(`lock ${lockName}`);
+    }
+
+    return null;
+  }
+}
+
+export default LockManager;
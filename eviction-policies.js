@@ -0,0 +1,92 @@
+/**
+ * Claude Flow Eviction Policies
+ * Pluggable policies that decide which memory entries make room when a
+ * namespace or the whole store is over its quota
+ */
+
+/**
+ * Base policy. Subclasses implement rank(entries, context) and return the
+ * entries that may be evicted, ordered from the first to go to the last.
+ * Entries left out are never evicted by the policy. Each entry is the index
+ * metadata of a memory entry:
+ *   { namespace, key, created, updated, accessed, hits, expires, size, bytes, tags }
+ *
+ * The context passed by MemoryPersistence contains:
+ *   - scope: the namespace over its quota, or null for the global quota
+ *   - now: timestamp the ranking is made at
+ */
+export class EvictionPolicy {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+  }
+
+  rank(entries, context) {
+    throw new Error(`Eviction policy ${this.name} does not implement rank()`);
+  }
+}
+
+/**
+ * Evict the entries read or written longest ago
+ */
+export class LRUEviction extends EvictionPolicy {
+  constructor(options = {}) {
+    super({ name: 'lru', ...options });
+  }
+
+  rank(entries) {
+    return [...entries].sort((a, b) => lastUsed(a) - lastUsed(b));
+  }
+}
+
+/**
+ * Evict the entries read least often; ties go to the least recently used
+ */
+export class LFUEviction extends EvictionPolicy {
+  constructor(options = {}) {
+    super({ name: 'lfu', ...options });
+  }
+
+  rank(entries) {
+    return [...entries].sort((a, b) => (a.hits || 0) - (b.hits || 0) || lastUsed(a) - lastUsed(b));
+  }
+}
+
+/**
+ * Evict the entries created first
+ */
+export class OldestFirstEviction extends EvictionPolicy {
+  constructor(options = {}) {
+    super({ name: 'oldest', ...options });
+  }
+
+  rank(entries) {
+    return [...entries].sort((a, b) => a.created - b.created);
+  }
+}
+
+/**
+ * Evict the entries closest to expiring. Entries without a TTL are kept.
+ */
+export class TTLSoonestEviction extends EvictionPolicy {
+  constructor(options = {}) {
+    super({ name: 'ttl', ...options });
+  }
+
+  rank(entries) {
+    return entries
+      .filter(entry => entry.expires)
+      .sort((a, b) => a.expires - b.expires);
+  }
+}
+
+function lastUsed(entry) {
+  return entry.accessed || entry.updated;
+}
+
+export default {
+  EvictionPolicy,
+  LRUEviction,
+  LFUEviction,
+  OldestFirstEviction,
+  TTLSoonestEviction
+};
@@ -0,0 +1,208 @@
+/**
+ * Claude Flow File Lock
+ * Cross-process exclusive lock on a directory through a lockfile, with
+ * stale-lock recovery
+ */
+
+import { open, readFile, rename, unlink, link, utimes, stat } from 'fs/promises';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+
+/**
+ * The lock is held by whoever created the lockfile (open with O_EXCL). The
+ * file records the holder's pid, host and a random token; the holder touches
+ * it every staleAfter / 3 ms while it works.
+ *
+ * A lock is stale when its holder ran on this host and is gone, or when it
+ * was not touched for staleAfter ms. A stale lockfile is moved aside under a
+ * unique name before it is deleted, so two processes recovering it at once
+ * cannot both win; a process that moved a live lock by mistake links it back.
+ *
+ * run() serializes its operations within the process as well, so one
+ * FileLock can be shared by every caller in a process; idle tells whether
+ * any of them is queued or running. Operations queued while the lock is
+ * held run under the same hold, up to maxBatch of them, so a burst of
+ * writes takes the lockfile once (group commit). holds counts the holds.
+ */
+export class FileLock {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.staleAfter = options.staleAfter || 10000;
+    this.acquireTimeout = options.acquireTimeout || 30000;
+    this.retryInterval = options.retryInterval || 10;
+    this.maxBatch = options.maxBatch || 64;
+    this.token = null;
+    this.heartbeat = null;
+    this.waiting = [];
+    this.draining = null;
+    this.pending = 0;
+    this.holds = 0;
+  }
+
+  get idle() {
+    return this.pending === 0;
+  }
+
+  /**
+   * Run an operation while holding the lock
+   */
+  run(operation) {
+    this.pending++;
+    const run = new Promise((resolve, reject) => {
+      this.waiting.push({ operation, resolve, reject });
+      if (!this.draining) this.draining = this.drain();
+    });
+
+    return run.finally(() => {
+      this.pending--;
+    });
+  }
+
+  /**
+   * Run the queued operations, taking the lock once per batch
+   */
+  async drain() {
+    while (this.waiting.length > 0) {
+      try {
+        await this.acquire();
+      } catch (error) {
+        for (const { reject } of this.waiting.splice(0)) reject(error);
+        break;
+      }
+
+      this.holds++;
+      try {
+        for (let ran = 0; ran < this.maxBatch && this.waiting.length > 0; ran++) {
+          const { operation, resolve, reject } = this.waiting.shift();
+          await Promise.resolve().then(operation).then(resolve, reject);
+        }
+      } finally {
+        await this.release();
+      }
+    }
+
+    this.draining = null;
+  }
+
+  /**
+   * Resolves once nothing is queued or running and the lock is released.
+   * run() resolves as soon as its operation is done, while the hold may
+   * still serve operations queued behind it.
+   */
+  async settle() {
+    while (this.draining) {
+      await this.draining;
+    }
+  }
+
+  async acquire() {
+    const deadline = Date.now() + this.acquireTimeout;
+    const token = randomBytes(8).toString('hex');
+
+    while (true) {
+      try {
+        const handle = await open(this.path, 'wx');
+        try {
+          await handle.writeFile(JSON.stringify({ pid: process.pid, host: hostname(), token, acquired: Date.now() }));
+        } finally {
+          await handle.close();
+        }
+
+        this.token = token;
+        this.heartbeat = setInterval(() => {
+          const now = new Date();
+          utimes(this.path, now, now).catch(() => {});
+        }, Math.max(100, Math.floor(this.staleAfter / 3)));
+        this.heartbeat.unref?.();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      await this.recoverStale();
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${this.acquireTimeout}ms waiting for lock ${this.path}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.retryInterval * (1 + Math.random())));
+    }
+  }
+
+  async release() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    const holder = await this.readHolder();
+    if (holder?.token === this.token) {
+      await unlink(this.path).catch(() => {});
+    }
+    this.token = null;
+  }
+
+  /**
+   * Holder of the lock, or null when it is free
+   */
+  async readHolder() {
+    try {
+      return JSON.parse(await readFile(this.path, 'utf8'));
+    } catch {
+      // Missing, or created but not written yet
+      return null;
+    }
+  }
+
+  /**
+   * Helper methods
+   */
+
+  async recoverStale() {
+    let holder;
+    let touched;
+    try {
+      [holder, touched] = await Promise.all([this.readHolder(), stat(this.path).then(stats => stats.mtimeMs)]);
+    } catch {
+      return;
+    }
+
+    if (!this.isStale(holder, touched)) {
+      return;
+    }
+
+    const aside = `${this.path}.${process.pid}.${randomBytes(4).toString('hex')}.stale`;
+    try {
+      await rename(this.path, aside);
+    } catch {
+      // Someone else recovered it first
+      return;
+    }
+
+    const moved = await readFile(aside, 'utf8').then(JSON.parse).catch(() => null);
+    if (holder && moved?.token !== holder.token) {
+      // The stale lock was replaced before we moved it; put the live one back
+      await link(aside, this.path).catch(() => {});
+    }
+    await unlink(aside).catch(() => {});
+  }
+
+  isStale(holder, touched) {
+    if (Date.now() - touched > this.staleAfter) {
+      return true;
+    }
+
+    return Boolean(holder) && holder.host === hostname() && !isAlive(holder.pid);
+  }
+}
+
+/**
+ * Whether a process of this host is still running
+ */
+export function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+export default FileLock;
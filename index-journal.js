@@ -0,0 +1,324 @@
+/**
+ * Claude Flow Index Journal
+ * Append-only, crash-safe key/value log with periodic compaction, used for
+ * the memory indexes
+ */
+
+import { open, readFile, rename, unlink, mkdir, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { randomBytes } from 'crypto';
+
+export const FSYNC_MODES = ['always', 'interval', 'never'];
+
+/**
+ * A map kept as a snapshot file plus a journal of the changes since. Every
+ * set and delete appends one JSON line to the journal; once the journal
+ * holds compactAfter operations it is folded into a new snapshot, written
+ * with write-rename so a crash leaves either the old or the new snapshot.
+ *
+ * Opening replays the journal over the snapshot. A torn last line, left
+ * by a crash in the middle of an append, is cut off; replaying operations
+ * already in the snapshot is harmless because sets and deletes are idempotent.
+ *
+ * fsync controls durability of the journal:
+ *   - always: fsync after every append
+ *   - interval: fsync at most every fsyncInterval ms (default)
+ *   - never: leave flushing to the operating system
+ * Snapshots are always synced before they replace the previous one.
+ *
+ * Several processes may share a journal as long as they hold a common lock
+ * (see FileLock) around open, refresh and every change: refresh() catches
+ * up with what the others appended, or reloads everything after another
+ * process compacted.
+ */
+export class IndexJournal {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.name = options.name || 'index';
+    this.fsync = options.fsync || 'interval';
+    this.fsyncInterval = options.fsyncInterval || 1000;
+    this.compactAfter = options.compactAfter || 5000;
+
+    if (!FSYNC_MODES.includes(this.fsync)) {
+      throw new Error(`Unknown fsync mode: ${this.fsync} (expected one of ${FSYNC_MODES.join(', ')})`);
+    }
+
+    this.snapshotPath = join(this.directory, `${this.name}.snapshot.json`);
+    this.journalPath = join(this.directory, `${this.name}.journal`);
+    this.entries = new Map();
+    this.operations = 0;
+    this.offset = 0;
+    this.snapshotVersion = null;
+    this.handle = null;
+    this.queue = Promise.resolve();
+    this.syncTimer = null;
+    this.dirty = false;
+    this.compacting = null;
+  }
+
+  /**
+   * Load the snapshot and replay the journal. Returns false when neither
+   * exists yet.
+   */
+  async open() {
+    await mkdir(this.directory, { recursive: true });
+    const existed = existsSync(this.snapshotPath) || existsSync(this.journalPath);
+
+    this.handle = await open(this.journalPath, 'a');
+    await this.load();
+    return existed;
+  }
+
+  /**
+   * Apply the changes other processes made since the last open or refresh.
+   * Resolves with { reloaded, operations }: reloaded is true when another
+   * process compacted and every entry was read again, otherwise operations
+   * lists the journal operations that were applied, each with the value
+   * its id had before as previous.
+   */
+  refresh() {
+    return this.enqueue(async () => {
+      if (await this.getSnapshotVersion() !== this.snapshotVersion) {
+        await this.load();
+        return { reloaded: true, operations: [] };
+      }
+
+      return { reloaded: false, operations: await this.replay() };
+    });
+  }
+
+  /**
+   * Whether no other process changed the journal since the last open or
+   * refresh. A cheap check that lets readers skip refresh() and its lock.
+   */
+  async isCurrent() {
+    try {
+      const { size } = await stat(this.journalPath);
+      return size === this.offset && await this.getSnapshotVersion() === this.snapshotVersion;
+    } catch {
+      return false;
+    }
+  }
+
+  async close() {
+    await this.queue;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+
+    if (this.handle) {
+      if (this.dirty && this.fsync !== 'never') await this.handle.sync();
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  set(id, value) {
+    this.entries.set(id, value);
+    return this.append({ op: 'set', id, value });
+  }
+
+  delete(id) {
+    if (!this.entries.has(id)) {
+      return this.queue;
+    }
+
+    this.entries.delete(id);
+    return this.append({ op: 'delete', id });
+  }
+
+  /**
+   * Replace every entry, e.g. when importing or rebuilding
+   */
+  replaceAll(entries) {
+    this.entries = new Map(entries);
+    return this.compact();
+  }
+
+  /**
+   * Fold the journal into a new snapshot and start an empty journal
+   */
+  compact() {
+    return this.enqueue(async () => {
+      await writeFileAtomic(this.snapshotPath, JSON.stringify({
+        version: 1,
+        compacted: Date.now(),
+        entries: Object.fromEntries(this.entries)
+      }), { fsync: true });
+
+      await this.handle.truncate(0);
+      if (this.fsync !== 'never') await this.handle.sync();
+      this.snapshotVersion = await this.getSnapshotVersion();
+      this.operations = 0;
+      this.offset = 0;
+      this.dirty = false;
+    });
+  }
+
+  stats() {
+    return { entries: this.entries.size, journalOperations: this.operations, fsync: this.fsync };
+  }
+
+  /**
+   * Helper methods
+   */
+
+  append(operation) {
+    return this.enqueue(async () => {
+      const line = `${JSON.stringify(operation)}\n`;
+      await this.handle.write(line);
+      this.offset += Buffer.byteLength(line);
+      this.operations++;
+      this.dirty = true;
+
+      if (this.fsync === 'always') {
+        await this.handle.sync();
+        this.dirty = false;
+      } else if (this.fsync === 'interval' && !this.syncTimer) {
+        this.syncTimer = setTimeout(() => {
+          this.syncTimer = null;
+          this.enqueue(async () => {
+            if (this.dirty && this.handle) {
+              await this.handle.sync();
+              this.dirty = false;
+            }
+          });
+        }, this.fsyncInterval);
+        this.syncTimer.unref?.();
+      }
+    }).then(() => {
+      if (this.operations >= this.compactAfter && !this.compacting) {
+        this.compacting = this.compact().finally(() => {
+          this.compacting = null;
+        });
+      }
+      return this.compacting;
+    });
+  }
+
+  /**
+   * Run file operations one at a time so journal lines never interleave
+   */
+  enqueue(operation) {
+    const run = this.queue.then(operation);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    this.snapshotVersion = await this.getSnapshotVersion();
+    this.entries = new Map();
+
+    if (this.snapshotVersion) {
+      const snapshot = JSON.parse(await readFile(this.snapshotPath, 'utf8'));
+      this.entries = new Map(Object.entries(snapshot.entries));
+    }
+
+    this.offset = 0;
+    this.operations = 0;
+    await this.replay();
+  }
+
+  /**
+   * Apply the journal from the last applied offset on
+   */
+  async replay() {
+    const { size } = await this.handle.stat();
+    if (size <= this.offset) {
+      return [];
+    }
+
+    const data = Buffer.alloc(size - this.offset);
+    const reader = await open(this.journalPath, 'r');
+    try {
+      await reader.read(data, 0, data.length, this.offset);
+    } finally {
+      await reader.close();
+    }
+
+    const lines = data.toString('utf8').split('\n');
+    const operations = [];
+    let applied = 0;
+
+    // Whatever follows the last newline is a torn append
+    lines.pop();
+
+    for (const line of lines) {
+      let operation;
+      try {
+        operation = JSON.parse(line);
+      } catch {
+        break;
+      }
+
+      const previous = this.entries.get(operation.id);
+      if (operation.op === 'set') {
+        this.entries.set(operation.id, operation.value);
+      } else if (operation.op === 'delete') {
+        this.entries.delete(operation.id);
+      }
+
+      operations.push({ ...operation, previous });
+      applied += Buffer.byteLength(line) + 1;
+    }
+
+    this.offset += applied;
+    this.operations += operations.length;
+
+    // Drop whatever follows the last complete operation
+    if (this.offset < size) {
+      await this.handle.truncate(this.offset);
+    }
+    return operations;
+  }
+
+  /**
+   * Identifies the snapshot file; compaction replaces it with a new file
+   */
+  async getSnapshotVersion() {
+    try {
+      const { ino, size, mtimeMs } = await stat(this.snapshotPath);
+      return `${ino}:${size}:${mtimeMs}`;
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Write a file through a temporary file and rename, so readers and crashes
+ * see either the old or the new content. options.fsync syncs the data
+ * before the rename.
+ */
+export async function writeFileAtomic(path, data, options = {}) {
+  const temporary = join(dirname(path), `.${basename(path)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+  const handle = await open(temporary, 'w');
+
+  try {
+    await handle.writeFile(data);
+    if (options.fsync) await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await rename(temporary, path);
+  } catch (error) {
+    await unlink(temporary).catch(() => {});
+    throw error;
+  }
+}
+
+export default IndexJournal;
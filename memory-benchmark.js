@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * Claude Flow Memory Benchmark
+ * Measures store and read throughput of the memory persistence layer and checks that
+ * the indexes survive a reopen and a torn journal append intact. With
+ * --processes N, N child processes hammer the same memory directory at once
+ * and the result is checked for lost or phantom entries.
+ *
+ * Every store writes and renames its own data file and appends to three
+ * index journals, so one process storing one entry at a time is bound by
+ * file system latency: a few hundred stores per second on a single core.
+ * With --concurrency N each process keeps N stores in flight; stores queued
+ * behind the lock then share a hold of it and its refresh (group commit).
+ *
+ * Usage: node memory-benchmark.js [--count 5000] [--processes 1] [--concurrency 1] [--fsync interval]
+ *                                  [--compact-after 5000] [--size 256] [--path dir] [--keep]
+ */
+
+import MemoryPersistence from './memory-persistence.js';
+import { appendFile, mkdtemp, readdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fork } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+const { values: options } = parseArgs({
+  options: {
+    count: { type: 'string', default: '5000' },
+    processes: { type: 'string', default: '1' },
+    concurrency: { type: 'string', default: '1' },
+    fsync: { type: 'string', default: 'interval' },
+    'compact-after': { type: 'string', default: '5000' },
+    size: { type: 'string', default: '256' },
+    path: { type: 'string' },
+    keep: { type: 'boolean', default: false },
+    worker: { type: 'string' }
+  }
+});
+
+const WORDS = ['agent', 'swarm', 'task', 'memory', 'deploy', 'review', 'index', 'journal', 'research', 'design', 'test', 'build'];
+
+async function run() {
+  const count = Number(options.count);
+  const processes = Number(options.processes);
+  const basePath = options.path || await mkdtemp(join(tmpdir(), 'claude-flow-bench-'));
+  const config = { basePath, fsync: options.fsync, compactAfter: Number(options['compact-after']) };
+
+  const start = process.hrtime.bigint();
+  const workers = processes > 1 ?
+    await Promise.all(Array.from({ length: processes }, (_, id) => spawnWorker(id, Math.ceil(count / processes), basePath))) :
+    [await runWorker(0, count, config)];
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+  // Simulate a crash in the middle of an append
+  await appendFile(join(basePath, 'index', 'master.journal'), '{"op":"set","id":"torn');
+
+  const reopened = new MemoryPersistence(config);
+  await reopened.initialize();
+  const integrity = await verify(reopened, workers, basePath);
+  await reopened.close();
+
+  if (!options.path && !options.keep) {
+    await rm(basePath, { recursive: true, force: true });
+  }
+
+  const stores = workers.reduce((sum, worker) => sum + worker.stores, 0);
+  const reads = workers.reduce((sum, worker) => sum + worker.reads, 0);
+  // Workers run their phases side by side; the slowest one bounds each phase
+  const storeSeconds = Math.max(...workers.map(worker => worker.storeSeconds));
+  const readSeconds = Math.max(...workers.map(worker => worker.readSeconds));
+  return {
+    stores,
+    processes,
+    concurrency: Number(options.concurrency),
+    fsync: options.fsync,
+    seconds: Math.round(seconds * 1000) / 1000,
+    storesPerSecond: Math.round(stores / storeSeconds),
+    readsPerSecond: Math.round(reads / readSeconds),
+    inconsistentReads: workers.reduce((sum, worker) => sum + worker.inconsistentReads, 0),
+    integrity,
+    path: options.path || options.keep ? basePath : null
+  };
+}
+
+/**
+ * Store count entries under keys of this worker, in its own namespace and
+ * in the shared default one, deleting every tenth. Every 50 stores the
+ * worker lists the default namespace and reads back a listed entry of
+ * another worker, which must exist. Then it reads its entries back once.
+ * options.concurrency stores are in flight at a time.
+ */
+async function runWorker(id, count, config) {
+  const memory = new MemoryPersistence(config);
+  await memory.initialize();
+  await memory.ensureNamespace(`worker-${id}`);
+
+  let inconsistentReads = 0;
+  const step = async (i) => {
+    const namespace = i % 2 === 0 ? 'default' : `worker-${id}`;
+    await memory.store(`bench-${id}-${i}`, { text: sentence(i, Number(options.size)), id, i }, { namespace, tags: [WORDS[i % WORDS.length]] });
+
+    if (i % 10 === 0) {
+      await memory.delete(`bench-${id}-${i}`, namespace);
+    }
+
+    if (i % 50 === 49) {
+      const others = (await memory.list('bench-*')).filter(entry => !entry.key.startsWith(`bench-${id}-`));
+      const other = others[Math.floor(Math.random() * others.length)];
+      // Workers only delete their own entries, so a listed entry must be readable
+      if (other && (await memory.retrieve(other.key)) === null) {
+        inconsistentReads++;
+      }
+    }
+  };
+
+  const concurrency = Math.max(1, Number(options.concurrency));
+  const storeStart = process.hrtime.bigint();
+  for (let i = 0; i < count; i += concurrency) {
+    await Promise.all(Array.from({ length: Math.min(concurrency, count - i) }, (_, offset) => step(i + offset)));
+  }
+
+  await memory.store(`shared-${id}`, { id }, { namespace: 'default' });
+  const storeSeconds = Number(process.hrtime.bigint() - storeStart) / 1e9;
+
+  const readStart = process.hrtime.bigint();
+  for (let i = 0; i < count; i++) {
+    await memory.retrieve(`bench-${id}-${i}`, i % 2 === 0 ? 'default' : `worker-${id}`);
+  }
+  const readSeconds = Number(process.hrtime.bigint() - readStart) / 1e9;
+
+  await memory.close();
+  return { id, stores: count + 1, reads: count, storeSeconds, readSeconds, inconsistentReads };
+}
+
+function spawnWorker(id, count, basePath) {
+  return new Promise((resolve, reject) => {
+    const child = fork(fileURLToPath(import.meta.url), [
+      '--worker', String(id), '--count', String(count), '--path', basePath, '--fsync', options.fsync,
+      '--concurrency', options.concurrency,
+      '--compact-after', options['compact-after'], '--size', options.size
+    ]);
+    let result = null;
+
+    child.on('message', message => {
+      result = message;
+    });
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (code === 0 && result) {
+        resolve(result);
+      } else {
+        reject(new Error(`Worker ${id} exited with code ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Every stored entry but the deleted ones must be listed, searchable,
+ * embedded and readable, and nothing else
+ */
+async function verify(memory, workers, basePath) {
+  const expected = new Map();
+  for (const { id, stores } of workers) {
+    for (let i = 0; i < stores - 1; i++) {
+      if (i % 10 !== 0) expected.set(`bench-${id}-${i}`, i % 2 === 0 ? 'default' : `worker-${id}`);
+    }
+    expected.set(`shared-${id}`, 'default');
+  }
+
+  const listed = new Map();
+  for (const namespace of ['default', ...workers.map(({ id }) => `worker-${id}`)]) {
+    if (!memory.namespaces.has(namespace)) continue;
+    for (const entry of await memory.list('*', namespace)) {
+      listed.set(entry.key, namespace);
+    }
+  }
+
+  const missing = [...expected.keys()].filter(key => listed.get(key) !== expected.get(key));
+  const unexpected = [...listed.keys()].filter(key => !expected.has(key));
+
+  const unreadable = [];
+  for (const [key, namespace] of [...expected].filter((_, index) => index % 97 === 0)) {
+    if ((await memory.retrieve(key, namespace)) === null) unreadable.push(key);
+  }
+
+  const searchable = memory.searchIndex.stats().documents;
+  const embedded = memory.semanticIndex.stats().vectors;
+  const leftovers = (await readdir(basePath)).filter(file => file.startsWith('.lock'));
+  const namespacesMissing = workers.map(({ id }) => `worker-${id}`).filter(namespace => !memory.namespaces.has(namespace));
+
+  return {
+    ok: missing.length === 0 && unexpected.length === 0 && unreadable.length === 0 &&
+      searchable === expected.size && embedded === expected.size &&
+      leftovers.length === 0 && namespacesMissing.length === 0 && !existsSync(join(basePath, '.lock')),
+    listed: listed.size,
+    expected: expected.size,
+    missing: missing.slice(0, 10),
+    unexpected: unexpected.slice(0, 10),
+    unreadable,
+    searchable,
+    embedded,
+    namespacesMissing,
+    leftovers
+  };
+}
+
+function sentence(seed, length) {
+  let text = '';
+  for (let i = 0; text.length < length; i++) {
+    text += `${WORDS[(seed * 7 + i * 3) % WORDS.length]} `;
+  }
+  return text.slice(0, length);
+}
+
+if (options.worker !== undefined) {
+  const config = { basePath: options.path, fsync: options.fsync, compactAfter: Number(options['compact-after']) };
+  runWorker(Number(options.worker), Number(options.count), config)
+    .then(result => {
+      process.send(result, () => process.exit(0));
+    })
+    .catch(error => {
+      console.error(`Worker ${options.worker}:`, error.message);
+      process.exit(1);
+    });
+} else {
+  run()
+    .then(result => {
+      console.log(JSON.stringify(result, null, 2));
+      process.exit(result.integrity.ok && result.inconsistentReads === 0 ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
@@ -3,12 +3,39 @@
  * Handles persistent storage, retrieval, and management of memory across sessions
  */
 
-import { readFile, writeFile, mkdir, readdir, unlink } from 'fs/promises';
-import { existsSync } from 'fs';
+import { readFile, writeFile, mkdir, unlink, rename, stat } from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
 import { join, resolve } from 'path';
 import { gzipSync, gunzipSync } from 'zlib';
 import crypto from 'crypto';
+import { SearchIndex, extractText, highlight, parseQuery } from './search-index.js';
+import { SemanticIndex } from './semantic-index.js';
+import { IndexJournal, writeFileAtomic } from './index-journal.js';
+import { FileLock } from './file-lock.js';
+import { LRUEviction, LFUEviction, OldestFirstEviction, TTLSoonestEviction } from './eviction-policies.js';
 
+// Namespaces holding swarm, agent, task, session and workflow state
+const SYSTEM_NAMESPACES = ['agents', 'tasks', 'swarms', 'sessions', 'workflows', 'approvals', 'artifacts'];
+
+/**
+ * Several processes may share one memory directory, e.g. hooks running the
+ * CLI during a long orchestration. Every change holds the directory's
+ * FileLock and first catches up with what other processes wrote, so writers
+ * never work from a stale index. Reads skip the lock while no other process
+ * changed the index files since this one last caught up, and take it
+ * otherwise; data files are replaced atomically, so a read never sees half
+ * of an entry.
+ *
+ * Quotas count the bytes entries take on disk, per namespace (the
+ * namespace's maxSize) and for the whole store (maxSize). A store that
+ * would exceed a quota evicts entries by the namespace's eviction policy,
+ * or the store's for the global quota: lru, lfu, oldest, ttl (soonest to
+ * expire) or any registered policy. With 'reject' the store fails instead.
+ * The system namespaces (agents, tasks, swarms, sessions, workflows,
+ * approvals, artifacts) are never evicted unless their namespace config sets
+ * evictable: true or, for their own quota, an eviction policy; evictable:
+ * false protects any other namespace the same way.
+ */
 export class MemoryPersistence {
   constructor(config = {}) {
     this.basePath = config.basePath || './memory';
@@ -19,6 +46,34 @@ export class MemoryPersistence {
     this.namespaces = new Map();
     this.cache = new Map();
     this.ttlTimers = new Map();
+    // always, interval or never: how eagerly index journals and data files reach the disk
+    this.fsync = config.fsync || 'interval';
+    const journal = { fsync: this.fsync, compactAfter: config.compactAfter };
+    this.index = new IndexJournal({ directory: join(this.basePath, 'index'), name: 'master', ...journal });
+    this.searchIndex = new SearchIndex({ path: join(this.basePath, 'index', 'search'), journal, ...config.search });
+    // config.semantic.embedder plugs in another EmbeddingProvider
+    this.semanticIndex = new SemanticIndex({ path: join(this.basePath, 'index', 'vectors'), journal, ...config.semantic });
+    // config.lock: staleAfter and acquireTimeout in ms
+    this.lock = new FileLock({ path: join(this.basePath, '.lock'), ...config.lock });
+    this.namespacesVersion = null;
+    this.refreshedHold = null;
+    this.eviction = config.eviction || 'reject';
+    this.evictionPolicies = new Map();
+    this.usage = new Map();
+    this.totalBytes = 0;
+    // Reads are counted in memory and reach the index in batches of this many
+    // entries, before an eviction, and on close
+    this.accessFlushAfter = config.accessFlushAfter || 100;
+    this.pendingAccess = new Map();
+    
+    this.registerEvictionPolicy('lru', new LRUEviction());
+    this.registerEvictionPolicy('lfu', new LFUEviction());
+    this.registerEvictionPolicy('oldest', new OldestFirstEviction());
+    this.registerEvictionPolicy('ttl', new TTLSoonestEviction());
+    
+    for (const [name, policy] of Object.entries(config.evictionPolicies || {})) {
+      this.registerEvictionPolicy(name, policy);
+    }
   }
 
   async initialize() {
@@ -27,11 +82,22 @@ export class MemoryPersistence {
       await mkdir(this.basePath, { recursive: true });
     }
 
-    // Load namespaces
-    await this.loadNamespaces();
-    
-    // Initialize index
-    await this.initializeIndex();
+    await this.lock.run(async () => {
+      // Load namespaces
+      await this.loadNamespaces();
+      
+      // Initialize index
+      await this.initializeIndex();
+      this.recountUsage();
+      
+      // Entries stored before values were indexed get indexed once
+      if (!(await this.searchIndex.load())) {
+        await this.buildSearchIndex();
+      }
+      if (!(await this.semanticIndex.load())) {
+        await this.buildSemanticIndex();
+      }
+    });
     
     // Start cleanup routine
     this.startCleanupRoutine();
@@ -42,17 +108,15 @@ export class MemoryPersistence {
     
     if (existsSync(namespacePath)) {
       const data = await readFile(namespacePath, 'utf8');
-      const namespaces = JSON.parse(data);
-      
-      for (const [name, config] of Object.entries(namespaces)) {
-        this.namespaces.set(name, config);
-      }
+      this.namespaces = new Map(Object.entries(JSON.parse(data)));
+      this.namespacesVersion = await this.getNamespacesVersion();
     } else {
       // Create default namespaces
       const defaults = {
         default: { maxSize: 50 * 1024 * 1024 },
         agents: { maxSize: 20 * 1024 * 1024 },
         tasks: { maxSize: 20 * 1024 * 1024 },
+        swarms: { maxSize: 10 * 1024 * 1024 },
         sessions: { maxSize: 10 * 1024 * 1024 }
       };
       
@@ -68,32 +132,211 @@ export class MemoryPersistence {
     }
   }
 
+  /**
+   * Register a policy that decides which entries make room for new ones
+   */
+  registerEvictionPolicy(name, policy) {
+    if (!policy || typeof policy.rank !== 'function') {
+      throw new Error(`Eviction policy '${name}' must implement rank(entries, context)`);
+    }
+    
+    this.evictionPolicies.set(name, policy);
+  }
+
+  getEvictionPolicy(name) {
+    const policy = this.evictionPolicies.get(name);
+    if (!policy) {
+      throw new Error(`Unknown eviction policy: ${name}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Create a namespace if it does not exist yet
+   */
+  ensureNamespace(name, config = {}) {
+    return this.locked(async () => {
+      if (this.namespaces.has(name)) {
+        return this.namespaces.get(name);
+      }
+      
+      const nsConfig = { maxSize: 10 * 1024 * 1024, ...config };
+      this.namespaces.set(name, nsConfig);
+      
+      const nsPath = join(this.basePath, name);
+      if (!existsSync(nsPath)) {
+        await mkdir(nsPath, { recursive: true });
+      }
+      
+      await this.saveNamespaces();
+      return nsConfig;
+    });
+  }
+
+  /**
+   * Change the quota (maxSize in bytes), eviction policy or evictable flag
+   * of a namespace
+   */
+  configureNamespace(name, config = {}) {
+    return this.locked(async () => {
+      if (!this.namespaces.has(name)) {
+        throw new Error(`Namespace '${name}' does not exist`);
+      }
+      if (config.eviction && config.eviction !== 'reject') {
+        this.getEvictionPolicy(config.eviction);
+      }
+      
+      const nsConfig = { ...this.namespaces.get(name), ...config };
+      this.namespaces.set(name, nsConfig);
+      await this.saveNamespaces();
+      return nsConfig;
+    });
+  }
+
+  /**
+   * Bytes and entries per namespace and in total, against their quotas,
+   * with how many entries were evicted and writes rejected so far
+   */
+  getUsage() {
+    return this.reading(async () => {
+      const describe = (usage, maxSize, eviction) => ({
+        bytes: usage.bytes,
+        entries: usage.entries,
+        maxSize,
+        utilization: maxSize ? Math.round(usage.bytes / maxSize * 1000) / 1000 : 0,
+        eviction
+      });
+      
+      const namespaces = {};
+      for (const [name, config] of this.namespaces) {
+        namespaces[name] = describe(this.usage.get(name) || { bytes: 0, entries: 0 }, config.maxSize, this.getNamespaceEviction(name));
+      }
+      
+      return {
+        ...describe({ bytes: this.totalBytes, entries: this.index.size }, this.maxSize, this.eviction),
+        ...await this.loadQuotaStats(),
+        namespaces
+      };
+    });
+  }
+
   async saveNamespaces() {
     const namespacePath = join(this.basePath, 'namespaces.json');
     const data = Object.fromEntries(this.namespaces);
-    await writeFile(namespacePath, JSON.stringify(data, null, 2), 'utf8');
+    await writeFileAtomic(namespacePath, JSON.stringify(data, null, 2), { fsync: this.fsync === 'always' });
+    this.namespacesVersion = await this.getNamespacesVersion();
+  }
+
+  /**
+   * Catch up with namespaces and entries other processes changed since
+   * this one last looked. Callers hold the lock.
+   */
+  async refresh() {
+    if (await this.getNamespacesVersion() !== this.namespacesVersion) {
+      await this.loadNamespaces();
+    }
+    
+    const { reloaded, operations } = await this.index.refresh();
+    if (reloaded) {
+      this.cache.clear();
+      this.recountUsage();
+    } else {
+      for (const { op, id, value, previous } of operations) {
+        // Index ids are namespace\0key, cache keys namespace:key
+        this.cache.delete(id.replace('\u0000', ':'));
+        this.account(previous, -1);
+        if (op === 'set') this.account(value, 1);
+      }
+    }
+    
+    await this.searchIndex.refresh();
+    await this.semanticIndex.refresh();
   }
 
+  /**
+   * Run an operation under the lock on an up-to-date view of the store
+   */
+  locked(operation) {
+    return this.lock.run(async () => {
+      // Nobody else writes while the lock is held, so once per hold will do
+      if (this.refreshedHold !== this.lock.holds) {
+        await this.refresh();
+        this.refreshedHold = this.lock.holds;
+      }
+      return operation();
+    });
+  }
+
+  /**
+   * Run an operation that changes nothing on an up-to-date view of the
+   * store. It goes without the lock unless another process changed the
+   * store since the last refresh, or this process has operations under way
+   * that it must not overtake.
+   */
+  async reading(operation) {
+    if (this.lock.idle && await this.isCurrent() && this.lock.idle) {
+      return operation();
+    }
+    return this.locked(operation);
+  }
+
+  async isCurrent() {
+    const checks = await Promise.all([
+      this.getNamespacesVersion().then(version => version === this.namespacesVersion),
+      this.index.isCurrent(),
+      this.searchIndex.isCurrent(),
+      this.semanticIndex.isCurrent()
+    ]);
+    return checks.every(Boolean);
+  }
+
+  /**
+   * Open the master index journal. Stores written before the journal kept
+   * their index in master.json; it is imported once and kept as
+   * master.json.migrated.
+   */
   async initializeIndex() {
-    const indexPath = join(this.basePath, 'index', 'master.json');
+    const legacyPath = join(this.basePath, 'index', 'master.json');
     
-    if (!existsSync(join(this.basePath, 'index'))) {
-      await mkdir(join(this.basePath, 'index'), { recursive: true });
+    if (await this.index.open() || !existsSync(legacyPath)) {
+      return;
     }
     
-    if (!existsSync(indexPath)) {
-      const index = {
-        version: 1,
-        entries: {},
-        created: Date.now(),
-        lastUpdated: Date.now()
-      };
-      
-      await writeFile(indexPath, JSON.stringify(index, null, 2), 'utf8');
+    const legacy = JSON.parse(await readFile(legacyPath, 'utf8'));
+    const entries = [];
+    for (const [namespace, keys] of Object.entries(legacy.entries || {})) {
+      for (const [key, meta] of Object.entries(keys)) {
+        entries.push([indexId(namespace, key), { namespace, key, ...meta }]);
+      }
+    }
+    
+    await this.index.replaceAll(entries);
+    await rename(legacyPath, `${legacyPath}.migrated`);
+  }
+
+  /**
+   * Flush and close the index journals and stop the TTL timers
+   */
+  async close() {
+    clearInterval(this.cleanupTimer);
+    // Entries keep their expiry time, so reads and cleanup still honour it
+    for (const timer of this.ttlTimers.values()) {
+      clearTimeout(timer);
     }
+    this.ttlTimers.clear();
+    // Also waits for expiries readers queued
+    await this.locked(() => this.flushAccess());
+    await this.lock.settle();
+    await this.index.close();
+    await this.searchIndex.close();
+    await this.semanticIndex.close();
   }
 
-  async store(key, value, options = {}) {
+  store(key, value, options = {}) {
+    return this.locked(() => this.writeEntry(key, value, options));
+  }
+
+  async writeEntry(key, value, options = {}) {
     const namespace = options.namespace || 'default';
     const ttl = options.ttl;
     const tags = options.tags || [];
@@ -115,12 +358,6 @@ export class MemoryPersistence {
       size: JSON.stringify(value).length
     };
     
-    // Check size limits
-    const nsConfig = this.namespaces.get(namespace);
-    if (entry.size > nsConfig.maxSize) {
-      throw new Error(`Entry size exceeds namespace limit`);
-    }
-    
     // Store data
     const filePath = this.getFilePath(namespace, key);
     const fileData = this.compression ? 
@@ -132,10 +369,29 @@ export class MemoryPersistence {
       this.encrypt(fileData) : 
       fileData;
     
-    await writeFile(filePath, finalData);
+    // Check size limits in the bytes quotas count
+    const nsConfig = this.namespaces.get(namespace);
+    entry.bytes = Buffer.byteLength(finalData);
+    if (entry.bytes > nsConfig.maxSize) {
+      throw new Error(`Entry size exceeds namespace limit`);
+    }
+    
+    // Choose victims within the namespace quota, then the global one, and
+    // evict only once the entry fits both
+    const previous = this.getMeta(namespace, key);
+    const growth = entry.bytes - (previous ? entryBytes(previous) : 0);
+    const writing = { namespace, key };
+    const victims = await this.planEviction(namespace, nsConfig.maxSize, this.getNamespaceEviction(namespace), growth, writing);
+    victims.push(...await this.planEviction(null, this.maxSize, this.eviction, growth, writing, victims));
+    const evicted = await this.evict(victims);
+    
+    // Readers and crashes see the old or the new entry, never half of one
+    await writeFileAtomic(filePath, finalData, { fsync: this.fsync === 'always' });
     
     // Update index
     await this.updateIndex(namespace, key, entry);
+    await this.searchIndex.add(namespace, key, entry, { keysOnly: this.isEncrypted() });
+    await this.semanticIndex.add(namespace, key, this.getEmbeddingText(key, entry));
     
     // Update cache
     this.cache.set(`${namespace}:${key}`, entry);
@@ -145,10 +401,54 @@ export class MemoryPersistence {
       this.setTTLTimer(namespace, key, ttl);
     }
     
-    return { stored: true, size: entry.size };
+    return evicted.length > 0 ? { stored: true, size: entry.size, evicted } : { stored: true, size: entry.size };
+  }
+
+  /**
+   * Store updater(current value, or null) as the entry's new value. Reading
+   * and writing happen under one hold of the lock, so updates made by
+   * several processes at once are never lost. Options are those of store();
+   * tags default to the entry's current ones.
+   */
+  update(key, updater, options = {}) {
+    return this.locked(async () => {
+      const namespace = options.namespace || 'default';
+      const value = await updater(await this.readValue(key, namespace));
+
+      return this.writeEntry(key, value, { tags: this.getMeta(namespace, key)?.tags, ...options, namespace });
+    });
   }
 
+  /**
+   * Read an entry's value; counts as a use for lru and lfu eviction
+   */
   async retrieve(key, namespace = 'default') {
+    const value = await this.reading(async () => {
+      const value = await this.readValue(key, namespace);
+      
+      if (this.getMeta(namespace, key)) {
+        this.recordAccess(namespace, key);
+      }
+      return value;
+    });
+    
+    if (this.pendingAccess.size >= this.accessFlushAfter) {
+      await this.locked(() => this.flushAccess());
+    }
+    return value;
+  }
+
+  /**
+   * Whether an unexpired entry exists, without reading it or counting a use
+   */
+  has(key, namespace = 'default') {
+    return this.reading(async () => {
+      const meta = this.getMeta(namespace, key);
+      return Boolean(meta) && (!meta.expires || meta.expires > Date.now());
+    });
+  }
+
+  async readValue(key, namespace = 'default') {
     const cacheKey = `${namespace}:${key}`;
     
     // Check cache first
@@ -180,9 +480,9 @@ export class MemoryPersistence {
     
     const entry = JSON.parse(jsonData);
     
-    // Check expiration
+    // Check expiration; readers may not hold the lock, so removal is queued
     if (entry.expires && entry.expires < Date.now()) {
-      await this.delete(key, namespace);
+      this.expire(key, namespace).catch(() => {});
       return null;
     }
     
@@ -192,14 +492,15 @@ export class MemoryPersistence {
     return entry.value;
   }
 
-  async list(pattern = '*', namespace = 'default') {
-    const index = await this.loadIndex();
-    const nsEntries = index.entries[namespace] || {};
-    
+  list(pattern = '*', namespace = 'default') {
+    return this.reading(() => this.listEntries(pattern, namespace));
+  }
+
+  async listEntries(pattern = '*', namespace = 'default') {
     const regex = this.patternToRegex(pattern);
     const results = [];
     
-    for (const [key, meta] of Object.entries(nsEntries)) {
+    for (const { key, ...meta } of this.getIndexEntries(namespace)) {
       if (regex.test(key)) {
         // Check expiration
         if (!meta.expires || meta.expires > Date.now()) {
@@ -218,7 +519,11 @@ export class MemoryPersistence {
     return results;
   }
 
-  async delete(key, namespace = 'default') {
+  delete(key, namespace = 'default') {
+    return this.locked(() => this.removeEntry(key, namespace));
+  }
+
+  async removeEntry(key, namespace = 'default') {
     const filePath = this.getFilePath(namespace, key);
     
     if (existsSync(filePath)) {
@@ -237,44 +542,90 @@ export class MemoryPersistence {
     
     // Update index
     await this.removeFromIndex(namespace, key);
+    await this.searchIndex.remove(namespace, key);
+    await this.semanticIndex.remove(namespace, key);
     
     return { deleted: true };
   }
 
-  async search(query, options = {}) {
-    const namespaces = options.namespaces || ['default'];
-    const limit = options.limit || 100;
-    const tags = options.tags || [];
+  /**
+   * Full-text search over keys, tags and values, ranked by BM25.
+   * Besides free terms the query accepts "phrases", prefix* terms and the
+   * fields tags:, namespace:, key: and created:/updated: with >, <, >=, <=
+   * (see SearchIndex). Values of encrypted stores are not indexed, so only
+   * their keys and tags match.
+   *
+   * Options:
+   *   - namespaces: only search these namespaces (default all)
+   *   - tags: entries must have every one of these tags
+   *   - limit: maximum number of results (default 100)
+   *   - snippets: include highlighted snippets of the values (default true)
+   */
+  search(query, options = {}) {
+    return this.reading(() => this.searchEntries(query, options));
+  }
+
+  async searchEntries(query, options = {}) {
+    const parsed = parseQuery(query || '');
+    const matches = this.searchIndex.search(parsed, options);
+    const terms = [...parsed.terms, ...parsed.phrases.flat()];
     
     const results = [];
-    
-    for (const namespace of namespaces) {
-      const entries = await this.list('*', namespace);
+    for (const match of matches) {
+      const meta = this.getMeta(match.namespace, match.key);
+      if (!meta) continue;
       
-      for (const entry of entries) {
-        // Tag filter
-        if (tags.length > 0) {
-          const hasAllTags = tags.every(tag => 
-            entry.tags && entry.tags.includes(tag)
-          );
-          if (!hasAllTags) continue;
-        }
-        
-        // Text search in key
-        if (entry.key.toLowerCase().includes(query.toLowerCase())) {
-          results.push(entry);
-          
-          if (results.length >= limit) {
-            return results;
-          }
-        }
+      const result = {
+        key: match.key,
+        namespace: match.namespace,
+        created: meta.created,
+        updated: meta.updated,
+        size: meta.size,
+        tags: meta.tags || [],
+        score: match.score,
+        matches: match.terms
+      };
+      
+      if (options.snippets !== false && terms.length > 0) {
+        const value = await this.readValue(match.key, match.namespace);
+        result.snippet = highlight(extractText(value), terms);
       }
+      
+      results.push(result);
     }
     
     return results;
   }
 
-  async backup(backupPath) {
+  /**
+   * Index every stored entry again
+   */
+  rebuildSearchIndex() {
+    return this.locked(() => this.buildSearchIndex());
+  }
+
+  async buildSearchIndex() {
+    await this.searchIndex.clear();
+    
+    for (const meta of this.getIndexEntries()) {
+      const value = await this.readValue(meta.key, meta.namespace);
+      if (value === null) continue;
+      
+      await this.searchIndex.add(meta.namespace, meta.key, { ...meta, value }, { keysOnly: this.isEncrypted(), save: false });
+    }
+    await this.searchIndex.saveAll();
+    
+    return this.searchIndex.stats();
+  }
+
+  /**
+   * Write every entry to a backup file, as one consistent snapshot
+   */
+  backup(backupPath) {
+    return this.locked(() => this.writeBackup(backupPath));
+  }
+
+  async writeBackup(backupPath) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const backupName = `backup-${timestamp}.json`;
     const fullBackupPath = join(backupPath || join(this.basePath, 'backups'), backupName);
@@ -295,10 +646,10 @@ export class MemoryPersistence {
     // Collect all data
     for (const [namespace] of this.namespaces) {
       backup.data[namespace] = {};
-      const entries = await this.list('*', namespace);
+      const entries = await this.listEntries('*', namespace);
       
       for (const entry of entries) {
-        const value = await this.retrieve(entry.key, namespace);
+        const value = await this.readValue(entry.key, namespace);
         backup.data[namespace][entry.key] = {
           value,
           meta: entry
@@ -333,8 +684,10 @@ export class MemoryPersistence {
     const backup = JSON.parse(backupData.toString());
     
     // Restore namespaces
-    this.namespaces = new Map(Object.entries(backup.namespaces));
-    await this.saveNamespaces();
+    await this.lock.run(() => {
+      this.namespaces = new Map(Object.entries(backup.namespaces));
+      return this.saveNamespaces();
+    });
     
     // Restore data
     for (const [namespace, entries] of Object.entries(backup.data)) {
@@ -349,7 +702,68 @@ export class MemoryPersistence {
     return { restored: true, namespaces: backup.namespaces };
   }
 
+  /**
+   * Entries whose content is closest in meaning to a text, by cosine
+   * similarity of their embeddings. Values of encrypted stores are not
+   * embedded, so only their keys and tags count.
+   *
+   * Options:
+   *   - k: number of results (default 10)
+   *   - namespaces: only consider these namespaces (default all)
+   *   - minScore: drop results less similar than this (-1 to 1)
+   */
+  searchSimilar(text, options = {}) {
+    return this.reading(() => this.findSimilar(text, options));
+  }
+
+  async findSimilar(text, options = {}) {
+    const matches = await this.semanticIndex.search(text, options);
+    const now = Date.now();
+    
+    return matches
+      .map(match => ({ match, meta: this.getMeta(match.namespace, match.key) }))
+      .filter(({ meta }) => meta && (!meta.expires || meta.expires > now))
+      .map(({ match, meta }) => ({
+        key: match.key,
+        namespace: match.namespace,
+        created: meta.created,
+        updated: meta.updated,
+        size: meta.size,
+        tags: meta.tags || [],
+        score: match.score
+      }));
+  }
+
+  /**
+   * Embed every stored entry again, e.g. after switching embedders
+   */
+  rebuildSemanticIndex() {
+    return this.locked(() => this.buildSemanticIndex());
+  }
+
+  async buildSemanticIndex() {
+    await this.semanticIndex.clear();
+    
+    for (const meta of this.getIndexEntries()) {
+      const value = await this.readValue(meta.key, meta.namespace);
+      if (value === null) continue;
+      
+      await this.semanticIndex.add(meta.namespace, meta.key, this.getEmbeddingText(meta.key, { ...meta, value }), { save: false });
+    }
+    await this.semanticIndex.saveAll();
+    
+    return this.semanticIndex.stats();
+  }
+
   // Helper methods
+  getEmbeddingText(key, entry) {
+    return [key, ...(entry.tags || []), this.isEncrypted() ? '' : extractText(entry.value)].join('\n');
+  }
+
+  isEncrypted() {
+    return Boolean(this.encryption && this.encryptionKey);
+  }
+
   getFilePath(namespace, key) {
     const safeKey = key.replace(/[^a-zA-Z0-9-_]/g, '_');
     const hash = crypto.createHash('md5').update(key).digest('hex');
@@ -357,7 +771,7 @@ export class MemoryPersistence {
     
     const dir = join(this.basePath, namespace, subdir);
     if (!existsSync(dir)) {
-      mkdir(dir, { recursive: true });
+      mkdirSync(dir, { recursive: true });
     }
     
     return join(dir, `${safeKey}_${hash}.dat`);
@@ -372,44 +786,199 @@ export class MemoryPersistence {
   }
 
   async updateIndex(namespace, key, entry) {
-    const index = await this.loadIndex();
-    
-    if (!index.entries[namespace]) {
-      index.entries[namespace] = {};
-    }
-    
-    index.entries[namespace][key] = {
+    const previous = this.getMeta(namespace, key);
+    const meta = {
+      namespace,
+      key,
       created: entry.created,
       updated: entry.updated,
+      accessed: entry.updated,
+      hits: (previous?.hits || 0) + (this.pendingAccess.get(indexId(namespace, key))?.hits || 0),
       expires: entry.expires,
       size: entry.size,
+      bytes: entry.bytes,
       tags: entry.tags
     };
     
-    index.lastUpdated = Date.now();
-    
-    await this.saveIndex(index);
+    this.account(previous, -1);
+    this.account(meta, 1);
+    this.pendingAccess.delete(indexId(namespace, key));
+    await this.index.set(indexId(namespace, key), meta);
   }
 
   async removeFromIndex(namespace, key) {
-    const index = await this.loadIndex();
+    this.account(this.getMeta(namespace, key), -1);
+    this.pendingAccess.delete(indexId(namespace, key));
+    await this.index.delete(indexId(namespace, key));
+  }
+
+  /**
+   * Choose the entries to evict so that growing scope (a namespace, or null
+   * for the whole store) by growth bytes fits in limit, counting planned
+   * victims as already gone. Expired entries go first, then entries in the
+   * order of the eviction policy; the entry being written is never evicted,
+   * nor are entries of namespaces that are not evictable when making room in
+   * the whole store. Throws, evicting nothing, when the quota cannot be met.
+   */
+  async planEviction(scope, limit, policyName, growth, writing, planned = []) {
+    const used = scope === null ? this.totalBytes : this.usage.get(scope)?.bytes || 0;
+    const excess = used + growth - limit - planned
+      .filter(meta => scope === null || meta.namespace === scope)
+      .reduce((sum, meta) => sum + entryBytes(meta), 0);
+    if (!limit || excess <= 0) {
+      return [];
+    }
+    
+    const label = scope === null ? 'memory' : `namespace '${scope}'`;
+    if (policyName === 'reject') {
+      await this.recordQuotaStats({ rejected: 1 });
+      throw new Error(`Storing ${writing.key} would exceed the ${formatBytes(limit)} quota of ${label}`);
+    }
+    
+    // Rank by every use so far, including reads not yet written to the index
+    await this.flushAccess();
+    
+    const now = Date.now();
+    const candidates = this.getIndexEntries(scope)
+      .filter(meta => scope !== null || this.isEvictable(meta.namespace))
+      .filter(meta => meta.namespace !== writing.namespace || meta.key !== writing.key)
+      .filter(meta => !planned.includes(meta));
+    const expired = candidates.filter(meta => meta.expires && meta.expires < now);
+    const ranked = this.getEvictionPolicy(policyName).rank(
+      candidates.filter(meta => !expired.includes(meta)),
+      { scope, now }
+    );
+    
+    const victims = [];
+    let freed = 0;
+    for (const meta of [...expired, ...ranked]) {
+      if (freed >= excess) break;
+      victims.push(meta);
+      freed += entryBytes(meta);
+    }
+    
+    if (freed < excess) {
+      await this.recordQuotaStats({ rejected: 1 });
+      throw new Error(`Storing ${writing.key} would exceed the ${formatBytes(limit)} quota of ${label}; ` +
+        `the ${policyName} policy can only free ${formatBytes(freed)} of ${formatBytes(excess)}`);
+    }
+    
+    return victims;
+  }
+
+  /**
+   * Remove the planned victims; returns them as { namespace, key, bytes }
+   */
+  async evict(victims) {
+    if (victims.length === 0) {
+      return [];
+    }
+    
+    for (const meta of victims) {
+      await this.removeEntry(meta.key, meta.namespace);
+    }
+    await this.recordQuotaStats({
+      evicted: victims.length,
+      evictedBytes: victims.reduce((sum, meta) => sum + entryBytes(meta), 0)
+    });
+    
+    return victims.map(meta => ({ namespace: meta.namespace, key: meta.key, bytes: entryBytes(meta) }));
+  }
+
+  /**
+   * Whether the global quota may evict entries of a namespace
+   */
+  isEvictable(namespace) {
+    return this.namespaces.get(namespace)?.evictable ?? !SYSTEM_NAMESPACES.includes(namespace);
+  }
+
+  /**
+   * The policy a namespace's own quota evicts by: its configured one, else
+   * the store's when the namespace is evictable
+   */
+  getNamespaceEviction(namespace) {
+    return this.namespaces.get(namespace)?.eviction || (this.isEvictable(namespace) ? this.eviction : 'reject');
+  }
+
+  /**
+   * Count a read of an entry towards its accessed time and hits
+   */
+  recordAccess(namespace, key) {
+    const id = indexId(namespace, key);
+    this.pendingAccess.set(id, { accessed: Date.now(), hits: (this.pendingAccess.get(id)?.hits || 0) + 1 });
+  }
+
+  /**
+   * Write the reads counted since the last flush to the index, one journal
+   * operation per entry read. Callers hold the lock.
+   */
+  async flushAccess() {
+    const pending = this.pendingAccess;
+    this.pendingAccess = new Map();
+    
+    for (const [id, { accessed, hits }] of pending) {
+      const meta = this.index.get(id);
+      if (meta) {
+        await this.index.set(id, { ...meta, accessed: Math.max(meta.accessed || 0, accessed), hits: (meta.hits || 0) + hits });
+      }
+    }
+  }
+
+  /**
+   * Eviction and rejection counts, kept in a file so every process adds to
+   * and reports the same totals
+   */
+  async loadQuotaStats() {
+    const statsPath = join(this.basePath, 'index', 'quota-stats.json');
+    const stats = { evicted: 0, evictedBytes: 0, rejected: 0 };
+    
+    return existsSync(statsPath) ? { ...stats, ...JSON.parse(await readFile(statsPath, 'utf8')) } : stats;
+  }
+
+  async recordQuotaStats(counts) {
+    const stats = await this.loadQuotaStats();
+    for (const [name, count] of Object.entries(counts)) {
+      stats[name] += count;
+    }
+    
+    await writeFileAtomic(join(this.basePath, 'index', 'quota-stats.json'), JSON.stringify(stats));
+  }
+
+  account(meta, sign) {
+    if (!meta) return;
     
-    if (index.entries[namespace] && index.entries[namespace][key]) {
-      delete index.entries[namespace][key];
-      index.lastUpdated = Date.now();
-      await this.saveIndex(index);
+    const usage = this.usage.get(meta.namespace) || { bytes: 0, entries: 0 };
+    usage.bytes += sign * entryBytes(meta);
+    usage.entries += sign;
+    this.usage.set(meta.namespace, usage);
+    this.totalBytes += sign * entryBytes(meta);
+  }
+
+  recountUsage() {
+    this.usage = new Map();
+    this.totalBytes = 0;
+    this.getIndexEntries().forEach(meta => this.account(meta, 1));
+  }
+
+  async getNamespacesVersion() {
+    try {
+      const { ino, size, mtimeMs } = await stat(join(this.basePath, 'namespaces.json'));
+      return `${ino}:${size}:${mtimeMs}`;
+    } catch {
+      return null;
     }
   }
 
-  async loadIndex() {
-    const indexPath = join(this.basePath, 'index', 'master.json');
-    const data = await readFile(indexPath, 'utf8');
-    return JSON.parse(data);
+  getMeta(namespace, key) {
+    return this.index.get(indexId(namespace, key));
   }
 
-  async saveIndex(index) {
-    const indexPath = join(this.basePath, 'index', 'master.json');
-    await writeFile(indexPath, JSON.stringify(index, null, 2), 'utf8');
+  /**
+   * Index metadata of every entry, or of the entries of one namespace
+   */
+  getIndexEntries(namespace = null) {
+    const entries = Array.from(this.index.entries.values());
+    return namespace ? entries.filter(meta => meta.namespace === namespace) : entries;
   }
 
   setTTLTimer(namespace, key, ttl) {
@@ -422,8 +991,8 @@ export class MemoryPersistence {
     
     // Set new timer
     const timer = setTimeout(async () => {
-      await this.delete(key, namespace);
       this.ttlTimers.delete(timerKey);
+      await this.expire(key, namespace);
     }, ttl);
     
     this.ttlTimers.set(timerKey, timer);
@@ -431,20 +1000,34 @@ export class MemoryPersistence {
 
   startCleanupRoutine() {
     // Run cleanup every hour
-    setInterval(async () => {
-      const index = await this.loadIndex();
+    this.cleanupTimer = setInterval(async () => {
       const now = Date.now();
       
-      for (const [namespace, entries] of Object.entries(index.entries)) {
-        for (const [key, meta] of Object.entries(entries)) {
-          if (meta.expires && meta.expires < now) {
-            await this.delete(key, namespace);
-          }
+      if (this.pendingAccess.size > 0) {
+        await this.locked(() => this.flushAccess());
+      }
+      
+      for (const meta of this.getIndexEntries()) {
+        if (meta.expires && meta.expires < now) {
+          await this.expire(meta.key, meta.namespace);
         }
       }
     }, 60 * 60 * 1000);
   }
 
+  /**
+   * Delete an entry if it is still expired; another process may have
+   * stored it again since the timer was set
+   */
+  expire(key, namespace) {
+    return this.locked(async () => {
+      const meta = this.getMeta(namespace, key);
+      if (meta?.expires && meta.expires <= Date.now()) {
+        await this.removeEntry(key, namespace);
+      }
+    });
+  }
+
   encrypt(data) {
     const iv = crypto.randomBytes(16);
     const cipher = crypto.createCipheriv(
@@ -476,4 +1059,22 @@ export class MemoryPersistence {
   }
 }
 
+/**
+ * Bytes an entry takes on disk; entries indexed before quotas were
+ * enforced only recorded the size of their value
+ */
+function entryBytes(meta) {
+  return meta.bytes ?? meta.size ?? 0;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024 * 10) / 10}MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024 * 10) / 10}KB`;
+  return `${bytes}B`;
+}
+
+function indexId(namespace, key) {
+  return `${namespace}\u0000${key}`;
+}
+
 export default MemoryPersistence;
\ No newline at end of file
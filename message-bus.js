@@ -0,0 +1,322 @@
+/**
+ * Claude Flow Message Bus
+ * Direct messages, topic pub/sub, request/reply and broadcast between agents,
+ * routed along the connections of the swarm topology
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+// Sender id used for messages that originate outside any agent
+export const SYSTEM_SENDER = 'coordinator';
+
+export class MessageBus extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function} options.route - (fromId, toId) => path of agent ids or null
+   * @param {function} options.getPeers - (agentId) => ids of agents in the same swarm
+   */
+  constructor(options = {}) {
+    super();
+
+    this.route = options.route || ((from, to) => [from, to]);
+    this.getPeers = options.getPeers || (() => []);
+    this.requestTimeout = options.requestTimeout || 30000;
+    this.maxInboxSize = options.maxInboxSize || 100;
+    this.maxLogSize = options.maxLogSize || 1000;
+
+    this.handlers = new Map();
+    this.subscriptions = new Map();
+    this.inboxes = new Map();
+    this.pendingRequests = new Map();
+    this.log = [];
+  }
+
+  /**
+   * Send a direct message to one agent
+   */
+  send(from, to, payload, options = {}) {
+    const route = this.resolveRoute(from, to);
+
+    const message = this.createMessage({
+      kind: options.kind || 'direct',
+      from,
+      to,
+      payload,
+      route,
+      correlationId: options.correlationId || null
+    });
+
+    this.deliver(to, message);
+    return message;
+  }
+
+  /**
+   * Publish a message on a topic to every subscriber the sender can reach
+   */
+  publish(from, topic, payload) {
+    const recipients = [];
+
+    for (const [agentId, topics] of this.subscriptions) {
+      if (agentId === from || !topics.has(topic)) continue;
+      if (this.tryRoute(from, agentId)) {
+        recipients.push(agentId);
+      }
+    }
+
+    const message = this.createMessage({ kind: 'topic', from, topic, to: recipients, payload });
+
+    for (const agentId of recipients) {
+      for (const handler of this.subscriptions.get(agentId).get(topic)) {
+        this.invoke(handler, message);
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Send a message to every reachable agent in the sender's swarm
+   */
+  broadcast(from, payload) {
+    const recipients = this.getPeers(from).filter(id => id !== from && this.tryRoute(from, id));
+    const message = this.createMessage({ kind: 'broadcast', from, to: recipients, payload });
+
+    for (const agentId of recipients) {
+      this.deliver(agentId, message);
+    }
+
+    return message;
+  }
+
+  /**
+   * Send a request and wait for the recipient's reply
+   */
+  request(from, to, payload, options = {}) {
+    const timeout = options.timeout || this.requestTimeout;
+    const correlationId = randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(correlationId);
+        reject(new Error(`Request from ${from} to ${to} timed out after ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(correlationId, { from, to, resolve, reject, timer });
+
+      try {
+        this.send(from, to, payload, { kind: 'request', correlationId });
+      } catch (error) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(correlationId);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Answer a request message
+   */
+  reply(request, payload) {
+    const pending = this.pendingRequests.get(request.correlationId);
+    if (!pending) return null;
+
+    const message = this.send(request.to, request.from, payload, {
+      kind: 'reply',
+      correlationId: request.correlationId
+    });
+
+    return message;
+  }
+
+  /**
+   * Register the handler for direct messages, broadcasts and requests to an agent.
+   * A handler's return value (if not undefined) answers a request.
+   */
+  onMessage(agentId, handler) {
+    if (!this.handlers.has(agentId)) {
+      this.handlers.set(agentId, new Set());
+    }
+    this.handlers.get(agentId).add(handler);
+
+    // Hand over anything that arrived before the handler was registered
+    for (const message of this.drainInbox(agentId)) {
+      this.invoke(handler, message);
+    }
+
+    return () => this.handlers.get(agentId)?.delete(handler);
+  }
+
+  subscribe(agentId, topic, handler) {
+    if (!this.subscriptions.has(agentId)) {
+      this.subscriptions.set(agentId, new Map());
+    }
+
+    const topics = this.subscriptions.get(agentId);
+    if (!topics.has(topic)) {
+      topics.set(topic, new Set());
+    }
+    topics.get(topic).add(handler);
+
+    return () => this.unsubscribe(agentId, topic, handler);
+  }
+
+  unsubscribe(agentId, topic, handler) {
+    const topics = this.subscriptions.get(agentId);
+    if (!topics?.has(topic)) return;
+
+    topics.get(topic).delete(handler);
+    if (topics.get(topic).size === 0) {
+      topics.delete(topic);
+    }
+  }
+
+  /**
+   * Take the undelivered messages waiting for an agent
+   */
+  drainInbox(agentId) {
+    const inbox = this.inboxes.get(agentId) || [];
+    this.inboxes.delete(agentId);
+    return inbox;
+  }
+
+  /**
+   * Forget everything about an agent that left the swarm
+   */
+  removeAgent(agentId) {
+    this.handlers.delete(agentId);
+    this.subscriptions.delete(agentId);
+    this.inboxes.delete(agentId);
+
+    for (const [correlationId, pending] of this.pendingRequests) {
+      if (pending.to === agentId) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(correlationId);
+        pending.reject(new Error(`Agent ${agentId} left before replying`));
+      }
+    }
+  }
+
+  /**
+   * Recorded messages, optionally filtered by agent, kind or topic
+   */
+  getLog(filter = {}) {
+    return this.log.filter(message =>
+      (!filter.kind || message.kind === filter.kind) &&
+      (!filter.topic || message.topic === filter.topic) &&
+      (!filter.agentId || message.from === filter.agentId ||
+        (Array.isArray(message.to) ? message.to.includes(filter.agentId) : message.to === filter.agentId))
+    );
+  }
+
+  /**
+   * Re-deliver recorded messages to the current handlers, in order
+   */
+  replay(messages = this.log) {
+    let replayed = 0;
+
+    for (const message of messages) {
+      const copy = { ...message, replayed: true };
+
+      if (message.kind === 'topic') {
+        for (const agentId of message.to) {
+          for (const handler of this.subscriptions.get(agentId)?.get(message.topic) || []) {
+            this.invoke(handler, copy);
+          }
+        }
+      } else if (message.kind !== 'reply') {
+        for (const agentId of [].concat(message.to)) {
+          for (const handler of this.handlers.get(agentId) || []) {
+            this.invoke(handler, copy);
+          }
+        }
+      }
+
+      replayed++;
+    }
+
+    return { replayed };
+  }
+
+  /**
+   * Helper methods
+   */
+
+  createMessage(fields) {
+    const message = {
+      id: randomUUID(),
+      timestamp: Date.now(),
+      topic: null,
+      route: null,
+      correlationId: null,
+      ...fields
+    };
+
+    this.log.push(message);
+    if (this.log.length > this.maxLogSize) {
+      this.log = this.log.slice(-this.maxLogSize);
+    }
+
+    this.emit('message', message);
+    return message;
+  }
+
+  resolveRoute(from, to) {
+    if (from === SYSTEM_SENDER) return [to];
+
+    const route = this.route(from, to);
+    if (!route) {
+      throw new Error(`No route from ${from} to ${to} in the swarm topology`);
+    }
+    return route;
+  }
+
+  tryRoute(from, to) {
+    try {
+      return this.resolveRoute(from, to);
+    } catch {
+      return null;
+    }
+  }
+
+  deliver(agentId, message) {
+    if (message.kind === 'reply') {
+      const pending = this.pendingRequests.get(message.correlationId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(message.correlationId);
+        pending.resolve(message.payload);
+      }
+      return;
+    }
+
+    const handlers = this.handlers.get(agentId);
+    if (!handlers || handlers.size === 0) {
+      const inbox = this.inboxes.get(agentId) || [];
+      inbox.push(message);
+      this.inboxes.set(agentId, inbox.slice(-this.maxInboxSize));
+      return;
+    }
+
+    for (const handler of handlers) {
+      this.invoke(handler, message);
+    }
+  }
+
+  invoke(handler, message) {
+    // Deliver asynchronously so senders never run inside recipient code
+    setImmediate(async () => {
+      try {
+        const result = await handler(message);
+
+        if (message.kind === 'request' && result !== undefined && !message.replayed) {
+          this.reply(message, result);
+        }
+      } catch (error) {
+        this.emit('error:handler', { messageId: message.id, error: error.message });
+      }
+    });
+  }
+}
+
+export default MessageBus;
@@ -0,0 +1,243 @@
+/**
+ * Claude Flow Performance Model
+ * Learns how agent types perform per capability and how execution strategies
+ * perform per task shape, from exponentially weighted statistics
+ */
+
+export const TASK_SHAPES = ['independent', 'mixed', 'chain'];
+
+const STRATEGIES = ['parallel', 'sequential', 'balanced'];
+
+/**
+ * Exponentially weighted statistics keyed by:
+ *   - type:<agentType>
+ *   - capability:<capability>
+ *   - type:<agentType>|capability:<capability>
+ *   - strategy:<shape>|<strategy>
+ *
+ * Every entry tracks a success rate and the mean and variance of durations.
+ * The weight of a new observation is max(alpha, 1 / samples), so the first
+ * observations average plainly and later ones decay older history.
+ *
+ * Estimates shrink sparse entries towards their parent (pair towards type,
+ * type towards all agents) with priorWeight pseudo-observations, so one
+ * lucky subtask does not make an agent type look perfect.
+ */
+export class PerformanceModel {
+  constructor(options = {}) {
+    this.alpha = options.alpha ?? 0.1;
+    this.priorWeight = options.priorWeight ?? 3;
+    this.minStrategySamples = options.minStrategySamples ?? 3;
+    this.historySize = options.historySize ?? 1000;
+    this.stats = new Map();
+    this.history = [];
+    this.trained = null;
+  }
+
+  /**
+   * Record one subtask attempt: { agentType, capabilities, duration, success }
+   */
+  recordSubtask(observation) {
+    const entry = { kind: 'subtask', timestamp: Date.now(), ...observation, capabilities: observation.capabilities || [] };
+    this.remember(entry);
+    this.applySubtask(entry);
+  }
+
+  /**
+   * Record a finished task: { shape, strategy, subtasks, duration, successRate }
+   */
+  recordTask(observation) {
+    const entry = { kind: 'task', timestamp: Date.now(), ...observation };
+    this.remember(entry);
+    this.applyTask(entry);
+  }
+
+  /**
+   * Expected { successRate, avgTaskTime, samples } of an agent type on a set
+   * of capabilities; avgTaskTime is null until a duration has been seen
+   */
+  estimate(agentType, capabilities = []) {
+    const base = this.shrink(this.stats.get('all'), { successRate: 1, avgTaskTime: null });
+    const type = this.shrink(this.stats.get(`type:${agentType}`), base);
+
+    if (capabilities.length === 0) {
+      return type;
+    }
+
+    const perCapability = capabilities.map(capability =>
+      this.shrink(this.stats.get(`type:${agentType}|capability:${capability}`), type)
+    );
+    const times = perCapability.map(estimate => estimate.avgTaskTime).filter(time => time !== null);
+
+    return {
+      successRate: perCapability.reduce((sum, estimate) => sum + estimate.successRate, 0) / perCapability.length,
+      avgTaskTime: times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : null,
+      samples: Math.min(...perCapability.map(estimate => estimate.samples))
+    };
+  }
+
+  /**
+   * Pick an execution strategy for a task shape. The heuristic choice stands
+   * until it and at least one alternative have minStrategySamples tasks
+   * behind them; then the most successful strategy wins, and the fastest
+   * per subtask among those within 5% of the best.
+   */
+  chooseStrategy(shape, heuristic) {
+    const known = STRATEGIES
+      .map(strategy => ({ strategy, stats: this.stats.get(`strategy:${shape}|${strategy}`) }))
+      .filter(({ stats }) => stats && stats.samples >= this.minStrategySamples);
+
+    if (known.length < 2 || !known.some(({ strategy }) => strategy === heuristic)) {
+      return { strategy: heuristic, learned: false, reason: `not enough history for ${shape} tasks` };
+    }
+
+    const bestRate = Math.max(...known.map(({ stats }) => stats.successRate));
+    const [best] = known
+      .filter(({ stats }) => stats.successRate >= bestRate - 0.05)
+      .sort((a, b) => a.stats.mean - b.stats.mean);
+
+    return {
+      strategy: best.strategy,
+      learned: true,
+      reason: `${Math.round(best.stats.successRate * 100)}% success at ${Math.round(best.stats.mean)}ms per subtask over ${best.stats.samples} ${shape} tasks`
+    };
+  }
+
+  /**
+   * Re-fit every statistic from the recorded history, dropping observations
+   * older than maxAge. Changes to alpha take effect on the whole history.
+   */
+  train(options = {}) {
+    const cutoff = options.maxAge ? Date.now() - options.maxAge : 0;
+    const before = this.stats.size;
+
+    this.history = this.history.filter(entry => entry.timestamp >= cutoff);
+    this.stats = new Map();
+
+    for (const entry of this.history) {
+      if (entry.kind === 'task') {
+        this.applyTask(entry);
+      } else {
+        this.applySubtask(entry);
+      }
+    }
+
+    this.trained = Date.now();
+    return {
+      trained: this.trained,
+      observations: this.history.length,
+      entries: this.stats.size,
+      pruned: Math.max(0, before - this.stats.size)
+    };
+  }
+
+  describe() {
+    const round = value => value === null ? null : Math.round(value * 1000) / 1000;
+
+    return {
+      alpha: this.alpha,
+      trained: this.trained,
+      observations: this.history.length,
+      entries: Object.fromEntries(Array.from(this.stats, ([key, stats]) => [key, {
+        samples: stats.samples,
+        successRate: round(stats.successRate),
+        avgTaskTime: round(stats.mean),
+        stdDev: round(stats.mean === null ? null : Math.sqrt(stats.variance))
+      }]))
+    };
+  }
+
+  serialize() {
+    return {
+      alpha: this.alpha,
+      trained: this.trained,
+      stats: Object.fromEntries(this.stats),
+      history: this.history
+    };
+  }
+
+  restore(data = {}) {
+    this.stats = new Map(Object.entries(data.stats || {}));
+    this.history = data.history || [];
+    this.trained = data.trained || null;
+  }
+
+  /**
+   * Helper methods
+   */
+
+  remember(entry) {
+    this.history.push(entry);
+    if (this.history.length > this.historySize) {
+      this.history = this.history.slice(-this.historySize);
+    }
+  }
+
+  applySubtask({ agentType, capabilities, duration, success }) {
+    const keys = ['all', `type:${agentType}`];
+    for (const capability of capabilities) {
+      keys.push(`capability:${capability}`, `type:${agentType}|capability:${capability}`);
+    }
+
+    // Failures are often quick and would make a type look fast
+    for (const key of keys) {
+      this.update(key, success, success ? duration : null);
+    }
+  }
+
+  applyTask({ shape, strategy, subtasks, duration, successRate }) {
+    this.update(`strategy:${shape}|${strategy}`, successRate, duration / Math.max(1, subtasks));
+  }
+
+  update(key, success, duration) {
+    const stats = this.stats.get(key) || { samples: 0, successRate: 0, mean: null, variance: 0, durations: 0, updated: null };
+    stats.samples++;
+    stats.successRate += Math.max(this.alpha, 1 / stats.samples) * (Number(success) - stats.successRate);
+
+    if (duration !== null && duration !== undefined) {
+      stats.durations++;
+      const weight = Math.max(this.alpha, 1 / stats.durations);
+      const diff = duration - (stats.mean ?? duration);
+      const increment = weight * diff;
+      stats.mean = (stats.mean ?? duration) + increment;
+      stats.variance = (1 - weight) * (stats.variance + diff * increment);
+    }
+
+    stats.updated = Date.now();
+    this.stats.set(key, stats);
+  }
+
+  shrink(stats, parent) {
+    if (!stats) {
+      return { ...parent, samples: 0 };
+    }
+
+    // Older samples carry less weight, so the evidence never exceeds one window
+    const evidence = Math.min(stats.samples, 1 / this.alpha);
+    const blend = (own, prior) => (own * evidence + prior * this.priorWeight) / (evidence + this.priorWeight);
+
+    let avgTaskTime = stats.mean ?? parent.avgTaskTime;
+    if (stats.mean !== null && parent.avgTaskTime !== null) {
+      avgTaskTime = blend(stats.mean, parent.avgTaskTime);
+    }
+
+    return {
+      successRate: blend(stats.successRate, parent.successRate),
+      avgTaskTime,
+      samples: stats.samples
+    };
+  }
+}
+
+/**
+ * Classify a subtask graph by how much its subtasks depend on each other
+ */
+export function taskShape(subtasks) {
+  const dependencies = subtasks.reduce((sum, subtask) => sum + subtask.dependencies.length, 0);
+  const ratio = dependencies / Math.max(1, subtasks.length);
+
+  if (dependencies === 0) return 'independent';
+  return ratio > 0.5 ? 'chain' : 'mixed';
+}
+
+export default PerformanceModel;
@@ -0,0 +1,120 @@
+/**
+ * Claude Flow Rebalance Policies
+ * Pluggable policies that decide which agents leave a swarm that is over capacity
+ */
+
+/**
+ * Base policy. Subclasses implement rank(agents, context) and return every
+ * agent as { agent, reason }, ordered from the first to leave to the last.
+ *
+ * The context passed by AgentCoordinator contains:
+ *   - swarm: the swarm being rebalanced
+ *   - now: timestamp the ranking is made at
+ */
+export class RebalancePolicy {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+  }
+
+  rank(agents, context) {
+    throw new Error(`Rebalance policy ${this.name} does not implement rank()`);
+  }
+}
+
+/**
+ * Evict the agents that have gone longest without work
+ */
+export class LRUPolicy extends RebalancePolicy {
+  constructor(options = {}) {
+    super({ name: 'lru', ...options });
+  }
+
+  rank(agents, context) {
+    return [...agents]
+      .sort((a, b) => a.lastActive - b.lastActive)
+      .map(agent => ({
+        agent,
+        reason: `last active ${Math.round((context.now - agent.lastActive) / 1000)}s ago`
+      }));
+  }
+}
+
+/**
+ * Evict the agents with the worst track record. Success rates are smoothed
+ * towards the swarm average so an agent with few tasks is neither condemned
+ * nor trusted on one result, and agents younger than the grace period go last.
+ */
+export class LowestPerformancePolicy extends RebalancePolicy {
+  constructor(options = {}) {
+    super({ name: 'lowest-performance', ...options });
+    this.priorWeight = options.priorWeight ?? 3;
+    this.gracePeriod = options.gracePeriod ?? 60000;
+  }
+
+  rank(agents, context) {
+    const prior = agents.length > 0
+      ? agents.reduce((sum, agent) => sum + agent.performance.successRate, 0) / agents.length
+      : 1;
+
+    return agents
+      .map(agent => {
+        const samples = agent.performance.samples ?? agent.tasksCompleted;
+        const score = (agent.performance.successRate * samples + prior * this.priorWeight) / (samples + this.priorWeight);
+        const protectedAgent = context.now - agent.created < this.gracePeriod;
+
+        return { agent, score, protectedAgent };
+      })
+      .sort((a, b) =>
+        a.protectedAgent - b.protectedAgent || a.score - b.score || a.agent.lastActive - b.agent.lastActive
+      )
+      .map(({ agent, score, protectedAgent }) => ({
+        agent,
+        reason: protectedAgent
+          ? 'spawned within the grace period'
+          : `expected success rate ${(score * 100).toFixed(0)}% over ${agent.performance.samples ?? agent.tasksCompleted} tasks`
+      }));
+  }
+}
+
+/**
+ * Evict from the most represented agent types first, so the swarm keeps one
+ * agent of each type as long as it can. Within a type another policy decides.
+ */
+export class TypeDiversityPolicy extends RebalancePolicy {
+  constructor(options = {}) {
+    super({ name: 'type-diversity', ...options });
+    this.fallback = options.fallback || new LowestPerformancePolicy(options);
+  }
+
+  rank(agents, context) {
+    const remaining = this.fallback.rank(agents, context);
+    const counts = new Map();
+    for (const agent of agents) {
+      counts.set(agent.type, (counts.get(agent.type) || 0) + 1);
+    }
+
+    const ranked = [];
+    while (remaining.length > 0) {
+      const largest = Math.max(...remaining.map(({ agent }) => counts.get(agent.type)));
+      const index = remaining.findIndex(({ agent }) => counts.get(agent.type) === largest);
+      const [{ agent, reason }] = remaining.splice(index, 1);
+
+      ranked.push({
+        agent,
+        reason: largest > 1
+          ? `one of ${largest} ${agent.type} agents; ${reason}`
+          : `last ${agent.type} agent; ${reason}`
+      });
+      counts.set(agent.type, largest - 1);
+    }
+
+    return ranked;
+  }
+}
+
+export default {
+  RebalancePolicy,
+  LRUPolicy,
+  LowestPerformancePolicy,
+  TypeDiversityPolicy
+};
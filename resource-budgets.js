@@ -0,0 +1,293 @@
+/**
+ * Claude Flow Resource Budgets
+ * Token, wall-clock time and cost ceilings for swarms and tasks, with
+ * warnings as consumption crosses configurable thresholds
+ */
+
+import { EventEmitter } from 'events';
+
+export const BUDGET_RESOURCES = ['tokens', 'time', 'cost'];
+
+// Estimated USD per 1000 tokens, by model ('*' for models without an entry)
+export const DEFAULT_PRICING = {
+  '*': { prompt: 0.003, completion: 0.015 }
+};
+
+/**
+ * Tracks consumption against budgets. A budget belongs to a scope ('swarm'
+ * or 'task') and an id, and limits any of:
+ *   - tokens: total prompt and completion tokens
+ *   - time: wall-clock ms during which the swarm or task was running; the
+ *     owner stops the clock while work is paused or waits for a human
+ *   - cost: estimated cost in USD
+ *
+ * Emits budget:warning when a threshold is crossed and budget:exceeded when
+ * a limit is reached; the owner decides what happens to the work.
+ */
+export class BudgetTracker extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.thresholds = config.thresholds || [0.5, 0.8];
+    this.onExceeded = config.onExceeded || 'pause';
+    this.pricing = { ...DEFAULT_PRICING, ...config.pricing };
+    this.budgets = new Map();
+  }
+
+  /**
+   * Create a budget or change its limits. Resources that are back under
+   * their limit stop counting as exceeded.
+   */
+  setBudget(scope, id, limits = {}, options = {}) {
+    for (const resource of Object.keys(limits)) {
+      if (!BUDGET_RESOURCES.includes(resource)) {
+        throw new Error(`Unknown budget resource: ${resource} (expected one of ${BUDGET_RESOURCES.join(', ')})`);
+      }
+      if (limits[resource] !== null && !(Number(limits[resource]) > 0)) {
+        throw new Error(`Budget for ${resource} must be a positive number`);
+      }
+    }
+
+    const budget = this.getOrCreate(scope, id);
+    for (const [resource, limit] of Object.entries(limits)) {
+      if (limit === null) {
+        delete budget.limits[resource];
+      } else {
+        budget.limits[resource] = Number(limit);
+      }
+    }
+    budget.onExceeded = options.onExceeded || budget.onExceeded;
+    budget.thresholds = options.thresholds || budget.thresholds;
+
+    // Raising a limit re-arms its warnings and lifts the exceeded state
+    for (const resource of BUDGET_RESOURCES) {
+      const ratio = this.getRatio(budget, resource);
+      if (ratio < 1) budget.exceeded.delete(resource);
+      for (const threshold of budget.thresholds) {
+        if (ratio < threshold) budget.warned.delete(`${resource}:${threshold}`);
+      }
+    }
+
+    this.scheduleTimeChecks(budget);
+    this.check(budget);
+    return this.describe(scope, id);
+  }
+
+  hasBudget(scope, id) {
+    return this.budgets.has(key(scope, id));
+  }
+
+  /**
+   * Resources whose limit has been reached
+   */
+  getExceeded(scope, id) {
+    return Array.from(this.budgets.get(key(scope, id))?.exceeded || []);
+  }
+
+  /**
+   * Add token usage to every budget in scopes ([[scope, id], ...]).
+   * Returns the estimated cost of the usage.
+   */
+  record(scopes, usage = {}) {
+    const tokens = usage.tokenUsage?.total || 0;
+    const cost = typeof usage.cost === 'number' ? usage.cost : this.estimateCost(usage.tokenUsage, usage.model);
+
+    for (const [scope, id] of scopes) {
+      const budget = this.budgets.get(key(scope, id));
+      if (!budget) continue;
+
+      budget.usage.tokens += tokens;
+      budget.usage.cost += cost;
+      this.check(budget);
+    }
+
+    return cost;
+  }
+
+  estimateCost(tokenUsage = {}, model) {
+    const price = this.pricing[model] || this.pricing['*'];
+    return ((tokenUsage.prompt || 0) * price.prompt + (tokenUsage.completion || 0) * price.completion) / 1000;
+  }
+
+  /**
+   * Start or stop the wall-clock of a budget. Overlapping runs, such as two
+   * tasks of one swarm, count once.
+   */
+  start(scope, id) {
+    const budget = this.budgets.get(key(scope, id));
+    if (!budget) return;
+
+    if (budget.running++ === 0) {
+      budget.runningSince = Date.now();
+      this.scheduleTimeChecks(budget);
+    }
+  }
+
+  stop(scope, id) {
+    const budget = this.budgets.get(key(scope, id));
+    if (!budget || budget.running === 0) return;
+
+    if (--budget.running === 0) {
+      budget.usage.time += Date.now() - budget.runningSince;
+      budget.runningSince = null;
+      this.check(budget);
+      this.scheduleTimeChecks(budget);
+    }
+  }
+
+  remove(scope, id) {
+    const budget = this.budgets.get(key(scope, id));
+    if (!budget) return;
+
+    budget.timers.forEach(clearTimeout);
+    this.budgets.delete(key(scope, id));
+  }
+
+  describe(scope, id) {
+    const budget = this.budgets.get(key(scope, id));
+    if (!budget) return null;
+
+    const resources = {};
+    for (const resource of BUDGET_RESOURCES) {
+      const used = this.getUsage(budget, resource);
+      const limit = budget.limits[resource] ?? null;
+
+      resources[resource] = {
+        used: resource === 'cost' ? Math.round(used * 1e6) / 1e6 : Math.round(used),
+        limit,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+        percent: limit === null ? null : Math.round(used / limit * 1000) / 10
+      };
+    }
+
+    const warning = budget.warned.size > 0;
+    return {
+      scope,
+      id,
+      status: budget.exceeded.size > 0 ? 'exceeded' : warning ? 'warning' : 'ok',
+      onExceeded: budget.onExceeded,
+      exceeded: Array.from(budget.exceeded),
+      resources
+    };
+  }
+
+  list() {
+    return Array.from(this.budgets.values()).map(budget => this.describe(budget.scope, budget.id));
+  }
+
+  /**
+   * Snapshot used to persist a budget with its swarm or task
+   */
+  serialize(scope, id) {
+    const budget = this.budgets.get(key(scope, id));
+    if (!budget) return null;
+
+    return {
+      limits: budget.limits,
+      usage: { ...budget.usage, time: this.getUsage(budget, 'time') },
+      onExceeded: budget.onExceeded,
+      thresholds: budget.thresholds,
+      warned: Array.from(budget.warned),
+      exceeded: Array.from(budget.exceeded)
+    };
+  }
+
+  restore(scope, id, data) {
+    const budget = this.getOrCreate(scope, id);
+
+    Object.assign(budget.limits, data.limits);
+    Object.assign(budget.usage, data.usage);
+    budget.onExceeded = data.onExceeded || budget.onExceeded;
+    budget.thresholds = data.thresholds || budget.thresholds;
+    budget.warned = new Set(data.warned || []);
+    budget.exceeded = new Set(data.exceeded || []);
+  }
+
+  /**
+   * Helper methods
+   */
+
+  getOrCreate(scope, id) {
+    if (!this.budgets.has(key(scope, id))) {
+      this.budgets.set(key(scope, id), {
+        scope,
+        id,
+        limits: {},
+        usage: { tokens: 0, time: 0, cost: 0 },
+        onExceeded: this.onExceeded,
+        thresholds: this.thresholds,
+        warned: new Set(),
+        exceeded: new Set(),
+        running: 0,
+        runningSince: null,
+        timers: []
+      });
+    }
+    return this.budgets.get(key(scope, id));
+  }
+
+  getUsage(budget, resource) {
+    if (resource === 'time' && budget.runningSince) {
+      return budget.usage.time + Date.now() - budget.runningSince;
+    }
+    return budget.usage[resource];
+  }
+
+  getRatio(budget, resource) {
+    const limit = budget.limits[resource];
+    return limit ? this.getUsage(budget, resource) / limit : 0;
+  }
+
+  check(budget) {
+    for (const resource of Object.keys(budget.limits)) {
+      const ratio = this.getRatio(budget, resource);
+      const event = {
+        scope: budget.scope,
+        id: budget.id,
+        resource,
+        used: this.getUsage(budget, resource),
+        limit: budget.limits[resource]
+      };
+
+      for (const threshold of [...budget.thresholds].sort((a, b) => a - b)) {
+        if (ratio >= threshold && ratio < 1 && !budget.warned.has(`${resource}:${threshold}`)) {
+          budget.warned.add(`${resource}:${threshold}`);
+          this.emit('budget:warning', { ...event, threshold });
+        }
+      }
+
+      if (ratio >= 1 && !budget.exceeded.has(resource)) {
+        budget.exceeded.add(resource);
+        this.emit('budget:exceeded', { ...event, action: budget.onExceeded });
+      }
+    }
+  }
+
+  /**
+   * Time is consumed without any usage being recorded, so wake up at each
+   * remaining threshold while the clock runs
+   */
+  scheduleTimeChecks(budget) {
+    budget.timers.forEach(clearTimeout);
+    budget.timers = [];
+
+    const limit = budget.limits.time;
+    if (!limit || !budget.runningSince) return;
+
+    const used = this.getUsage(budget, 'time');
+    for (const point of [...budget.thresholds, 1]) {
+      const delay = point * limit - used;
+      if (delay < 0) continue;
+
+      const timer = setTimeout(() => this.check(budget), delay + 1);
+      timer.unref?.();
+      budget.timers.push(timer);
+    }
+  }
+}
+
+function key(scope, id) {
+  return `${scope}:${id}`;
+}
+
+export default BudgetTracker;
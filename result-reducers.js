@@ -0,0 +1,118 @@
+/**
+ * Claude Flow Result Reducers
+ * Pluggable reducers that combine the outputs of a task's subtasks into the task result
+ */
+
+/**
+ * Base reducer. Subclasses implement reduce(outputs, context) and return
+ * (or resolve with) the task result. outputs holds one entry per completed
+ * subtask, in dependency order:
+ *   { subtaskId, key, description, type, output, artifacts }
+ * where artifacts are references into the artifact store.
+ *
+ * The context passed by AgentCoordinator contains:
+ *   - task: the task being reduced
+ *   - artifacts: the ArtifactStore, to fetch artifact content by id
+ */
+export class ResultReducer {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+  }
+
+  async reduce(outputs, context) {
+    throw new Error(`Reducer ${this.name} does not implement reduce()`);
+  }
+}
+
+/**
+ * Map each subtask key to its output
+ */
+export class CollectReducer extends ResultReducer {
+  constructor(options = {}) {
+    super({ name: 'collect', ...options });
+  }
+
+  reduce(outputs) {
+    return Object.fromEntries(outputs.map(entry => [entry.key || entry.subtaskId, entry.output]));
+  }
+}
+
+/**
+ * Join the outputs into one text, in dependency order
+ */
+export class ConcatReducer extends ResultReducer {
+  constructor(options = {}) {
+    super({ name: 'concat', ...options });
+    this.separator = options.separator ?? '\n\n';
+  }
+
+  reduce(outputs) {
+    return outputs
+      .filter(entry => entry.output !== null && entry.output !== undefined)
+      .map(entry => typeof entry.output === 'string' ? entry.output : JSON.stringify(entry.output, null, 2))
+      .join(this.separator);
+  }
+}
+
+/**
+ * Deep-merge object outputs; later subtasks win on conflicting values and
+ * arrays are concatenated. Outputs that are not objects are left out.
+ */
+export class MergeReducer extends ResultReducer {
+  constructor(options = {}) {
+    super({ name: 'merge', ...options });
+  }
+
+  reduce(outputs) {
+    return outputs
+      .filter(entry => isPlainObject(entry.output))
+      .reduce((merged, entry) => deepMerge(merged, entry.output), {});
+  }
+}
+
+/**
+ * Keep only the outputs of the subtasks nothing else depends on: the end
+ * products of the graph. A single end product is returned as is.
+ */
+export class FinalReducer extends ResultReducer {
+  constructor(options = {}) {
+    super({ name: 'final', ...options });
+  }
+
+  reduce(outputs, context) {
+    const dependedOn = new Set(context.task.subtasks.flatMap(subtask => subtask.dependencies));
+    const finals = outputs
+      .filter(entry => !dependedOn.has(entry.subtaskId))
+      .map(entry => entry.output);
+
+    return finals.length === 1 ? finals[0] : finals;
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+  const merged = { ...target };
+
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = deepMerge(merged[key], value);
+    } else if (Array.isArray(value) && Array.isArray(merged[key])) {
+      merged[key] = [...merged[key], ...value];
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+export default {
+  ResultReducer,
+  CollectReducer,
+  ConcatReducer,
+  MergeReducer,
+  FinalReducer
+};
@@ -0,0 +1,425 @@
+/**
+ * Claude Flow Search Index
+ * Inverted index over memory keys and values with BM25 ranking, phrase and
+ * field queries, and highlighted snippets
+ */
+
+import { IndexJournal } from './index-journal.js';
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const DATE_FIELDS = ['created', 'updated'];
+const FIELD_ALIASES = { tag: 'tags', ns: 'namespace' };
+
+/**
+ * Documents are memory entries, identified by namespace and key. Their term
+ * positions are kept in an IndexJournal under path, so storing an entry
+ * appends one line instead of rewriting the index. Terms are looked up
+ * through an inverted index built in memory when the journal is opened.
+ *
+ * Query syntax (see parseQuery):
+ *   deploy rollback          ranked by BM25, any term may match
+ *   "rollback plan"          the exact phrase must appear
+ *   deplo*                   prefix match
+ *   tags:research            entry has the tag (repeat for several)
+ *   namespace:agents         entry is in one of the given namespaces
+ *   key:note-*               key matches the glob
+ *   created:>7d updated:<2024-06-01 created:>=1718000000000
+ */
+export class SearchIndex {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.maxTextLength = options.maxTextLength || 100000;
+    this.journal = new IndexJournal({ ...options.journal, directory: this.path, name: 'documents' });
+    this.documents = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Load the indexed documents. Returns false when nothing was indexed yet,
+   * so the owner can rebuild the index from its entries.
+   */
+  async load() {
+    if (!(await this.journal.open())) {
+      return false;
+    }
+
+    this.loadDocuments();
+    return true;
+  }
+
+  /**
+   * Catch up with documents other processes indexed meanwhile
+   */
+  async refresh() {
+    const { reloaded, operations } = await this.journal.refresh();
+    if (reloaded) {
+      this.loadDocuments();
+      return;
+    }
+
+    for (const { op, id, value } of operations) {
+      const document = op === 'set' ? value : this.documents.get(id);
+      if (!document) continue;
+
+      this.removeDocument(document.namespace, document.key);
+      if (op === 'set') this.addDocument(document.namespace, document.key, document);
+    }
+  }
+
+  /**
+   * Whether no other process indexed documents since the last load or refresh
+   */
+  isCurrent() {
+    return this.journal.isCurrent();
+  }
+
+  /**
+   * Index an entry: its key and tags, plus the text of its value unless
+   * options.keysOnly is set. options.save false defers writing the
+   * document until saveAll(), for bulk indexing.
+   */
+  async add(namespace, key, entry, options = {}) {
+    const text = [key, ...(entry.tags || []), options.keysOnly ? '' : extractText(entry.value)]
+      .join('\n')
+      .slice(0, this.maxTextLength);
+
+    const terms = {};
+    tokenize(text).forEach(({ term }, position) => {
+      if (!Object.hasOwn(terms, term)) terms[term] = [];
+      terms[term].push(position);
+    });
+
+    this.removeDocument(namespace, key);
+    const document = this.addDocument(namespace, key, {
+      length: Object.values(terms).reduce((sum, positions) => sum + positions.length, 0),
+      terms,
+      tags: entry.tags || [],
+      created: entry.created,
+      updated: entry.updated,
+      expires: entry.expires || null
+    });
+
+    if (options.save !== false) {
+      await this.journal.set(documentId(namespace, key), document);
+    }
+  }
+
+  async remove(namespace, key) {
+    if (this.removeDocument(namespace, key)) {
+      await this.journal.delete(documentId(namespace, key));
+    }
+  }
+
+  /**
+   * Write every document as a fresh snapshot
+   */
+  async saveAll() {
+    await this.journal.replaceAll(this.documents);
+  }
+
+  async clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    await this.journal.replaceAll([]);
+  }
+
+  async close() {
+    await this.journal.close();
+  }
+
+  /**
+   * Rank documents for a query. Returns [{ namespace, key, score, terms }]
+   * where terms are the query terms found in the document, best first.
+   * Queries with only field filters list the matches, most recently updated first.
+   *
+   * Options: namespaces and tags narrow the query like namespace: and tags:
+   * fields would; limit caps the results (default 100).
+   */
+  search(query, options = {}) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    const filters = [
+      ...parsed.filters,
+      ...((options.namespaces || []).length > 0 ? [{ field: 'namespace', op: '=', value: options.namespaces }] : []),
+      ...(options.tags || []).map(tag => ({ field: 'tags', op: '=', value: tag }))
+    ];
+    const now = Date.now();
+
+    const averageLength = this.totalLength / Math.max(1, this.documents.size);
+    const expanded = parsed.terms.map(term => this.expandTerm(term));
+    const ranked = [];
+
+    for (const [id, document] of this.getCandidates(parsed, expanded)) {
+      if (document.expires && document.expires < now) continue;
+      if (!filters.every(filter => matchesFilter(document, filter))) continue;
+      if (!parsed.phrases.every(phrase => this.countPhrase(document, phrase) > 0)) continue;
+
+      let score = 0;
+      const found = new Set();
+
+      const addTerm = (term, frequency) => {
+        const idf = Math.log(1 + (this.documents.size - this.getPostings(term).size + 0.5) / (this.getPostings(term).size + 0.5));
+        score += idf * frequency * (this.k1 + 1) /
+          (frequency + this.k1 * (1 - this.b + this.b * document.length / (averageLength || 1)));
+      };
+
+      for (const variants of expanded) {
+        for (const term of variants) {
+          const frequency = positionsOf(document, term).length;
+          if (frequency === 0) continue;
+          addTerm(term, frequency);
+          found.add(term);
+        }
+      }
+
+      for (const phrase of parsed.phrases) {
+        const frequency = this.countPhrase(document, phrase);
+        phrase.forEach(term => {
+          addTerm(term, frequency);
+          found.add(term);
+        });
+      }
+
+      const textual = parsed.terms.length > 0 || parsed.phrases.length > 0;
+      if (textual && found.size === 0) continue;
+
+      ranked.push({ id, namespace: document.namespace, key: document.key, score, terms: Array.from(found), updated: document.updated });
+    }
+
+    ranked.sort((a, b) => b.score - a.score || (b.updated || 0) - (a.updated || 0));
+
+    return ranked
+      .slice(0, options.limit || 100)
+      .map(({ namespace, key, score, terms }) => ({ namespace, key, score: Math.round(score * 1000) / 1000, terms }));
+  }
+
+  stats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      averageLength: Math.round(this.totalLength / Math.max(1, this.documents.size))
+    };
+  }
+
+  /**
+   * Helper methods
+   */
+
+  loadDocuments() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+
+    for (const document of this.journal.entries.values()) {
+      this.addDocument(document.namespace, document.key, document);
+    }
+  }
+
+  addDocument(namespace, key, document) {
+    const id = documentId(namespace, key);
+    const stored = { ...document, namespace, key };
+    this.documents.set(id, stored);
+    this.totalLength += document.length;
+
+    for (const term of Object.keys(document.terms)) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(id);
+    }
+    return stored;
+  }
+
+  removeDocument(namespace, key) {
+    const id = documentId(namespace, key);
+    const document = this.documents.get(id);
+    if (!document) return false;
+
+    for (const term of Object.keys(document.terms)) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(term);
+    }
+
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+    return true;
+  }
+
+  getPostings(term) {
+    return this.postings.get(term) || new Set();
+  }
+
+  /**
+   * Terms ending in * match every indexed term with that prefix
+   */
+  expandTerm(term) {
+    if (!term.endsWith('*')) {
+      return [term];
+    }
+
+    const prefix = term.slice(0, -1);
+    return Array.from(this.postings.keys()).filter(candidate => candidate.startsWith(prefix));
+  }
+
+  /**
+   * Documents containing any query term, or every document for filter-only queries
+   */
+  getCandidates(parsed, expanded) {
+    if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+      return this.documents.entries();
+    }
+
+    const ids = new Set();
+    for (const term of [...expanded.flat(), ...parsed.phrases.flat()]) {
+      this.getPostings(term).forEach(id => ids.add(id));
+    }
+    return Array.from(ids, id => [id, this.documents.get(id)]);
+  }
+
+  countPhrase(document, phrase) {
+    const [first, ...rest] = phrase;
+    return positionsOf(document, first).filter(start =>
+      rest.every((term, offset) => positionsOf(document, term).includes(start + offset + 1))
+    ).length;
+  }
+}
+
+/**
+ * Split a query into free terms, quoted phrases and field filters
+ */
+export function parseQuery(query) {
+  const parsed = { terms: [], phrases: [], filters: [] };
+  const pattern = /(\w+):(>=|<=|>|<)?("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+
+  for (const match of String(query).matchAll(pattern)) {
+    const [text, rawField, op, fieldValue, phrase] = match;
+    const field = rawField && (FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase());
+    const value = fieldValue?.replace(/^"|"$/g, '');
+
+    if (DATE_FIELDS.includes(field)) {
+      parsed.filters.push({ field, op: op || '>=', value: parseDate(value) });
+    } else if (['tags', 'namespace', 'key'].includes(field)) {
+      parsed.filters.push({ field, op: '=', value });
+    } else if (phrase !== undefined) {
+      const terms = tokenize(phrase).map(token => token.term);
+      if (terms.length === 1) parsed.terms.push(terms[0]);
+      if (terms.length > 1) parsed.phrases.push(terms);
+    } else {
+      // Words with a colon that is not a known field, like agent:42, are plain text
+      const prefix = text.endsWith('*');
+      const terms = tokenize(text).map(token => token.term);
+      if (prefix && terms.length > 0) terms[terms.length - 1] += '*';
+      parsed.terms.push(...terms);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Lowercased word tokens with their offsets in the text
+ */
+export function tokenize(text) {
+  return Array.from(String(text).matchAll(/[\p{L}\p{N}]+/gu), match => ({
+    term: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Searchable text of a stored value: every string, number and boolean in
+ * it, one per line
+ */
+export function extractText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value)) return value.map(extractText).filter(Boolean).join('\n');
+
+  return Object.values(value).map(extractText).filter(Boolean).join('\n');
+}
+
+/**
+ * Cut the part of text around the first query term and mark the terms found in it
+ */
+export function highlight(text, terms, options = {}) {
+  const length = options.length || 160;
+  const [open, close] = options.marks || ['**', '**'];
+  const matches = term => term.endsWith('*') ? token => token.startsWith(term.slice(0, -1)) : token => token === term;
+  const matchers = terms.map(matches);
+
+  const tokens = tokenize(text).filter(token => matchers.some(match => match(token.term)));
+  if (tokens.length === 0) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length)}…` : flat;
+  }
+
+  const start = Math.max(0, tokens[0].start - Math.floor(length / 4));
+  const end = Math.min(text.length, start + length);
+
+  let snippet = '';
+  let cursor = start;
+  for (const token of tokens) {
+    if (token.start < start || token.end > end) continue;
+    snippet += text.slice(cursor, token.start) + open + text.slice(token.start, token.end) + close;
+    cursor = token.end;
+  }
+  snippet += text.slice(cursor, end);
+
+  return `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+// Terms such as 'constructor' must not resolve to Object.prototype members
+function positionsOf(document, term) {
+  return Object.hasOwn(document.terms, term) ? document.terms[term] : [];
+}
+
+function documentId(namespace, key) {
+  return `${namespace}\u0000${key}`;
+}
+
+function matchesFilter(document, { field, op, value }) {
+  switch (field) {
+    case 'tags':
+      return document.tags.includes(value);
+    case 'namespace':
+      return [].concat(value).includes(document.namespace);
+    case 'key':
+      return new RegExp(`^${value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`).test(document.key);
+    default: {
+      const time = document[field] || 0;
+      switch (op) {
+        case '>': return time > value;
+        case '<': return time < value;
+        case '<=': return time <= value;
+        default: return time >= value;
+      }
+    }
+  }
+}
+
+/**
+ * Epoch ms, a date string, or a duration before now such as 7d or 12h
+ */
+function parseDate(value) {
+  if (/^\d{10,}$/.test(value)) {
+    return Number(value);
+  }
+
+  const duration = value.match(/^(\d+)([smhdw])$/);
+  if (duration) {
+    return Date.now() - Number(duration[1]) * DURATION_UNITS[duration[2]];
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date in search query: ${value}`);
+  }
+  return time;
+}
+
+export default SearchIndex;
@@ -0,0 +1,352 @@
+/**
+ * Claude Flow Semantic Index
+ * Embedding providers and an approximate nearest-neighbour index for
+ * "find memories similar to this" retrieval
+ */
+
+import { IndexJournal } from './index-journal.js';
+
+// Journal id of the layout the stored vectors were made with
+const LAYOUT_ID = '@layout';
+
+/**
+ * Base embedding provider. Subclasses set dimensions and implement
+ * embed(texts), resolving with one vector per text. Vectors should be
+ * L2-normalized so cosine similarity is a dot product.
+ */
+export class EmbeddingProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.dimensions = options.dimensions || 0;
+  }
+
+  async embed(texts) {
+    throw new Error(`Embedding provider ${this.name} does not implement embed()`);
+  }
+}
+
+/**
+ * Offline embedder using feature hashing: words, word pairs and character
+ * trigrams are hashed into a fixed number of signed buckets and weighted by
+ * log term frequency. Deterministic, so vectors survive restarts unchanged.
+ */
+export class HashingEmbedder extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ name: 'hashing', ...options, dimensions: options.dimensions || 256 });
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    words.forEach((word, index) => {
+      add(`w:${word}`, 1);
+      if (index > 0) add(`b:${words[index - 1]} ${word}`, 0.5);
+      for (let i = 0; i + 3 <= word.length + 2; i++) {
+        add(`c:${` ${word} `.slice(i, i + 3)}`, 0.25);
+      }
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(1 + count));
+    }
+
+    return normalize(vector);
+  }
+}
+
+/**
+ * Vectors of memory entries with random-hyperplane LSH tables on top. Each
+ * table hashes a vector to a bucket of `bits` sign bits; a query looks in
+ * its bucket in every table, then in buckets one bit away, and compares
+ * only those candidates. Small indexes, or queries with too few candidates,
+ * are compared against every vector instead.
+ *
+ * Hyperplanes come from a seeded generator, so only the seed is persisted.
+ * Vectors and their bucket signatures are kept in an IndexJournal under path.
+ */
+export class SemanticIndex {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.embedder = options.embedder || new HashingEmbedder({ dimensions: options.dimensions });
+    this.tables = options.tables || 8;
+    this.bits = options.bits || 10;
+    this.seed = options.seed ?? 42;
+    this.exactBelow = options.exactBelow ?? 500;
+    this.maxTextLength = options.maxTextLength || 20000;
+    this.journal = new IndexJournal({ ...options.journal, directory: this.path, name: 'vectors' });
+    this.vectors = new Map();
+    this.buckets = Array.from({ length: this.tables }, () => new Map());
+    this.planes = createPlanes(this.tables * this.bits, this.embedder.dimensions, this.seed);
+  }
+
+  /**
+   * Load the persisted vectors. Returns false when there is nothing to load
+   * or the vectors were made by another embedder or LSH layout, so the
+   * owner can rebuild the index.
+   */
+  async load() {
+    await this.journal.open();
+    return this.loadVectors();
+  }
+
+  /**
+   * Catch up with vectors other processes added meanwhile
+   */
+  async refresh() {
+    const { reloaded, operations } = await this.journal.refresh();
+    if (reloaded) {
+      this.loadVectors();
+      return;
+    }
+
+    for (const { op, id, value } of operations) {
+      const entry = op === 'set' ? value : this.vectors.get(id);
+      if (!entry || id === LAYOUT_ID) continue;
+
+      this.removeVector(entry.namespace, entry.key);
+      if (op === 'set') this.addVector(entry.namespace, entry.key, entry.vector, entry.signatures);
+    }
+  }
+
+  /**
+   * Whether no other process added vectors since the last load or refresh
+   */
+  isCurrent() {
+    return this.journal.isCurrent();
+  }
+
+  /**
+   * Embed and index the text of an entry. options.save false defers writing
+   * until saveAll(), for bulk indexing.
+   */
+  async add(namespace, key, text, options = {}) {
+    const [vector] = await this.embedder.embed([String(text).slice(0, this.maxTextLength)]);
+
+    this.removeVector(namespace, key);
+    const entry = this.addVector(namespace, key, vector.map(value => Math.round(value * 1e4) / 1e4), this.sign(vector));
+
+    if (options.save !== false) {
+      await this.journal.set(entryId(namespace, key), entry);
+    }
+  }
+
+  async remove(namespace, key) {
+    if (this.removeVector(namespace, key)) {
+      await this.journal.delete(entryId(namespace, key));
+    }
+  }
+
+  /**
+   * Drop every vector, including ones made with another layout
+   */
+  async clear() {
+    this.vectors.clear();
+    this.buckets.forEach(table => table.clear());
+    await this.saveAll();
+  }
+
+  /**
+   * Write every vector as a fresh snapshot
+   */
+  async saveAll() {
+    await this.journal.replaceAll([[LAYOUT_ID, this.getLayout()], ...this.vectors]);
+  }
+
+  async close() {
+    await this.journal.close();
+  }
+
+  /**
+   * The k entries most similar to a text: [{ namespace, key, score }] with
+   * cosine similarity as score, best first
+   *
+   * Options: k (default 10), namespaces, minScore, exclude ([{ namespace, key }])
+   */
+  async search(text, options = {}) {
+    const k = options.k || 10;
+    const namespaces = options.namespaces?.length > 0 ? new Set(options.namespaces) : null;
+    const excluded = new Set((options.exclude || []).map(({ namespace, key }) => entryId(namespace, key)));
+    const accept = id => {
+      const entry = this.vectors.get(id);
+      return entry && (!namespaces || namespaces.has(entry.namespace)) && !excluded.has(id);
+    };
+
+    const [query] = await this.embedder.embed([String(text).slice(0, this.maxTextLength)]);
+    const signatures = this.sign(query);
+
+    let candidates = this.vectors.size < this.exactBelow ? null : this.probe(signatures, 0);
+    if (candidates) {
+      candidates = new Set([...candidates].filter(accept));
+      if (candidates.size < k) {
+        candidates = new Set([...this.probe(signatures, 1)].filter(accept));
+      }
+    }
+    if (!candidates || candidates.size < k) {
+      candidates = new Set(Array.from(this.vectors.keys()).filter(accept));
+    }
+
+    return Array.from(candidates, id => {
+      const entry = this.vectors.get(id);
+      return { namespace: entry.namespace, key: entry.key, score: Math.round(dot(query, entry.vector) * 1e4) / 1e4 };
+    })
+      .filter(result => result.score >= (options.minScore ?? -1))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  stats() {
+    return {
+      embedder: this.embedder.name,
+      dimensions: this.embedder.dimensions,
+      vectors: this.vectors.size,
+      tables: this.tables,
+      bits: this.bits,
+      buckets: this.buckets.reduce((sum, table) => sum + table.size, 0)
+    };
+  }
+
+  /**
+   * Helper methods
+   */
+
+  /**
+   * Index the journal's vectors, unless they were made with another layout
+   */
+  loadVectors() {
+    this.vectors.clear();
+    this.buckets.forEach(table => table.clear());
+
+    if (this.journal.get(LAYOUT_ID) !== this.getLayout()) {
+      return false;
+    }
+
+    for (const [id, entry] of this.journal.entries) {
+      if (id !== LAYOUT_ID) {
+        this.addVector(entry.namespace, entry.key, entry.vector, entry.signatures);
+      }
+    }
+    return true;
+  }
+
+  getLayout() {
+    return `${this.embedder.name}:${this.embedder.dimensions}:${this.tables}x${this.bits}:${this.seed}`;
+  }
+
+  sign(vector) {
+    const signatures = [];
+    for (let table = 0; table < this.tables; table++) {
+      let signature = 0;
+      for (let bit = 0; bit < this.bits; bit++) {
+        if (dot(vector, this.planes[table * this.bits + bit]) >= 0) {
+          signature |= 1 << bit;
+        }
+      }
+      signatures.push(signature);
+    }
+    return signatures;
+  }
+
+  /**
+   * Ids in the query's buckets, or in buckets up to `distance` bits away
+   */
+  probe(signatures, distance) {
+    const ids = new Set();
+
+    signatures.forEach((signature, table) => {
+      const probes = [signature];
+      if (distance > 0) {
+        for (let bit = 0; bit < this.bits; bit++) probes.push(signature ^ (1 << bit));
+      }
+      for (const probe of probes) {
+        this.buckets[table].get(probe)?.forEach(id => ids.add(id));
+      }
+    });
+
+    return ids;
+  }
+
+  addVector(namespace, key, vector, signatures) {
+    const id = entryId(namespace, key);
+    const entry = { namespace, key, vector, signatures };
+    this.vectors.set(id, entry);
+
+    signatures.forEach((signature, table) => {
+      if (!this.buckets[table].has(signature)) {
+        this.buckets[table].set(signature, new Set());
+      }
+      this.buckets[table].get(signature).add(id);
+    });
+    return entry;
+  }
+
+  removeVector(namespace, key) {
+    const id = entryId(namespace, key);
+    const entry = this.vectors.get(id);
+    if (!entry) return false;
+
+    entry.signatures.forEach((signature, table) => {
+      const bucket = this.buckets[table].get(signature);
+      bucket.delete(id);
+      if (bucket.size === 0) this.buckets[table].delete(signature);
+    });
+
+    this.vectors.delete(id);
+    return true;
+  }
+}
+
+function entryId(namespace, key) {
+  return `${namespace}\u0000${key}`;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Gaussian random hyperplanes from a seeded mulberry32 generator
+ */
+function createPlanes(count, dimensions, seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return Array.from({ length: count }, () => Array.from({ length: dimensions }, () =>
+    Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+  ));
+}
+
+export default SemanticIndex;
@@ -50,6 +50,7 @@ export class SessionManager {
         memory: {},
         metrics: {
           tokensUsed: 0,
+          cost: 0,
           tasksCompleted: 0,
           timeActive: 0,
           efficiency: 1.0
@@ -230,6 +231,32 @@ export class SessionManager {
     this.addEvent('metrics_updated', { metrics });
   }
 
+  /**
+   * Replace the budget consumption snapshot; budget warnings and overruns
+   * are recorded as events when they happen
+   */
+  updateBudgets(budgets) {
+    if (!this.currentSession) {
+      throw new Error('No active session');
+    }
+
+    this.currentSession.state.budgets = budgets;
+  }
+
+  /**
+   * Record a human approval decision and save the session right away
+   */
+  async recordApproval(approval) {
+    if (!this.currentSession) {
+      throw new Error('No active session');
+    }
+
+    this.currentSession.state.approvals = [...(this.currentSession.state.approvals || []), approval];
+    this.addEvent(`approval_${approval.decision}`, approval);
+
+    await this.saveSession();
+  }
+
   /**
    * Create checkpoint
    */
@@ -302,10 +329,12 @@ export class SessionManager {
         tasks: session.state.tasks.length,
         tasksCompleted: session.state.metrics.tasksCompleted,
         tokensUsed: session.state.metrics.tokensUsed,
+        cost: session.state.metrics.cost || 0,
         efficiency: session.state.metrics.efficiency,
         events: session.events.length,
         checkpoints: session.checkpoints.length
       },
+      budgets: session.state.budgets || [],
       topEvents: this.getTopEvents(session.events, 10),
       recentActivity: this.getRecentActivity(session.events, 5)
     };
@@ -439,13 +468,36 @@ export class SessionManager {
   summarizeEvent(event) {
     switch (event.type) {
       case 'swarm_added':
-        return `Added ${event.data.topology} swarm`;
+        return `Added ${event.data.topology} swarm${event.data.name ? ` ${event.data.name}` : ''}`;
+      case 'swarm_activated':
+        return `Switched to swarm ${event.data.name}`;
+      case 'task_handoff':
+        return `Handed task ${event.data.fromTask} off to swarm ${event.data.toSwarm}`;
       case 'agent_added':
         return `Spawned ${event.data.type} agent: ${event.data.name}`;
       case 'task_added':
         return `Started task: ${event.data.description?.substring(0, 50)}...`;
       case 'checkpoint_created':
         return `Created checkpoint: ${event.data.name}`;
+      case 'scale_up':
+        return `Auto-spawned ${event.data.type} agent ${event.data.name}: ${event.data.reason}`;
+      case 'scale_down':
+        return `Retired ${event.data.type} agent ${event.data.name} after ${Math.round(event.data.idleFor / 1000)}s idle`;
+      case 'patterns_trained':
+        return `Retrained performance model on ${event.data.observations} observations`;
+      case 'swarm_rebalanced':
+        return `Rebalanced swarm with ${event.data.policy} policy: ${event.data.changes.length} agents leaving`;
+      case 'budget_warning':
+        return `${event.data.scope} ${event.data.resource} budget at ${Math.round(event.data.threshold * 100)}%`;
+      case 'budget_exceeded':
+        return `${event.data.scope} ${event.data.resource} budget exceeded, task ${event.data.action === 'fail' ? 'failed' : 'paused'}`;
+      case 'approval_requested':
+        return `Approval requested: ${event.data.description}`;
+      case 'approval_approved':
+      case 'approval_rejected':
+        return `Subtask ${event.data.subtaskId} ${event.data.decision}${event.data.comment ? `: ${event.data.comment}` : ''}`;
+      case 'message_sent':
+        return `${event.data.kind} message from ${event.data.from}${event.data.topic ? ` on ${event.data.topic}` : ''}`;
       default:
         return event.type.replace(/_/g, ' ');
     }
@@ -466,8 +518,24 @@ export class SessionManager {
     report += `- **Tasks**: ${summary.statistics.tasks}\n`;
     report += `- **Tasks Completed**: ${summary.statistics.tasksCompleted}\n`;
     report += `- **Tokens Used**: ${summary.statistics.tokensUsed}\n`;
+    report += `- **Estimated Cost**: $${summary.statistics.cost.toFixed(4)}\n`;
     report += `- **Efficiency**: ${(summary.statistics.efficiency * 100).toFixed(1)}%\n\n`;
 
+    if (summary.budgets.length > 0) {
+      report += `## Budgets\n`;
+      report += `| Scope | Id | Status | Tokens | Time (s) | Cost ($) |\n`;
+      report += `|-------|----|--------|--------|----------|----------|\n`;
+      for (const budget of summary.budgets) {
+        const cell = (resource, scale = 1) => {
+          const { used, limit, percent } = budget.resources[resource];
+          const value = Math.round(used / scale * 10000) / 10000;
+          return limit === null ? `${value}` : `${value} / ${limit / scale} (${percent}%)`;
+        };
+        report += `| ${budget.scope} | ${budget.id.slice(0, 8)} | ${budget.status} | ${cell('tokens')} | ${cell('time', 1000)} | ${cell('cost')} |\n`;
+      }
+      report += `\n`;
+    }
+
     report += `## Top Events\n`;
     for (const event of summary.topEvents) {
       report += `- ${event.type}: ${event.count} occurrences\n`;
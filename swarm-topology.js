@@ -0,0 +1,483 @@
+/**
+ * Claude Flow Swarm Topologies
+ * Shape how work is assigned, routed and shared between agents of a swarm
+ */
+
+import { CapabilityTaxonomy } from './capability-taxonomy.js';
+
+/**
+ * Base topology. Subclasses maintain their structure as agents join and
+ * leave, and decide which agents may take work and where results flow.
+ */
+export class Topology {
+  constructor(type) {
+    this.type = type;
+    this.members = new Map();
+  }
+
+  join(agent) {
+    this.members.set(agent.id, { id: agent.id, type: agent.type, joined: Date.now() });
+  }
+
+  leave(agentId) {
+    this.members.delete(agentId);
+  }
+
+  /**
+   * Order or filter idle agents that may take a subtask
+   */
+  selectCandidates(agents, subtask) {
+    return agents;
+  }
+
+  /**
+   * Called once a subtask has been handed to an agent
+   */
+  onAssigned(agentId, subtask) {}
+
+  /**
+   * Agent that hands work out to others, if the topology has one
+   */
+  getDispatcher() {
+    return null;
+  }
+
+  /**
+   * Agents that receive a result produced by the given agent
+   */
+  getResultRecipients(agentId) {
+    return [];
+  }
+
+  /**
+   * Agents directly connected to the given agent
+   */
+  getNeighbours(agentId) {
+    return [];
+  }
+
+  /**
+   * Path of agent ids a message takes from one agent to another, or null
+   */
+  route(fromId, toId) {
+    if (!this.members.has(fromId) || !this.members.has(toId)) return null;
+    if (fromId === toId) return [fromId];
+
+    // Breadth-first search over neighbour links
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === toId) break;
+
+      for (const next of this.getNeighbours(current)) {
+        if (!previous.has(next)) {
+          previous.set(next, current);
+          queue.push(next);
+        }
+      }
+    }
+
+    if (!previous.has(toId)) return null;
+
+    const path = [];
+    for (let node = toId; node !== null; node = previous.get(node)) {
+      path.unshift(node);
+    }
+    return path;
+  }
+
+  /**
+   * Whether the current leader should give way, either because it left or
+   * because a coordinator agent is now available
+   */
+  needsElection(leaderId) {
+    const leader = this.members.get(leaderId);
+    if (!leader) return true;
+
+    return leader.type !== 'coordinator' &&
+      Array.from(this.members.values()).some(member => member.type === 'coordinator');
+  }
+
+  /**
+   * Pick a lead agent, preferring coordinators and then the longest serving
+   */
+  electLeader(candidateIds) {
+    const candidates = candidateIds
+      .map(id => this.members.get(id))
+      .filter(Boolean)
+      .sort((a, b) => (b.type === 'coordinator') - (a.type === 'coordinator') || a.joined - b.joined);
+
+    return candidates[0]?.id || null;
+  }
+
+  describe() {
+    return { type: this.type, agents: this.members.size };
+  }
+}
+
+/**
+ * Tree of agents: an elected coordinator at the root delegates to one lead
+ * per agent type, and each lead delegates to the other agents of its type.
+ * Subtasks go to the branch whose agent type the capability taxonomy maps
+ * to the subtask type, e.g. implementation work to the coder branch.
+ */
+export class HierarchicalTopology extends Topology {
+  constructor(options = {}) {
+    super('hierarchical');
+    this.levels = options.levels || 3;
+    this.taxonomy = options.taxonomy || new CapabilityTaxonomy();
+    this.root = null;
+    this.branches = new Map();
+  }
+
+  join(agent) {
+    super.join(agent);
+    this.rebuild();
+  }
+
+  leave(agentId) {
+    super.leave(agentId);
+    this.rebuild();
+  }
+
+  /**
+   * Re-elect the root and branch leads from the current members
+   */
+  rebuild() {
+    if (this.needsElection(this.root)) {
+      this.root = this.electLeader(Array.from(this.members.keys()));
+    }
+
+    // Members are kept in join order, so the first agent of a type leads its branch
+    const byType = new Map();
+    for (const member of this.members.values()) {
+      if (member.id === this.root) continue;
+
+      if (!byType.has(member.type)) {
+        byType.set(member.type, []);
+      }
+      byType.get(member.type).push(member.id);
+    }
+
+    this.branches = new Map(Array.from(byType, ([type, ids]) => {
+      const current = this.branches.get(type)?.lead;
+      const lead = ids.includes(current) ? current : ids[0];
+      return [type, { lead, members: ids.filter(id => id !== lead) }];
+    }));
+  }
+
+  getParent(agentId) {
+    if (agentId === this.root) return null;
+
+    for (const branch of this.branches.values()) {
+      if (branch.lead === agentId) return this.root;
+      if (branch.members.includes(agentId)) return this.levels > 2 ? branch.lead : this.root;
+    }
+
+    return null;
+  }
+
+  getChildren(agentId) {
+    if (agentId === this.root) {
+      return Array.from(this.branches.values()).flatMap(branch =>
+        this.levels > 2 ? [branch.lead] : [branch.lead, ...branch.members]
+      );
+    }
+
+    for (const branch of this.branches.values()) {
+      if (branch.lead === agentId && this.levels > 2) return [...branch.members];
+    }
+
+    return [];
+  }
+
+  selectCandidates(agents, subtask) {
+    // The root delegates rather than working, unless it is the only agent
+    const workers = agents.filter(agent => agent.id !== this.root);
+    if (workers.length === 0) return agents;
+
+    const branchIds = new Set(this.getBranches(subtask.type).flatMap(branch => [branch.lead, ...branch.members]));
+    const inBranch = workers.filter(agent => branchIds.has(agent.id));
+    return inBranch.length > 0 ? inBranch : workers;
+  }
+
+  /**
+   * Branches whose agent type covers a subtask type
+   */
+  getBranches(subtaskType) {
+    if (!subtaskType) return [];
+
+    const capability = this.taxonomy.canonicalize(subtaskType);
+    return Array.from(this.branches)
+      .filter(([type]) => this.taxonomy.canonicalize(type) === capability)
+      .map(([, branch]) => branch);
+  }
+
+  getDispatcher() {
+    return this.root;
+  }
+
+  /**
+   * Chain of delegation from the root down to an agent
+   */
+  getDelegationPath(agentId) {
+    const path = [];
+    for (let node = agentId; node; node = this.getParent(node)) {
+      path.unshift(node);
+    }
+    return path;
+  }
+
+  getResultRecipients(agentId) {
+    // Results report back up the chain of delegation
+    return this.getDelegationPath(agentId).slice(0, -1).reverse();
+  }
+
+  getNeighbours(agentId) {
+    const parent = this.getParent(agentId);
+    return [...(parent ? [parent] : []), ...this.getChildren(agentId)];
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      levels: this.levels,
+      root: this.root,
+      branches: Object.fromEntries(
+        Array.from(this.branches, ([type, branch]) => [type, { lead: branch.lead, members: [...branch.members] }])
+      )
+    };
+  }
+}
+
+/**
+ * Every agent has links to at least `minConnections` peers and results are
+ * broadcast to all connected peers.
+ */
+export class MeshTopology extends Topology {
+  constructor(options = {}) {
+    super('mesh');
+    this.connections = new Map();
+    this.minConnections = options.minConnections || 3;
+  }
+
+  join(agent) {
+    super.join(agent);
+    this.connections.set(agent.id, new Set());
+    this.connectToPeers(agent.id);
+  }
+
+  leave(agentId) {
+    const peers = this.connections.get(agentId) || new Set();
+
+    super.leave(agentId);
+    this.connections.delete(agentId);
+
+    for (const peerId of peers) {
+      this.connections.get(peerId)?.delete(agentId);
+    }
+
+    // Repair peers that dropped below the minimum
+    for (const peerId of peers) {
+      if (this.connections.has(peerId)) {
+        this.connectToPeers(peerId);
+      }
+    }
+  }
+
+  /**
+   * Link an agent to the least connected peers until it has enough links
+   */
+  connectToPeers(agentId) {
+    const own = this.connections.get(agentId);
+    const target = Math.min(this.minConnections, this.connections.size - 1);
+
+    const candidates = Array.from(this.connections.keys())
+      .filter(id => id !== agentId && !own.has(id))
+      .sort((a, b) => this.connections.get(a).size - this.connections.get(b).size);
+
+    for (const peerId of candidates) {
+      if (own.size >= target) break;
+      own.add(peerId);
+      this.connections.get(peerId).add(agentId);
+    }
+  }
+
+  getResultRecipients(agentId) {
+    return this.getNeighbours(agentId);
+  }
+
+  getNeighbours(agentId) {
+    return Array.from(this.connections.get(agentId) || []);
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      minConnections: this.minConnections,
+      connections: Object.fromEntries(
+        Array.from(this.connections, ([id, peers]) => [id, Array.from(peers)])
+      )
+    };
+  }
+}
+
+/**
+ * Agents form a ring: work is handed out in ring order and each result is
+ * passed on to the next agent around the ring.
+ */
+export class RingTopology extends Topology {
+  constructor(options = {}) {
+    super('ring');
+    this.order = [];
+    this.bidirectional = options.bidirectional !== false;
+    this.cursor = -1;
+  }
+
+  join(agent) {
+    super.join(agent);
+    this.order.push(agent.id);
+  }
+
+  leave(agentId) {
+    const index = this.order.indexOf(agentId);
+    super.leave(agentId);
+
+    if (index !== -1) {
+      this.order.splice(index, 1);
+      if (index <= this.cursor) {
+        this.cursor--;
+      }
+    }
+  }
+
+  selectCandidates(agents, subtask) {
+    // Continue around the ring from the last agent that took work
+    const position = id => (this.order.indexOf(id) - this.cursor - 1 + this.order.length) % this.order.length;
+    const ordered = [...agents].sort((a, b) => position(a.id) - position(b.id));
+
+    return ordered.slice(0, 1);
+  }
+
+  onAssigned(agentId) {
+    this.cursor = this.order.indexOf(agentId);
+  }
+
+  getNext(agentId) {
+    const index = this.order.indexOf(agentId);
+    if (index === -1 || this.order.length < 2) return null;
+    return this.order[(index + 1) % this.order.length];
+  }
+
+  getPrevious(agentId) {
+    const index = this.order.indexOf(agentId);
+    if (index === -1 || this.order.length < 2) return null;
+    return this.order[(index - 1 + this.order.length) % this.order.length];
+  }
+
+  getResultRecipients(agentId) {
+    const next = this.getNext(agentId);
+    return next ? [next] : [];
+  }
+
+  getNeighbours(agentId) {
+    const neighbours = new Set();
+    const next = this.getNext(agentId);
+    if (next) neighbours.add(next);
+
+    if (this.bidirectional) {
+      const previous = this.getPrevious(agentId);
+      if (previous) neighbours.add(previous);
+    }
+
+    return Array.from(neighbours);
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      order: [...this.order],
+      bidirectional: this.bidirectional,
+      next: this.order[(this.cursor + 1) % Math.max(1, this.order.length)] || null
+    };
+  }
+}
+
+/**
+ * A central agent dispatches all work and every message and result passes
+ * through it on the way to the spokes.
+ */
+export class StarTopology extends Topology {
+  constructor() {
+    super('star');
+    this.center = null;
+    this.spokes = new Set();
+  }
+
+  join(agent) {
+    super.join(agent);
+    this.rebuild();
+  }
+
+  leave(agentId) {
+    super.leave(agentId);
+    this.rebuild();
+  }
+
+  rebuild() {
+    if (this.needsElection(this.center)) {
+      this.center = this.electLeader(Array.from(this.members.keys()));
+    }
+
+    this.spokes = new Set(Array.from(this.members.keys()).filter(id => id !== this.center));
+  }
+
+  selectCandidates(agents) {
+    const spokes = agents.filter(agent => agent.id !== this.center);
+    return spokes.length > 0 ? spokes : agents;
+  }
+
+  getDispatcher() {
+    return this.center;
+  }
+
+  getResultRecipients(agentId) {
+    return agentId === this.center || !this.center ? [] : [this.center];
+  }
+
+  getNeighbours(agentId) {
+    if (agentId === this.center) return Array.from(this.spokes);
+    return this.center && this.spokes.has(agentId) ? [this.center] : [];
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      center: this.center,
+      spokes: Array.from(this.spokes)
+    };
+  }
+}
+
+const TOPOLOGIES = {
+  hierarchical: HierarchicalTopology,
+  mesh: MeshTopology,
+  ring: RingTopology,
+  star: StarTopology
+};
+
+/**
+ * Create the structure for a topology type
+ */
+export function createTopology(type, options = {}) {
+  const TopologyClass = TOPOLOGIES[type];
+  if (!TopologyClass) {
+    throw new Error(`Unknown topology: ${type}`);
+  }
+
+  return new TopologyClass(options);
+}
+
+export default createTopology;
@@ -0,0 +1,655 @@
+/**
+ * Claude Flow Task Decomposition
+ * Pluggable decomposers that turn a task into a graph of subtasks, plus a
+ * harness that compares decompositions against expected subtask graphs
+ */
+
+// Action verbs that identify the kind of work a step describes
+const ACTION_TYPES = [
+  { type: 'design', verbs: ['design', 'plan', 'architect', 'model', 'sketch', 'specify'] },
+  { type: 'implementation', verbs: ['implement', 'build', 'create', 'write', 'add', 'develop', 'code', 'refactor', 'integrate', 'set up', 'fix', 'migrate'] },
+  { type: 'testing', verbs: ['test', 'verify', 'validate', 'check'] },
+  { type: 'analysis', verbs: ['analyze', 'analyse', 'research', 'investigate', 'review', 'audit', 'explore', 'assess', 'evaluate'] },
+  { type: 'optimization', verbs: ['optimize', 'optimise', 'tune', 'profile', 'speed up', 'benchmark'] },
+  { type: 'documentation', verbs: ['document', 'explain'] },
+  { type: 'deployment', verbs: ['deploy', 'release', 'ship', 'publish'] }
+];
+
+const VERB_SUFFIX = '(?:s|es|d|ed|ing)?';
+
+// "1. step", "2) step", "- step", "* step", "• step"
+const LIST_ITEM = /^(?:(\d+)[.)]|[-*•])\s+(.*)$/;
+
+// Words that order a clause after the one before it
+const SEQUENCE_CONNECTIVE = /,?\s+(?:and\s+)?(?:then|after that|afterwards|next|finally)\s+/i;
+const LEADING_CONNECTIVE = /^(?:then|after that|afterwards|next|finally)[,\s]+/i;
+
+// "After the schema is designed, implement the API"
+const LEADING_CONDITION = /^(?:after|once|when)\s+([^,]+),\s*(.+)$/i;
+
+// "(after 1, 2)", "[depends on: schema]", "(needs step 3)"
+const DEPENDENCY_ANNOTATION = /\s*[([]\s*(?:after|depends on|requires|needs)\s*:?\s*([^)\]]+)[)\]]/i;
+
+const STOP_WORDS = new Set(['the', 'that', 'this', 'with', 'from', 'into', 'have', 'been', 'done', 'finished', 'complete', 'completed', 'ready']);
+
+/**
+ * Base decomposer. Subclasses implement decompose(task) and resolve with a
+ * list of components:
+ *   { key, description, type, capabilities, dependencies, ...optional fields }
+ * where dependencies are the keys of other components. Optional fields
+ * (priority, estimatedTime, command, resources, retryPolicy, requiresApproval)
+ * are copied onto the subtask.
+ */
+export class TaskDecomposer {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+  }
+
+  async decompose(task) {
+    throw new Error(`Decomposer ${this.name} does not implement decompose()`);
+  }
+
+  /**
+   * Build a normalized component
+   */
+  createComponent(key, description, options = {}) {
+    const type = options.type || classifyStep(description) || 'general';
+
+    return {
+      key,
+      description,
+      type,
+      capabilities: options.capabilities || (type === 'general' ? ['domain-specific'] : [type]),
+      dependencies: options.dependencies || [],
+      ...pickDefined(options, ['priority', 'estimatedTime', 'command', 'resources', 'retryPolicy', 'requiresApproval'])
+    };
+  }
+}
+
+/**
+ * Decomposer that reads structure from the task description itself:
+ *   - numbered lists run in order, bullet lists run in parallel
+ *   - "then", "next", "finally", "after that" order a clause after the previous one
+ *   - "after/once/when X, Y" orders Y after the step that mentions X
+ *   - comma or "and" separated actions ("design A, implement B and test C") run in parallel
+ *   - annotations such as "(after 1, 3)" or "(depends on schema)" set dependencies explicitly
+ */
+export class RuleBasedDecomposer extends TaskDecomposer {
+  constructor(options = {}) {
+    super({ name: 'rule-based', ...options });
+  }
+
+  async decompose(task) {
+    const description = (task.description || '').trim();
+    const steps = this.hasList(description)
+      ? this.splitList(description)
+      : this.splitProse(description);
+
+    if (steps.length <= 1) {
+      return [this.createComponent('step-1', description)];
+    }
+
+    return steps.map((step, index) => this.createComponent(step.key, step.text, {
+      dependencies: this.resolveDependencies(step, index, steps)
+    }));
+  }
+
+  hasList(description) {
+    return description.split('\n').filter(line => LIST_ITEM.test(line.trim())).length >= 2;
+  }
+
+  /**
+   * One step per list item. Lines before the first item are a heading and
+   * lines that are not items continue the item above them.
+   */
+  splitList(description) {
+    const steps = [];
+
+    for (const line of description.split('\n').map(line => line.trim()).filter(Boolean)) {
+      const match = line.match(LIST_ITEM);
+
+      if (match) {
+        const previous = steps[steps.length - 1];
+        steps.push(this.createStep(match[2], steps.length, {
+          number: match[1] ? Number(match[1]) : null,
+          after: match[1] && previous ? [previous] : []
+        }));
+      } else if (steps.length > 0) {
+        const step = steps[steps.length - 1];
+        Object.assign(step, this.createStep(`${step.text} ${line}`, steps.length - 1, step));
+      }
+    }
+
+    return steps;
+  }
+
+  /**
+   * Split prose into sentences and clauses. A clause introduced by a
+   * sequencing word depends on every step of the clause before it.
+   */
+  splitProse(description) {
+    const steps = [];
+    let previousGroup = [];
+
+    const sentences = description
+      .split(/(?<=[.!?;])\s+|\n+/)
+      .map(sentence => sentence.replace(/[.!?;]+$/, '').trim())
+      .filter(Boolean);
+
+    for (const sentence of sentences) {
+      const clauses = sentence.split(SEQUENCE_CONNECTIVE);
+
+      clauses.forEach((clause, index) => {
+        let text = clause.trim();
+        let ordered = index > 0 || LEADING_CONNECTIVE.test(text);
+        let references = [];
+
+        text = text.replace(LEADING_CONNECTIVE, '');
+
+        const condition = text.match(LEADING_CONDITION);
+        if (condition) {
+          references = [condition[1]];
+          text = condition[2];
+          ordered = true;
+        }
+
+        const group = this.splitActions(text).map(action => {
+          const step = this.createStep(action, steps.length, {
+            after: ordered && references.length === 0 ? previousGroup : [],
+            references: references.length > 0 ? references : null,
+            fallback: references.length > 0 ? previousGroup : []
+          });
+          steps.push(step);
+          return step;
+        });
+
+        if (group.length > 0) {
+          previousGroup = group;
+        }
+      });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Split "design A, implement B and test C" into separate actions, but
+   * only when every part starts with an action verb
+   */
+  splitActions(text) {
+    // Commas inside a dependency annotation do not separate actions
+    const parts = text.split(/(?:\s*,\s*(?:and\s+)?|\s+and\s+)(?![^([]*[)\]])/).filter(Boolean);
+
+    if (parts.length > 1 && parts.every(part => startsWithAction(part))) {
+      return parts;
+    }
+
+    return text ? [text] : [];
+  }
+
+  createStep(text, index, options = {}) {
+    let description = text.trim();
+    let references = options.references || null;
+    let fallback = options.fallback || [];
+
+    const annotation = description.match(DEPENDENCY_ANNOTATION);
+    if (annotation) {
+      references = annotation[1].split(/\s*,\s*|\s+and\s+/).filter(Boolean);
+      description = description.replace(DEPENDENCY_ANNOTATION, '').trim();
+      fallback = [];
+    }
+
+    return {
+      key: `step-${options.number ?? index + 1}`,
+      number: options.number ?? index + 1,
+      text: description,
+      after: options.after || [],
+      references,
+      fallback
+    };
+  }
+
+  /**
+   * Explicit references win over implicit ordering. References are step
+   * numbers ("2", "step 2", "#2") or words from another step's description.
+   */
+  resolveDependencies(step, index, steps) {
+    if (!step.references) {
+      return step.after.map(dependency => dependency.key);
+    }
+
+    const dependencies = [];
+
+    for (const reference of step.references) {
+      const target = findReferencedStep(reference, step, steps);
+
+      if (target) {
+        dependencies.push(target.key);
+      } else if (step.fallback.length > 0) {
+        // "After the build passes, ..." with no matching step: follow the previous clause
+        dependencies.push(...step.fallback.map(dependency => dependency.key));
+      } else {
+        throw new Error(`Step "${step.text}" depends on unknown step "${reference}"`);
+      }
+    }
+
+    return [...new Set(dependencies)];
+  }
+}
+
+/**
+ * Decomposer for explicit task specs, given as an object, JSON or YAML:
+ *
+ *   description: Ship the search feature
+ *   strategy: parallel
+ *   reducer: concat
+ *   subtasks:
+ *     - id: schema
+ *       description: Design the index schema
+ *     - id: api
+ *       description: Implement the search API
+ *       dependsOn: [schema]
+ *       command: npm run build
+ *     - id: signoff
+ *       description: Review the search API
+ *       dependsOn: [api]
+ *       requiresApproval: true
+ */
+export class SpecDecomposer extends TaskDecomposer {
+  constructor(options = {}) {
+    super({ name: 'spec', ...options });
+  }
+
+  async decompose(task) {
+    if (!task.spec) {
+      throw new Error(`Task ${task.id} has no spec to decompose`);
+    }
+
+    const spec = parseTaskSpec(task.spec);
+
+    return spec.subtasks.map(subtask => this.createComponent(subtask.id, subtask.description, subtask));
+  }
+}
+
+/**
+ * Parse a task spec from an object, JSON string or YAML string into
+ * { description, strategy, priority, reducer, subtasks: [{ id, description, dependencies, ... }] }
+ */
+export function parseTaskSpec(spec) {
+  let data = typeof spec === 'string' ? parseSpecText(spec) : spec;
+
+  if (Array.isArray(data)) {
+    data = { subtasks: data };
+  }
+
+  if (!data || !Array.isArray(data.subtasks) || data.subtasks.length === 0) {
+    throw new Error('Task spec must define a non-empty subtasks list');
+  }
+
+  const seen = new Set();
+  const subtasks = data.subtasks.map((raw, index) => {
+    const subtask = typeof raw === 'string' ? { description: raw } : raw;
+    const id = String(subtask.id ?? `step-${index + 1}`);
+
+    if (seen.has(id)) {
+      throw new Error(`Duplicate subtask id ${id} in task spec`);
+    }
+    seen.add(id);
+
+    if (!subtask.description) {
+      throw new Error(`Subtask ${id} in task spec has no description`);
+    }
+
+    const dependencies = subtask.dependsOn ?? subtask.dependencies ?? subtask.after ?? [];
+
+    return {
+      ...subtask,
+      id,
+      type: subtask.type || null,
+      dependencies: [].concat(dependencies).map(String)
+    };
+  });
+
+  return {
+    description: data.description || data.title || '',
+    strategy: data.strategy || null,
+    priority: data.priority || null,
+    reducer: data.reducer || null,
+    subtasks
+  };
+}
+
+/**
+ * Parse JSON or the YAML subset accepted in spec files
+ */
+export function parseSpecText(text) {
+  const trimmed = text.trim();
+  return trimmed.startsWith('{') || trimmed.startsWith('[') ? JSON.parse(trimmed) : parseYaml(trimmed);
+}
+
+/**
+ * Compare a decomposition with an expected subtask graph.
+ *
+ * `actual` is a list of components ({ key, dependencies }) or subtasks
+ * ({ id, dependencies }). `expected` is anything parseTaskSpec accepts.
+ * Subtasks are matched by description; types are only compared when the
+ * expected subtask names one.
+ */
+export function compareDecomposition(actual, expected) {
+  const expectedSpec = parseTaskSpec(expected);
+  const actualNodes = actual.map(node => ({ ...node, id: node.id ?? node.key }));
+
+  const matches = new Map();
+  const unmatched = new Set(actualNodes);
+
+  // Exact descriptions first, then descriptions that contain one another
+  for (const matcher of [descriptionsEqual, descriptionsOverlap]) {
+    for (const subtask of expectedSpec.subtasks) {
+      if (matches.has(subtask.id)) continue;
+
+      const node = Array.from(unmatched).find(candidate => matcher(candidate.description, subtask.description));
+      if (node) {
+        matches.set(subtask.id, node);
+        unmatched.delete(node);
+      }
+    }
+  }
+
+  const expectedIdFor = new Map(Array.from(matches, ([expectedId, node]) => [node.id, expectedId]));
+
+  const expectedEdges = new Set();
+  for (const subtask of expectedSpec.subtasks) {
+    for (const dependency of subtask.dependencies) {
+      if (matches.has(subtask.id) && matches.has(dependency)) {
+        expectedEdges.add(`${dependency} -> ${subtask.id}`);
+      }
+    }
+  }
+
+  const actualEdges = new Set();
+  for (const node of actualNodes) {
+    for (const dependency of node.dependencies || []) {
+      if (expectedIdFor.has(node.id) && expectedIdFor.has(dependency)) {
+        actualEdges.add(`${expectedIdFor.get(dependency)} -> ${expectedIdFor.get(node.id)}`);
+      }
+    }
+  }
+
+  const typeMismatches = expectedSpec.subtasks
+    .filter(subtask => subtask.type && matches.has(subtask.id) && matches.get(subtask.id).type !== subtask.type)
+    .map(subtask => ({ subtask: subtask.id, expected: subtask.type, actual: matches.get(subtask.id).type }));
+
+  const result = {
+    matched: Array.from(matches, ([expectedId, node]) => ({ expected: expectedId, actual: node.id })),
+    missing: expectedSpec.subtasks.filter(subtask => !matches.has(subtask.id)).map(subtask => subtask.description),
+    unexpected: Array.from(unmatched).map(node => node.description),
+    missingDependencies: Array.from(expectedEdges).filter(edge => !actualEdges.has(edge)),
+    unexpectedDependencies: Array.from(actualEdges).filter(edge => !expectedEdges.has(edge)),
+    typeMismatches
+  };
+
+  result.passed = result.missing.length === 0 &&
+    result.unexpected.length === 0 &&
+    result.missingDependencies.length === 0 &&
+    result.unexpectedDependencies.length === 0 &&
+    result.typeMismatches.length === 0;
+
+  return result;
+}
+
+/**
+ * Run a decomposer over a list of cases: [{ name, task, expected }], where
+ * task is a description string or a task object
+ */
+export async function runDecompositionCases(decomposer, cases) {
+  const results = [];
+
+  for (const [index, testCase] of cases.entries()) {
+    const name = testCase.name || `case ${index + 1}`;
+    const task = typeof testCase.task === 'string' ? { description: testCase.task } : testCase.task;
+
+    try {
+      const components = await decomposer.decompose(task);
+      results.push({ name, ...compareDecomposition(components, testCase.expected) });
+    } catch (error) {
+      results.push({ name, passed: false, error: error.message });
+    }
+  }
+
+  return {
+    passed: results.filter(result => result.passed).length,
+    failed: results.filter(result => !result.passed).length,
+    results
+  };
+}
+
+/**
+ * Type of work a step describes, from the first action verb it contains
+ */
+export function classifyStep(text) {
+  const lower = text.toLowerCase();
+  let best = null;
+
+  for (const { type, verbs } of ACTION_TYPES) {
+    for (const verb of verbs) {
+      const match = lower.match(new RegExp(`\\b${verb}${VERB_SUFFIX}\\b`));
+      if (match && (!best || match.index < best.index)) {
+        best = { type, index: match.index };
+      }
+    }
+  }
+
+  return best?.type || null;
+}
+
+/**
+ * Helper functions
+ */
+
+function startsWithAction(text) {
+  const lower = text.trim().toLowerCase();
+  return ACTION_TYPES.some(({ verbs }) =>
+    verbs.some(verb => new RegExp(`^${verb}${VERB_SUFFIX}\\b`).test(lower))
+  );
+}
+
+function findReferencedStep(reference, step, steps) {
+  const number = reference.match(/^(?:step\s*|#)?(\d+)$/i);
+  if (number) {
+    return steps.find(candidate => candidate.number === Number(number[1]) && candidate !== step) || null;
+  }
+
+  // Otherwise the step sharing the most significant words, earliest on ties
+  const words = significantWords(reference);
+  let best = null;
+  let bestScore = 0;
+
+  for (const candidate of steps) {
+    if (candidate === step) continue;
+
+    const candidateWords = significantWords(candidate.text);
+    const score = words.filter(word => candidateWords.includes(word)).length;
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+function significantWords(text) {
+  return text.toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 3 && !STOP_WORDS.has(word))
+    .map(word => word.replace(/(?:ing|ed|es|s)$/, ''));
+}
+
+function normalizeDescription(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function descriptionsEqual(a, b) {
+  return normalizeDescription(a) === normalizeDescription(b);
+}
+
+function descriptionsOverlap(a, b) {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  return Boolean(left && right) && (left.includes(right) || right.includes(left));
+}
+
+function pickDefined(source, keys) {
+  return Object.fromEntries(keys.filter(key => source[key] !== undefined && source[key] !== null).map(key => [key, source[key]]));
+}
+
+/**
+ * Parse the subset of YAML used by task specs: nested block mappings and
+ * sequences, flow sequences ([a, b]), quoted and plain scalars, literal (|)
+ * and folded (>) block scalars, and comments
+ */
+function parseYaml(text) {
+  const lines = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const content = stripComment(raw).trimEnd();
+    if (!content.trim() || content.trim() === '---') return;
+
+    lines.push({ number: index + 1, indent: content.length - content.trimStart().length, text: content.trim() });
+  });
+
+  if (lines.length === 0) return null;
+
+  let position = 0;
+
+  const isSequenceItem = line => line.text === '-' || line.text.startsWith('- ');
+  const isMappingEntry = text => /^(?:"[^"]*"|'[^']*'|[^\s"'[{][^:]*?)\s*:(?:\s|$)/.test(text);
+
+  const parseBlock = (indent) => isSequenceItem(lines[position]) ? parseSequence(indent) : parseMapping(indent);
+
+  const parseSequence = (indent) => {
+    const items = [];
+
+    while (position < lines.length && lines[position].indent === indent && isSequenceItem(lines[position])) {
+      const line = lines[position];
+      const rest = line.text.slice(1).trim();
+
+      if (!rest) {
+        position++;
+        items.push(position < lines.length && lines[position].indent > indent ? parseBlock(lines[position].indent) : null);
+      } else if (isMappingEntry(rest)) {
+        // "- key: value" starts a mapping indented to where the key begins
+        const itemIndent = indent + line.text.indexOf(rest);
+        lines[position] = { ...line, indent: itemIndent, text: rest };
+        items.push(parseMapping(itemIndent));
+      } else {
+        items.push(parseScalar(rest));
+        position++;
+      }
+    }
+
+    return items;
+  };
+
+  const parseMapping = (indent) => {
+    const mapping = {};
+
+    while (position < lines.length && lines[position].indent === indent && !isSequenceItem(lines[position])) {
+      const line = lines[position];
+      const match = line.text.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+      if (!match) {
+        throw new Error(`Invalid YAML at line ${line.number}: ${line.text}`);
+      }
+
+      const key = parseScalar(match[1]);
+      const value = match[2];
+      position++;
+
+      const next = lines[position];
+      if (value === '|' || value === '>') {
+        const block = [];
+        while (position < lines.length && lines[position].indent > indent) {
+          block.push(lines[position].text);
+          position++;
+        }
+        mapping[key] = block.join(value === '|' ? '\n' : ' ');
+      } else if (value !== undefined && value !== '') {
+        mapping[key] = parseScalar(value);
+      } else if (next && next.indent > indent) {
+        mapping[key] = parseBlock(next.indent);
+      } else if (next && next.indent === indent && isSequenceItem(next)) {
+        mapping[key] = parseSequence(indent);
+      } else {
+        mapping[key] = null;
+      }
+    }
+
+    return mapping;
+  };
+
+  const result = parseBlock(lines[0].indent);
+
+  if (position < lines.length) {
+    throw new Error(`Invalid YAML at line ${lines[position].number}: unexpected indentation`);
+  }
+
+  return result;
+}
+
+/**
+ * Cut a trailing comment off a line. A # starts a comment at the start of
+ * the line or after whitespace, but not inside a quoted scalar.
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote === '"' && char === '\\') {
+      i++;
+    } else if (quote === "'" && char === "'" && line[i + 1] === "'") {
+      // '' is an escaped quote inside a single-quoted scalar
+      i++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,]/.test(line[i - 1]))) {
+      // Quotes only open a scalar where one starts, so apostrophes in plain text do not count
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+}
+
+function parseScalar(value) {
+  const text = value.trim();
+
+  if (text.startsWith('"') && text.endsWith('"')) return JSON.parse(text);
+  if (text.startsWith("'") && text.endsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+
+  if (text.startsWith('[') && text.endsWith(']')) {
+    const inner = text.slice(1, -1).trim();
+    return inner ? (inner.match(/"[^"]*"|'[^']*'|[^,]+/g) || []).map(item => parseScalar(item)) : [];
+  }
+
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null' || text === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+  return text;
+}
+
+export default {
+  TaskDecomposer,
+  RuleBasedDecomposer,
+  SpecDecomposer,
+  parseTaskSpec,
+  parseSpecText,
+  compareDecomposition,
+  runDecompositionCases,
+  classifyStep
+};
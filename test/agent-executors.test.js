@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentExecutor, ShellExecutor, MockLLMExecutor, SimulatedExecutor } from '../agent-executors.js';
+
+function createContext(subtask = {}, options = {}) {
+  return {
+    subtask: { id: 'subtask-1', description: 'Build the parser', ...subtask },
+    agent: { id: 'agent-1', type: 'coder', name: 'Coder 1', capabilities: ['code', 'test'] },
+    memory: { local: new Map(), shared: null },
+    signal: options.signal
+  };
+}
+
+test('results are normalized with totals and defaults', () => {
+  const executor = new AgentExecutor();
+
+  assert.deepEqual(executor.createResult('done', { tokenUsage: { prompt: 3, completion: 4 } }), {
+    output: 'done',
+    artifacts: [],
+    tokenUsage: { prompt: 3, completion: 4, total: 7 },
+    cost: null,
+    error: null,
+    metadata: {}
+  });
+});
+
+test('the shell executor reports output, exit codes and the subtask environment', async () => {
+  const executor = new ShellExecutor({ env: { GREETING: 'hello' } });
+
+  const ok = await executor.execute(createContext({ command: 'echo "$GREETING $CLAUDE_FLOW_SUBTASK_ID $CLAUDE_FLOW_AGENT_TYPE"' }));
+  assert.equal(ok.error, null);
+  assert.equal(ok.output.exitCode, 0);
+  assert.equal(ok.output.stdout, 'hello subtask-1 coder\n');
+
+  const failed = await executor.execute(createContext({ command: 'echo broken >&2; exit 3' }));
+  assert.equal(failed.output.exitCode, 3);
+  assert.equal(failed.output.stderr, 'broken\n');
+  assert.equal(failed.error, 'Command exited with code 3: broken');
+});
+
+test('the shell executor takes its command from options and fails subtasks without one', async () => {
+  const executor = new ShellExecutor({ command: (context) => `echo ${context.subtask.id}` });
+  assert.equal((await executor.execute(createContext())).output.stdout, 'subtask-1\n');
+
+  const unconfigured = await new ShellExecutor().execute(createContext());
+  assert.equal(unconfigured.output, null);
+  assert.equal(unconfigured.error, 'No command configured for subtask subtask-1');
+});
+
+test('the shell executor stops commands that time out or are aborted', async () => {
+  const started = Date.now();
+  const timedOut = await new ShellExecutor({ timeout: 100 }).execute(createContext({ command: 'exec sleep 5' }));
+  assert.equal(timedOut.error, 'Command timed out after 100ms');
+  assert.ok(Date.now() - started < 4000);
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error('cancelled')), 100);
+  const aborted = await new ShellExecutor().execute(createContext({ command: 'exec sleep 5' }, { signal: controller.signal }));
+  assert.equal(aborted.error, 'Command aborted');
+});
+
+test('the mock LLM answers deterministically, with canned responses and errors', async () => {
+  const executor = new MockLLMExecutor({
+    model: 'mock-test',
+    responses: [
+      { pattern: /review/, text: 'Looks good' },
+      { pattern: 'deploy', error: 'Deployments are not allowed' }
+    ]
+  });
+
+  const completed = await executor.execute(createContext());
+  assert.equal(completed.output, '[mock-test] coder completed: Build the parser');
+  assert.equal(completed.metadata.model, 'mock-test');
+  const prompt = Math.ceil(executor.buildPrompt(createContext()).length / 4);
+  const completion = Math.ceil(completed.output.length / 4);
+  assert.deepEqual(completed.tokenUsage, { prompt, completion, total: prompt + completion });
+
+  assert.equal((await executor.execute(createContext({ description: 'Review the parser' }))).output, 'Looks good');
+
+  const refused = await executor.execute(createContext({ description: 'Deploy the parser' }));
+  assert.equal(refused.output, null);
+  assert.equal(refused.error, 'Deployments are not allowed');
+});
+
+test('the simulated executor rejects with the abort reason when cancelled', async () => {
+  const controller = new AbortController();
+  const reason = new Error('cancelled');
+  setTimeout(() => controller.abort(reason), 10);
+
+  await assert.rejects(
+    new SimulatedExecutor().execute(createContext({ estimatedTime: 5000 }, { signal: controller.signal })),
+    reason
+  );
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { TaskDecomposer } from '../task-decomposer.js';
+
+class SingleStepDecomposer extends TaskDecomposer {
+  async decompose(task) {
+    return [{ ...this.createComponent('step', task.description, { type: 'implementation' }), estimatedTime: 500 }];
+  }
+}
+
+async function createCoordinator() {
+  const coordinator = new AgentCoordinator();
+  await coordinator.initSwarm({});
+  const { agentId } = await coordinator.spawnAgent({ type: 'coder' });
+  coordinator.registerDecomposer('single-step', new SingleStepDecomposer());
+  return { coordinator, agent: coordinator.agents.get(agentId) };
+}
+
+test('cancelled subtasks do not count as agent failures', async () => {
+  const { coordinator, agent } = await createCoordinator();
+  coordinator.once('subtask:started', () => setImmediate(() => handle.cancel('no longer needed')));
+
+  const handle = await coordinator.orchestrateTask({ task: 'Implement the parser', decomposer: 'single-step' });
+  assert.equal((await handle.done).status, 'cancelled');
+
+  assert.equal(agent.performance.samples, 0);
+  assert.equal(agent.performance.successRate, 1);
+  assert.equal(coordinator.performanceModel.estimate('coder', ['implementation']).samples, 0);
+});
+
+function registerThrowingExecutor(coordinator) {
+  coordinator.registerExecutor('coder', {
+    name: 'throwing',
+    async execute() {
+      const error = new Error('Model refused the request');
+      error.tokenUsage = { prompt: 120, completion: 30 };
+      throw error;
+    }
+  });
+}
+
+for (const maxAttempts of [1, 2]) {
+  test(`tokens reported by an executor that throws are recorded for each of ${maxAttempts} attempts`, async () => {
+    const { coordinator, agent } = await createCoordinator();
+    registerThrowingExecutor(coordinator);
+
+    const handle = await coordinator.orchestrateTask({
+      task: 'Implement the parser',
+      decomposer: 'single-step',
+      retryPolicy: { maxAttempts, backoff: { initialDelay: 1 } },
+      budget: { tokens: 1000 }
+    });
+    assert.equal((await handle.done).status, 'failed');
+
+    const [subtask] = coordinator.tasks.get(handle.taskId).subtasks;
+    assert.equal(subtask.attempts, maxAttempts);
+    assert.equal(coordinator.metrics.subtaskRetries, maxAttempts - 1);
+    assert.equal(coordinator.metrics.tokenUsage, 150 * maxAttempts);
+    assert.equal(coordinator.budgets.describe('task', handle.taskId).resources.tokens.used, 150 * maxAttempts);
+    assert.equal(agent.performance.samples, maxAttempts);
+  });
+}
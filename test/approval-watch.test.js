@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClaudeFlowCore } from '../claude-flow-core.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function watchingCore({ pending, retrieve, decideApproval }) {
+  const core = Object.create(ClaudeFlowCore.prototype);
+  core.config = { swarm: { approvals: { pollInterval: 5 } } };
+  core.coordinator = {
+    getPendingApprovals: () => (pending() ? [{ subtaskId: 'subtask-1' }] : []),
+    decideApproval
+  };
+  core.memory = { retrieve };
+  return core;
+}
+
+test('approval watchers survive failing reads and decisions', async (t) => {
+  const errors = [];
+  t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+  let reads = 0;
+
+  watchingCore({
+    pending: () => true,
+    retrieve: async () => { reads++; throw new Error('memory unavailable'); },
+    decideApproval: () => assert.fail('nothing to decide')
+  }).watchApproval('subtask-1');
+
+  watchingCore({
+    pending: () => true,
+    retrieve: async () => ({ decision: 'approved' }),
+    decideApproval: () => { throw new Error('Subtask subtask-1 is not awaiting approval'); }
+  }).watchApproval('subtask-1');
+
+  await sleep(50);
+  // Each watcher stops after its first failure
+  assert.equal(reads, 1);
+  assert.equal(errors.length, 2);
+});
+
+test('approval watchers skip decisions for subtasks decided while memory was read', async () => {
+  let pending = true;
+  const decided = [];
+
+  watchingCore({
+    pending: () => pending,
+    retrieve: async () => { pending = false; return { decision: 'approved' }; },
+    decideApproval: (...args) => decided.push(args)
+  }).watchApproval('subtask-1');
+
+  await sleep(30);
+  assert.deepEqual(decided, []);
+});
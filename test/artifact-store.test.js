@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArtifactStore, outputArtifacts } from '../artifact-store.js';
+
+function createMemory() {
+  const entries = new Map();
+  return {
+    entries,
+    store: async (key, value, options) => entries.set(`${options.namespace}/${key}`, structuredClone(value)),
+    retrieve: async (key, namespace) => structuredClone(entries.get(`${namespace}/${key}`)) ?? null,
+    has: async (key, namespace) => entries.has(`${namespace}/${key}`)
+  };
+}
+
+test('artifacts are addressed by kind and content, so equal outputs are stored once', async () => {
+  const memory = createMemory();
+  const store = new ArtifactStore({ memory });
+
+  const first = await store.put({ kind: 'json', name: 'plan', content: { steps: 2, owner: 'coder' } });
+  const reordered = await store.put({ kind: 'json', name: 'copy', content: { owner: 'coder', steps: 2 } });
+  const text = await store.put({ content: '{"owner":"coder","steps":2}' });
+
+  assert.match(first.id, /^sha256:[0-9a-f]{64}$/);
+  assert.equal(reordered.id, first.id);
+  assert.equal(reordered.name, 'copy');
+  assert.notEqual(text.id, first.id);
+  assert.equal(text.kind, 'text');
+  assert.deepEqual([...memory.entries.keys()].sort(), [`artifacts/${first.id}`, `artifacts/${text.id}`].sort());
+
+  assert.deepEqual((await store.get(first.id)).content, { steps: 2, owner: 'coder' });
+  assert.equal(await store.get('sha256:missing'), null);
+});
+
+test('file artifacts keep binary content and need a name', async () => {
+  const store = new ArtifactStore();
+  const content = Buffer.from([0, 255, 10, 13]);
+
+  const ref = await store.put({ kind: 'file', name: 'logo.png', mediaType: 'image/png', content });
+  assert.deepEqual(ref, { id: ref.id, kind: 'file', name: 'logo.png', mediaType: 'image/png', size: 4 });
+
+  const artifact = await store.get(ref.id);
+  assert.equal(artifact.encoding, 'base64');
+  assert.deepEqual(artifact.content, content);
+
+  await assert.rejects(store.put({ kind: 'file', content: 'x' }), /File artifacts need a name/);
+  await assert.rejects(store.put({ kind: 'image', content: 'x' }), /Unknown artifact kind: image/);
+});
+
+test('executor outcomes yield their output followed by the artifacts they declared', () => {
+  const declared = { kind: 'file', name: 'parser.js', content: 'export {}' };
+
+  assert.deepEqual(outputArtifacts({ output: 'done', artifacts: [declared] }), [
+    { kind: 'text', name: 'output', content: 'done' },
+    declared
+  ]);
+  assert.deepEqual(outputArtifacts({ output: { passed: 3 } }), [{ kind: 'json', name: 'output', content: { passed: 3 } }]);
+  assert.deepEqual(outputArtifacts({ output: null }), []);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { LockManager } from '../coordination-locks.js';
+import { TaskDecomposer } from '../task-decomposer.js';
+
+class SharedFileDecomposer extends TaskDecomposer {
+  async decompose() {
+    return ['first', 'second'].map(key => ({
+      ...this.createComponent(key, `Edit app.js (${key})`, { type: 'implementation', resources: ['app.js'] }),
+      estimatedTime: 150
+    }));
+  }
+}
+
+test('subtasks keep their resource leases while they outlive the lock TTL', async () => {
+  const coordinator = new AgentCoordinator({ locks: { defaultTtl: 30 } });
+  await coordinator.initSwarm({});
+  await coordinator.spawnAgent({ type: 'coder' });
+  await coordinator.spawnAgent({ type: 'coder' });
+  coordinator.registerDecomposer('shared-file', new SharedFileDecomposer());
+
+  const events = [];
+  for (const event of ['lock:acquired', 'lock:released', 'lock:expired']) {
+    coordinator.coordinationLocks.on(event, ({ owner }) => events.push([event, owner]));
+  }
+
+  const handle = await coordinator.orchestrateTask({ task: 'Edit app.js twice', decomposer: 'shared-file', strategy: 'parallel' });
+  assert.equal((await handle.done).status, 'completed');
+
+  // The second agent only gets the file once the first has finished with it
+  assert.deepEqual(events.map(([event]) => event), ['lock:acquired', 'lock:released', 'lock:acquired', 'lock:released']);
+  assert.equal(events[0][1], events[1][1]);
+  assert.notEqual(events[1][1], events[2][1]);
+});
+
+test('lock waits stop listening on their signal once granted', async () => {
+  const locks = new LockManager();
+  const controller = new AbortController();
+  const warnings = [];
+  const onWarning = warning => warnings.push(warning.name);
+  process.on('warning', onWarning);
+
+  for (let i = 0; i < 15; i++) {
+    await locks.acquire('app.js', 'holder');
+    const waiting = locks.acquire('app.js', 'waiter', { signal: controller.signal });
+    locks.release('app.js', 'holder');
+    await waiting;
+    locks.release('app.js', 'waiter');
+  }
+
+  await new Promise(resolve => setImmediate(resolve));
+  process.off('warning', onWarning);
+  assert.deepEqual(warnings, []);
+});
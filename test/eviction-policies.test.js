@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import MemoryPersistence from '../memory-persistence.js';
+import { LRUEviction, LFUEviction, OldestFirstEviction, TTLSoonestEviction } from '../eviction-policies.js';
+
+const entries = [
+  { key: 'a', created: 1, updated: 5, accessed: 40, hits: 3, expires: null },
+  { key: 'b', created: 2, updated: 30, accessed: null, hits: 1, expires: 900 },
+  { key: 'c', created: 3, updated: 10, accessed: 20, hits: 1, expires: 500 },
+  { key: 'd', created: 4, updated: 50, accessed: null, hits: 0, expires: null }
+];
+
+const keys = ranked => ranked.map(entry => entry.key);
+const listKeys = async memory => keys(await memory.list('*', 'cache')).sort();
+
+test('each policy ranks entries in its own eviction order', () => {
+  const context = { scope: 'cache', now: 1000 };
+
+  // Entries never read count as used when last written
+  assert.deepEqual(keys(new LRUEviction().rank(entries, context)), ['c', 'b', 'a', 'd']);
+  assert.deepEqual(keys(new LFUEviction().rank(entries, context)), ['d', 'c', 'b', 'a']);
+  assert.deepEqual(keys(new OldestFirstEviction().rank(entries, context)), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(keys(new TTLSoonestEviction().rank(entries, context)), ['c', 'b']);
+  assert.deepEqual(keys(entries), ['a', 'b', 'c', 'd']);
+});
+
+test('the ttl policy evicts what expires soonest and rejects writes it cannot make room for', async (t) => {
+  const basePath = await mkdtemp(join(tmpdir(), 'claude-flow-eviction-'));
+  const memory = new MemoryPersistence({ basePath, compression: false });
+  await memory.initialize();
+  t.after(async () => {
+    await memory.close();
+    await rm(basePath, { recursive: true, force: true });
+  });
+
+  await memory.ensureNamespace('cache', { eviction: 'ttl' });
+  await memory.store('kept', 'x'.repeat(200), { namespace: 'cache' });
+  await memory.store('late', 'x'.repeat(200), { namespace: 'cache', ttl: 60000 });
+  await memory.store('soon', 'x'.repeat(200), { namespace: 'cache', ttl: 30000 });
+  const used = (await memory.getUsage()).namespaces.cache.bytes;
+  await memory.configureNamespace('cache', { maxSize: used + 100 });
+
+  await memory.store('next', 'x'.repeat(200), { namespace: 'cache', ttl: 90000 });
+  assert.deepEqual(await listKeys(memory), ['kept', 'late', 'next']);
+
+  await memory.store('after', 'x'.repeat(200), { namespace: 'cache' });
+  assert.deepEqual(await listKeys(memory), ['after', 'kept', 'next']);
+
+  // Only entries with a TTL may go, and 'next' alone does not free enough
+  await assert.rejects(memory.store('big', 'x'.repeat(600), { namespace: 'cache' }), /the ttl policy can only free/);
+  assert.deepEqual(await listKeys(memory), ['after', 'kept', 'next']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileLock } from '../file-lock.js';
+
+async function tempLock(t, options = {}) {
+  const directory = await mkdtemp(join(tmpdir(), 'claude-flow-lock-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  return new FileLock({ path: join(directory, '.lock'), ...options });
+}
+
+test('operations queued behind the lock share one hold of it', async (t) => {
+  const lock = await tempLock(t);
+  const acquire = t.mock.method(lock, 'acquire');
+  let inside = 0;
+  let most = 0;
+
+  const results = await Promise.allSettled(Array.from({ length: 10 }, (_, i) => lock.run(async () => {
+    inside++;
+    most = Math.max(most, inside);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    inside--;
+    if (i === 3) throw new Error('operation 3 failed');
+    return i;
+  })));
+
+  assert.equal(acquire.mock.callCount(), 1);
+  assert.equal(lock.holds, 1);
+  assert.equal(most, 1);
+  assert.equal(results[3].reason.message, 'operation 3 failed');
+  assert.deepEqual(results.filter(result => result.status === 'fulfilled').map(result => result.value), [0, 1, 2, 4, 5, 6, 7, 8, 9]);
+  assert.equal(lock.idle, true);
+  await lock.settle();
+  assert.equal(existsSync(lock.path), false);
+});
+
+test('a hold runs at most maxBatch operations before the lock is released', async (t) => {
+  const lock = await tempLock(t, { maxBatch: 4 });
+  await Promise.all(Array.from({ length: 10 }, () => lock.run(async () => {})));
+  assert.equal(lock.holds, 3);
+});
+
+test('every queued operation fails when the lock cannot be taken', async (t) => {
+  const lock = await tempLock(t, { acquireTimeout: 50 });
+  const other = new FileLock({ path: lock.path });
+  await other.acquire();
+  t.after(() => other.release());
+
+  const results = await Promise.allSettled([lock.run(async () => 1), lock.run(async () => 2)]);
+  assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+  assert.match(results[0].reason.message, /Timed out/);
+  assert.equal(lock.idle, true);
+});
@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fork } from 'child_process';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import MemoryPersistence from '../memory-persistence.js';
+
+// Forked workers run this file again with MEMORY_WORKER set
+const WORKERS = 4;
+const ITERATIONS = 15;
+
+/**
+ * Hammer a memory directory from a child process: count on a shared
+ * counter, append to a shared log, store and read back keys of its own and
+ * delete every third one. With hold set, take the lock and keep it until
+ * killed.
+ */
+async function runWorker({ id, basePath, hold }) {
+  const memory = new MemoryPersistence({ basePath, lock: { staleAfter: 60000 } });
+  await memory.initialize();
+
+  if (hold) {
+    await memory.update('counter', value => {
+      process.send({ holding: true });
+      return new Promise(() => {});
+    });
+  }
+
+  for (let i = 0; i < ITERATIONS; i++) {
+    await memory.update('counter', value => (value || 0) + 1);
+    await memory.update('log', value => [...(value || []), `${id}:${i}`]);
+    await memory.store(`worker-${id}-${i}`, { id, i }, { tags: [`worker-${id}`] });
+
+    if ((await memory.retrieve(`worker-${id}-${i}`))?.i !== i) {
+      throw new Error(`worker-${id}-${i} was not readable after it was stored`);
+    }
+    if (i % 3 === 0) {
+      await memory.delete(`worker-${id}-${i}`);
+    }
+  }
+
+  await memory.close();
+}
+
+function spawnWorker(options) {
+  const { NODE_TEST_CONTEXT, ...env } = process.env;
+  return fork(fileURLToPath(import.meta.url), [], {
+    env: { ...env, MEMORY_WORKER: JSON.stringify(options) },
+    stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+  });
+}
+
+function exited(child) {
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('exit', (code, signal) => resolve({ code, signal }));
+  });
+}
+
+async function runWorkers(basePath, count, offset = 0) {
+  const results = await Promise.all(
+    Array.from({ length: count }, (_, index) => exited(spawnWorker({ id: offset + index, basePath })))
+  );
+  assert.deepEqual(results.map(result => result.code), Array(count).fill(0));
+}
+
+/**
+ * The master index, the data files, the search and semantic indexes and
+ * the lockfile must agree with what the workers did
+ */
+async function assertConsistent(basePath, workerIds) {
+  const memory = new MemoryPersistence({ basePath });
+  await memory.initialize();
+
+  try {
+    const expected = ['counter', 'log'];
+    for (const id of workerIds) {
+      for (let i = 0; i < ITERATIONS; i++) {
+        if (i % 3 !== 0) expected.push(`worker-${id}-${i}`);
+      }
+    }
+
+    const listed = (await memory.list('*')).map(entry => entry.key);
+    assert.deepEqual(listed.sort(), expected.sort());
+
+    const files = (await readdir(join(basePath, 'default'), { recursive: true })).filter(file => file.endsWith('.dat'));
+    assert.equal(files.length, expected.length);
+
+    assert.equal(memory.searchIndex.stats().documents, expected.length);
+    assert.equal(memory.semanticIndex.stats().vectors, expected.length);
+    assert.equal((await memory.search('tags:worker-0')).length, workerIds.includes(0) ? ITERATIONS - Math.ceil(ITERATIONS / 3) : 0);
+
+    return {
+      counter: await memory.retrieve('counter'),
+      log: await memory.retrieve('log')
+    };
+  } finally {
+    await memory.close();
+    assert.equal(existsSync(join(basePath, '.lock')), false);
+  }
+}
+
+if (process.env.MEMORY_WORKER) {
+  runWorker(JSON.parse(process.env.MEMORY_WORKER))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`Worker failed: ${error.stack}`);
+      process.exit(1);
+    });
+} else {
+  test('workers in separate processes lose no updates to shared keys', async (t) => {
+    const basePath = await mkdtemp(join(tmpdir(), 'claude-flow-memory-'));
+    t.after(() => rm(basePath, { recursive: true, force: true }));
+
+    await runWorkers(basePath, WORKERS);
+    const workerIds = Array.from({ length: WORKERS }, (_, id) => id);
+    const { counter, log } = await assertConsistent(basePath, workerIds);
+
+    assert.equal(counter, WORKERS * ITERATIONS);
+    assert.equal(log.length, WORKERS * ITERATIONS);
+    for (const id of workerIds) {
+      // Each worker's own appends stay in the order it made them
+      const own = log.filter(item => item.startsWith(`${id}:`));
+      assert.deepEqual(own, Array.from({ length: ITERATIONS }, (_, i) => `${id}:${i}`));
+    }
+  });
+
+  test('a worker killed while holding the lock does not block the others', async (t) => {
+    const basePath = await mkdtemp(join(tmpdir(), 'claude-flow-memory-'));
+    t.after(() => rm(basePath, { recursive: true, force: true }));
+
+    const holder = spawnWorker({ id: 'holder', basePath, hold: true });
+    const holderExit = exited(holder);
+    await new Promise(resolve => holder.once('message', resolve));
+    assert.equal(existsSync(join(basePath, '.lock')), true);
+
+    holder.kill('SIGKILL');
+    assert.equal((await holderExit).signal, 'SIGKILL');
+
+    // The lockfile of the dead holder is recovered long before it goes stale
+    const started = Date.now();
+    await runWorkers(basePath, 2);
+    assert.ok(Date.now() - started < 60000);
+
+    const { counter, log } = await assertConsistent(basePath, [0, 1]);
+    assert.equal(counter, 2 * ITERATIONS);
+    assert.equal(log.length, 2 * ITERATIONS);
+  });
+
+  test('reads skip the lock until another process changes the store', async (t) => {
+    const basePath = await mkdtemp(join(tmpdir(), 'claude-flow-memory-'));
+    const reader = new MemoryPersistence({ basePath });
+    const writer = new MemoryPersistence({ basePath });
+    await reader.initialize();
+    await writer.initialize();
+    t.after(async () => {
+      await Promise.all([reader.close(), writer.close()]);
+      await rm(basePath, { recursive: true, force: true });
+    });
+
+    await reader.store('note', { text: 'first draft' }, { tags: ['draft'] });
+    const acquire = t.mock.method(reader.lock, 'acquire');
+
+    assert.deepEqual(await reader.retrieve('note'), { text: 'first draft' });
+    assert.equal(await reader.has('note'), true);
+    assert.equal((await reader.list('*')).length, 1);
+    assert.equal((await reader.search('draft')).length, 1);
+    assert.equal((await reader.searchSimilar('first draft')).length, 1);
+    assert.equal(acquire.mock.callCount(), 0);
+
+    // Another process's write sends the next read through the lock once
+    await writer.store('note', { text: 'final' }, { tags: ['final'] });
+    assert.deepEqual(await reader.retrieve('note'), { text: 'final' });
+    assert.equal((await reader.search('tags:final')).length, 1);
+    assert.equal(acquire.mock.callCount(), 1);
+  });
+
+  test('closing stops TTL timers, and a reopened store still expires the entries', async (t) => {
+    const basePath = await mkdtemp(join(tmpdir(), 'claude-flow-memory-'));
+    const memory = new MemoryPersistence({ basePath });
+    const reopened = new MemoryPersistence({ basePath });
+    t.after(async () => {
+      await reopened.close();
+      await rm(basePath, { recursive: true, force: true });
+    });
+
+    await memory.initialize();
+    await memory.store('session', 'short', { ttl: 50 });
+    await memory.store('draft', 'long', { ttl: 3600000 });
+    await memory.close();
+    assert.equal(memory.ttlTimers.size, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    await reopened.initialize();
+    assert.equal(await reopened.retrieve('session'), null);
+    assert.equal(await reopened.retrieve('draft'), 'long');
+  });
+}
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import MemoryPersistence from '../memory-persistence.js';
+
+async function openMemory(t, config = {}) {
+  const basePath = await mkdtemp(join(tmpdir(), 'claude-flow-quotas-'));
+  const memory = new MemoryPersistence({ basePath, compression: false, ...config });
+  await memory.initialize();
+  t.after(async () => {
+    await memory.close();
+    await rm(basePath, { recursive: true, force: true });
+  });
+  return memory;
+}
+
+const text = length => 'x'.repeat(length);
+
+test('reads reach the index journal in batches, not one operation per read', async (t) => {
+  const memory = await openMemory(t, { accessFlushAfter: 3 });
+  for (const key of ['a', 'b', 'c']) {
+    await memory.store(key, text(10));
+  }
+  const written = memory.index.stats().journalOperations;
+
+  for (let i = 0; i < 20; i++) {
+    await memory.retrieve('a');
+  }
+  assert.equal(await memory.has('b'), true);
+  assert.equal(memory.index.stats().journalOperations, written);
+
+  await memory.retrieve('b');
+  await memory.retrieve('c');
+  assert.equal(memory.index.stats().journalOperations, written + 3);
+  assert.equal(memory.getMeta('default', 'a').hits, 20);
+  assert.equal(memory.getMeta('default', 'b').hits, 1);
+});
+
+test('lru and lfu eviction count reads that were not flushed yet', async (t) => {
+  const memory = await openMemory(t);
+  await memory.ensureNamespace('lru', { maxSize: 1000, eviction: 'lru' });
+  await memory.ensureNamespace('lfu', { maxSize: 1000, eviction: 'lfu' });
+
+  await memory.store('a', text(300), { namespace: 'lru' });
+  await memory.store('b', text(300), { namespace: 'lru' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await memory.retrieve('a', 'lru');
+  const lru = await memory.store('c', text(400), { namespace: 'lru' });
+  assert.deepEqual(lru.evicted.map(entry => entry.key), ['b']);
+
+  await memory.store('p', text(300), { namespace: 'lfu' });
+  await memory.store('q', text(300), { namespace: 'lfu' });
+  await memory.retrieve('p', 'lfu');
+  await memory.retrieve('p', 'lfu');
+  await memory.retrieve('q', 'lfu');
+  const lfu = await memory.store('s', text(400), { namespace: 'lfu' });
+  assert.deepEqual(lfu.evicted.map(entry => entry.key), ['q']);
+});
+
+test('reads not flushed yet are written on close', async (t) => {
+  const basePath = await mkdtemp(join(tmpdir(), 'claude-flow-quotas-'));
+  t.after(() => rm(basePath, { recursive: true, force: true }));
+
+  const memory = new MemoryPersistence({ basePath });
+  await memory.initialize();
+  await memory.store('a', 'value');
+  await memory.retrieve('a');
+  await memory.retrieve('a');
+  await memory.close();
+
+  const reopened = new MemoryPersistence({ basePath });
+  await reopened.initialize();
+  assert.equal(reopened.getMeta('default', 'a').hits, 2);
+  await reopened.close();
+});
+
+test('the global quota does not evict system namespaces unless they opt in', async (t) => {
+  const memory = await openMemory(t, { maxSize: 2200, eviction: 'oldest' });
+  await memory.store('performance-model', text(600), { namespace: 'agents' });
+  await memory.store('active', text(600), { namespace: 'swarms' });
+  await memory.store('note', text(300));
+
+  const stored = await memory.store('draft', text(500));
+  assert.deepEqual(stored.evicted.map(entry => `${entry.namespace}/${entry.key}`), ['default/note']);
+
+  await assert.rejects(memory.store('report', text(900)), /quota of memory/);
+  assert.notEqual(await memory.retrieve('performance-model', 'agents'), null);
+  assert.notEqual(await memory.retrieve('active', 'swarms'), null);
+
+  await memory.configureNamespace('swarms', { evictable: true });
+  const evicted = (await memory.store('report', text(900))).evicted.map(entry => `${entry.namespace}/${entry.key}`);
+  assert.ok(evicted.includes('swarms/active'));
+  assert.ok(!evicted.some(id => id.startsWith('agents/')));
+});
+
+test('system namespaces reject instead of inheriting the store eviction policy', async (t) => {
+  const memory = await openMemory(t, { eviction: 'lru' });
+  await memory.configureNamespace('tasks', { maxSize: 1000 });
+  await memory.store('task:a', text(600), { namespace: 'tasks' });
+  await assert.rejects(memory.store('task:b', text(600), { namespace: 'tasks' }), /quota of namespace 'tasks'/);
+
+  const usage = await memory.getUsage();
+  assert.equal(usage.namespaces.tasks.eviction, 'reject');
+  assert.equal(usage.namespaces.default.eviction, 'lru');
+
+  await memory.configureNamespace('tasks', { eviction: 'oldest' });
+  const stored = await memory.store('task:b', text(600), { namespace: 'tasks' });
+  assert.deepEqual(stored.evicted.map(entry => entry.key), ['task:a']);
+});
+
+test('a write the global quota rejects evicts nothing from its namespace', async (t) => {
+  const memory = await openMemory(t, { maxSize: 1500 });
+  await memory.ensureNamespace('cache', { maxSize: 1000, eviction: 'lru' });
+  await memory.store('a', text(300), { namespace: 'cache' });
+  await memory.store('b', text(300), { namespace: 'cache' });
+  await memory.store('pinned', text(500));
+
+  // The namespace could evict a and b, but the store as a whole stays too full
+  await assert.rejects(memory.store('c', text(800), { namespace: 'cache' }), /quota of memory/);
+  assert.deepEqual((await memory.list('*', 'cache')).map(entry => entry.key).sort(), ['a', 'b']);
+  assert.equal((await memory.getUsage()).evicted, 0);
+});
+
+test('namespace limits count compressed bytes on disk, like quotas', async (t) => {
+  const memory = await openMemory(t, { compression: true });
+  await memory.ensureNamespace('small', { maxSize: 1000 });
+
+  const stored = await memory.store('repetitive', text(5000), { namespace: 'small' });
+  assert.equal(stored.stored, true);
+  assert.ok((await memory.getUsage()).namespaces.small.bytes < 1000);
+});
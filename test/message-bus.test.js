@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageBus, SYSTEM_SENDER } from '../message-bus.js';
+
+// A line a - b - c: a reaches c through b, d is outside the swarm
+function createBus(options = {}) {
+  const links = { a: ['b'], b: ['a', 'c'], c: ['b'] };
+  return new MessageBus({
+    route: (from, to) => {
+      if (!links[from] || !links[to]) return null;
+      if (links[from].includes(to)) return [from, to];
+      const via = links[from].find(id => links[id].includes(to));
+      return via ? [from, via, to] : null;
+    },
+    getPeers: () => Object.keys(links),
+    ...options
+  });
+}
+
+const received = (bus, agentId) => new Promise(resolve => bus.onMessage(agentId, resolve));
+
+test('requests resolve with the reply of the handler that answers them', async () => {
+  const bus = createBus();
+  bus.onMessage('c', (message) => ({ sum: message.payload.a + message.payload.b }));
+
+  assert.deepEqual(await bus.request('a', 'c', { a: 2, b: 3 }), { sum: 5 });
+  assert.equal(bus.pendingRequests.size, 0);
+
+  const [request, reply] = bus.getLog();
+  assert.equal(request.kind, 'request');
+  assert.deepEqual(request.route, ['a', 'b', 'c']);
+  assert.equal(reply.kind, 'reply');
+  assert.equal(reply.correlationId, request.correlationId);
+  assert.equal(reply.from, 'c');
+  assert.equal(reply.to, 'a');
+});
+
+test('requests can be answered explicitly, and time out or fail when nobody replies', async () => {
+  const bus = createBus();
+  bus.onMessage('b', (message) => {
+    setTimeout(() => bus.reply(message, 'later'), 5);
+  });
+  assert.equal(await bus.request('a', 'b', 'ping'), 'later');
+
+  await assert.rejects(bus.request('a', 'c', 'ping', { timeout: 20 }), /Request from a to c timed out after 20ms/);
+  await assert.rejects(bus.request('a', 'd', 'ping'), /No route from a to d/);
+
+  const pending = bus.request('a', 'c', 'ping');
+  bus.removeAgent('c');
+  await assert.rejects(pending, /Agent c left before replying/);
+  assert.equal(bus.pendingRequests.size, 0);
+});
+
+test('messages wait in the inbox until the recipient registers a handler', async () => {
+  const bus = createBus({ maxInboxSize: 2 });
+  for (const n of [1, 2, 3]) {
+    bus.send(SYSTEM_SENDER, 'c', n);
+  }
+
+  const payloads = [];
+  await new Promise(resolve => bus.onMessage('c', (message) => {
+    payloads.push(message.payload);
+    if (payloads.length === 2) resolve();
+  }));
+
+  assert.deepEqual(payloads, [2, 3]);
+  assert.deepEqual(bus.drainInbox('c'), []);
+});
+
+test('topics and broadcasts reach only agents the sender can route to', async () => {
+  const bus = createBus();
+  const topics = [];
+  bus.subscribe('b', 'builds', (message) => topics.push(['b', message.payload]));
+  bus.subscribe('c', 'builds', (message) => topics.push(['c', message.payload]));
+  bus.subscribe('d', 'builds', (message) => topics.push(['d', message.payload]));
+  bus.subscribe('a', 'builds', (message) => topics.push(['a', message.payload]));
+
+  const published = bus.publish('a', 'builds', 'green');
+  assert.deepEqual(published.to, ['b', 'c']);
+
+  const broadcast = bus.broadcast('b', 'hello');
+  assert.deepEqual(broadcast.to, ['a', 'c']);
+  const [a, c] = await Promise.all([received(bus, 'a'), received(bus, 'c')]);
+  assert.equal(a.payload, 'hello');
+  assert.equal(c.id, broadcast.id);
+
+  assert.deepEqual(topics.sort(), [['b', 'green'], ['c', 'green']]);
+  assert.throws(() => bus.send('a', 'd', 'hi'), /No route from a to d/);
+});
+
+test('replay re-delivers recorded messages without answering requests again', async () => {
+  const bus = createBus();
+  const seen = [];
+  bus.onMessage('c', (message) => {
+    seen.push(message);
+    return 'pong';
+  });
+
+  await bus.request('a', 'c', 'ping');
+  bus.send('a', 'c', 'note');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(bus.replay(bus.getLog({ agentId: 'c' })), { replayed: 3 });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(seen.map(message => [message.payload, Boolean(message.replayed)]), [
+    ['ping', false], ['note', false], ['ping', true], ['note', true]
+  ]);
+  assert.equal(bus.getLog({ kind: 'reply' }).length, 1);
+});
+
+test('handler errors are reported without reaching the sender', async () => {
+  const bus = createBus();
+  bus.onMessage('b', () => {
+    throw new Error('handler crashed');
+  });
+
+  const reported = new Promise(resolve => bus.once('error:handler', resolve));
+  const message = bus.send('a', 'b', 'hi');
+  assert.deepEqual(await reported, { messageId: message.id, error: 'handler crashed' });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { TaskDecomposer } from '../task-decomposer.js';
+
+class SingleStepDecomposer extends TaskDecomposer {
+  constructor() {
+    super({ name: 'single-step' });
+  }
+
+  async decompose(task) {
+    return [{ ...this.createComponent('step', task.description, { type: 'implementation' }), estimatedTime: 5 }];
+  }
+}
+
+async function createCoordinator() {
+  const coordinator = new AgentCoordinator();
+  coordinator.registerDecomposer('single-step', new SingleStepDecomposer());
+  const frontend = await coordinator.initSwarm({ name: 'frontend' });
+  const backend = await coordinator.initSwarm({ name: 'backend', maxAgents: 3 });
+  return { coordinator, frontend, backend };
+}
+
+test('swarms have unique names and the first one is active until another is used', async () => {
+  const { coordinator, frontend, backend } = await createCoordinator();
+
+  await assert.rejects(coordinator.initSwarm({ name: 'frontend' }), /Swarm name frontend is already in use/);
+  const { agentId: first } = await coordinator.spawnAgent({ type: 'coder' });
+  assert.equal(coordinator.agents.get(first).swarmId, frontend.swarmId);
+
+  assert.deepEqual(coordinator.useSwarm('backend'), { swarmId: backend.swarmId, name: 'backend' });
+  const { agentId } = await coordinator.spawnAgent({ type: 'tester' });
+  assert.equal(coordinator.agents.get(agentId).swarmId, backend.swarmId);
+
+  assert.deepEqual(coordinator.listSwarms().map(swarm => [swarm.name, swarm.active, swarm.agents, swarm.maxAgents]), [
+    ['frontend', false, 1, coordinator.maxAgents],
+    ['backend', true, 1, 3]
+  ]);
+  assert.throws(() => coordinator.useSwarm('mobile'), /Swarm mobile not found/);
+});
+
+test('swarm overrides layer over the coordinator configuration and can be removed', async () => {
+  const { coordinator, backend } = await createCoordinator();
+
+  assert.throws(() => coordinator.configureSwarm('backend', { colour: 'blue' }), /Unknown swarm setting: colour/);
+
+  const configured = coordinator.configureSwarm('backend', { maxAgents: 5, decomposer: 'single-step', scoring: { weights: { type: 0 } } });
+  assert.equal(coordinator.swarms.get(backend.swarmId).maxAgents, 5);
+  assert.equal(configured.effective.decomposer, 'single-step');
+  assert.equal(configured.effective.scoring.weights.type, 0);
+  assert.equal(coordinator.getSwarmConfig(coordinator.getActiveSwarmId()).decomposer, coordinator.defaultDecomposer);
+
+  const reset = coordinator.configureSwarm(backend.swarmId, { decomposer: null });
+  assert.deepEqual(Object.keys(reset.config).sort(), ['maxAgents', 'scoring']);
+  assert.equal(reset.effective.decomposer, coordinator.defaultDecomposer);
+});
+
+test('tasks run on the agents of their own swarm and hand off to another swarm with upstream results', async () => {
+  const { coordinator, frontend, backend } = await createCoordinator();
+  const { agentId: designer } = await coordinator.spawnAgent({ type: 'coder', swarmId: frontend.swarmId });
+  const { agentId: builder } = await coordinator.spawnAgent({ type: 'coder', swarmId: backend.swarmId });
+
+  const contexts = [];
+  coordinator.registerExecutor('coder', {
+    name: 'recording',
+    async execute(context) {
+      contexts.push(context);
+      return { output: `${context.subtask.description} done`, tokenUsage: { prompt: 0, completion: 0, total: 0 } };
+    }
+  });
+
+  const source = await coordinator.orchestrateTask({ task: 'Design the API', decomposer: 'single-step' });
+  const handoffs = [];
+  coordinator.on('task:handoff', event => handoffs.push(event));
+  const handle = await coordinator.handoffTask(source.taskId, { swarmId: 'backend', decomposer: 'single-step' });
+
+  assert.equal((await handle.done).status, 'completed');
+  assert.deepEqual(contexts.map(context => [context.agent.id, context.subtask.description]), [
+    [designer, 'Design the API'],
+    [builder, 'Continue: Design the API']
+  ]);
+
+  const [upstream] = Object.values(contexts[1].upstream);
+  assert.equal(upstream[0].value.result, 'Design the API done');
+  assert.deepEqual(handoffs, [{ taskId: handle.taskId, fromTask: source.taskId, fromSwarm: frontend.swarmId, toSwarm: backend.swarmId }]);
+  assert.equal(coordinator.tasks.get(handle.taskId).swarmId, backend.swarmId);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { TaskDecomposer } from '../task-decomposer.js';
+import { LRUPolicy, LowestPerformancePolicy, TypeDiversityPolicy } from '../rebalance-policies.js';
+
+const now = 1_000_000;
+
+function agent(id, fields = {}) {
+  return {
+    id,
+    type: 'coder',
+    created: now - 600000,
+    lastActive: now,
+    tasksCompleted: 0,
+    ...fields,
+    performance: { successRate: 1, samples: 0, ...fields.performance }
+  };
+}
+
+const ids = (ranking) => ranking.map(({ agent }) => agent.id);
+
+class SlowDecomposer extends TaskDecomposer {
+  constructor() {
+    super({ name: 'slow' });
+  }
+
+  async decompose(task) {
+    return [{ ...this.createComponent('step', task.description, { type: 'implementation' }), estimatedTime: 100 }];
+  }
+}
+
+test('the LRU policy ranks the longest idle agents first', () => {
+  const ranking = new LRUPolicy().rank([
+    agent('recent', { lastActive: now - 1000 }),
+    agent('stale', { lastActive: now - 90000 }),
+    agent('busy', { lastActive: now })
+  ], { now });
+
+  assert.deepEqual(ids(ranking), ['stale', 'recent', 'busy']);
+  assert.equal(ranking[0].reason, 'last active 90s ago');
+});
+
+test('the lowest-performance policy smooths success rates and protects new agents', () => {
+  const ranking = new LowestPerformancePolicy({ priorWeight: 3, gracePeriod: 60000 }).rank([
+    agent('lucky', { performance: { successRate: 0, samples: 1 } }),
+    agent('unreliable', { performance: { successRate: 0.3, samples: 20 } }),
+    agent('steady', { performance: { successRate: 0.9, samples: 20 } }),
+    agent('flawless', { performance: { successRate: 1, samples: 10 } }),
+    agent('new', { created: now - 1000, performance: { successRate: 1, samples: 0 } })
+  ], { now });
+
+  // One failure weighs less than a long record of them
+  assert.deepEqual(ids(ranking), ['unreliable', 'lucky', 'steady', 'flawless', 'new']);
+  assert.equal(ranking[4].reason, 'spawned within the grace period');
+  assert.match(ranking[0].reason, /^expected success rate \d+% over 20 tasks$/);
+});
+
+test('the type-diversity policy keeps one agent of each type as long as it can', () => {
+  const ranking = new TypeDiversityPolicy({ fallback: new LRUPolicy() }).rank([
+    agent('coder-1', { lastActive: now - 3000 }),
+    agent('coder-2', { lastActive: now - 1000 }),
+    agent('coder-3', { lastActive: now - 2000 }),
+    agent('tester-1', { type: 'tester', lastActive: now - 9000 })
+  ], { now });
+
+  assert.deepEqual(ids(ranking), ['coder-1', 'coder-3', 'tester-1', 'coder-2']);
+  assert.equal(ranking[0].reason, 'one of 3 coder agents; last active 3s ago');
+  assert.equal(ranking[2].reason, 'last tester agent; last active 9s ago');
+});
+
+test('rebalancing drains busy agents, which take no new work and leave once their subtask ends', async () => {
+  const busyFirst = {
+    rank: (agents) => [...agents]
+      .sort((a, b) => (b.status === 'busy') - (a.status === 'busy'))
+      .map(agent => ({ agent, reason: agent.status }))
+  };
+  const coordinator = new AgentCoordinator({ rebalance: { policy: 'busy-first' }, rebalancePolicies: { 'busy-first': busyFirst } });
+  await coordinator.initSwarm({ maxAgents: 2 });
+  await coordinator.spawnAgent({ type: 'coder' });
+  await coordinator.spawnAgent({ type: 'coder' });
+  coordinator.registerDecomposer('slow', new SlowDecomposer());
+
+  const started = new Promise(resolve => coordinator.once('subtask:started', resolve));
+  const first = await coordinator.orchestrateTask({ task: 'First', decomposer: 'slow' });
+  const { agentId: busy } = await started;
+
+  const rebalanced = new Promise(resolve => coordinator.once('swarm:rebalanced', resolve));
+  await coordinator.spawnAgent({ type: 'coder' });
+  const plan = await rebalanced;
+  assert.deepEqual(plan.changes.map(change => [change.agentId, change.action]), [[busy, 'drain']]);
+  assert.equal(coordinator.agents.get(busy).draining, 'rebalance');
+
+  const drained = new Promise(resolve => coordinator.once('agent:drained', resolve));
+  const assigned = [];
+  coordinator.on('subtask:started', ({ agentId }) => assigned.push(agentId));
+  const second = await coordinator.orchestrateTask({ task: 'Second', decomposer: 'slow' });
+
+  assert.equal((await first.done).status, 'completed');
+  assert.deepEqual(await drained, { agentId: busy, swarmId: plan.swarmId, reason: 'rebalance' });
+  assert.equal(coordinator.agents.has(busy), false);
+  assert.equal((await second.done).status, 'completed');
+  assert.equal(assigned.length, 1);
+  assert.notEqual(assigned[0], busy);
+  assert.equal(coordinator.swarms.get(plan.swarmId).agents.size, 2);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { TaskDecomposer } from '../task-decomposer.js';
+
+class StepsDecomposer extends TaskDecomposer {
+  constructor(steps) {
+    super({ name: 'steps' });
+    this.steps = steps;
+  }
+
+  async decompose() {
+    return this.steps.map(({ key, ...options }) => ({
+      ...this.createComponent(key, `Step ${key}`, { type: 'implementation', ...options }),
+      estimatedTime: 50
+    }));
+  }
+}
+
+async function startTask(steps, budget) {
+  const coordinator = new AgentCoordinator();
+  await coordinator.initSwarm({});
+  await coordinator.spawnAgent({ type: 'coder' });
+  coordinator.registerDecomposer('steps', new StepsDecomposer(steps));
+
+  const handle = await coordinator.orchestrateTask({ task: 'Budgeted task', decomposer: 'steps', strategy: 'sequential', budget });
+  return { coordinator, handle };
+}
+
+test('time spent waiting for an approval does not count against the time budget', async () => {
+  const { coordinator, handle } = await startTask([
+    { key: 'build', requiresApproval: true },
+    { key: 'ship', dependencies: ['build'] }
+  ], { time: 400, onExceeded: 'fail' });
+
+  const [{ subtaskId }] = await new Promise(resolve => coordinator.once('approval:requested', () => resolve(coordinator.getPendingApprovals())));
+  await sleep(600);
+  coordinator.decideApproval(subtaskId, 'approved');
+
+  const summary = await handle.done;
+  assert.equal(summary.status, 'completed');
+  assert.ok(coordinator.budgets.describe('task', handle.taskId).resources.time.used < 400);
+});
+
+test('the time budget clock stops while a task is paused', async () => {
+  const { coordinator, handle } = await startTask([
+    { key: 'first' },
+    { key: 'second', dependencies: ['first'] }
+  ], { time: 400, onExceeded: 'fail' });
+
+  await handle.pause();
+  const paused = coordinator.budgets.describe('task', handle.taskId).resources.time.used;
+  await sleep(600);
+  assert.equal(coordinator.budgets.describe('task', handle.taskId).resources.time.used, paused);
+
+  await handle.resume();
+  assert.equal((await handle.done).status, 'completed');
+});
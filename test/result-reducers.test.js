@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { CollectReducer, ConcatReducer, MergeReducer, FinalReducer } from '../result-reducers.js';
+
+const outputs = [
+  { subtaskId: 's1', key: 'design', output: { api: { routes: ['/users'] }, owner: 'architect' } },
+  { subtaskId: 's2', key: 'build', output: 'Built the API' },
+  { subtaskId: 's3', key: 'docs', output: { api: { routes: ['/teams'], version: 2 }, owner: 'documenter' } }
+];
+
+test('collect, concat and merge combine outputs in order', () => {
+  assert.deepEqual(new CollectReducer().reduce(outputs), {
+    design: outputs[0].output,
+    build: 'Built the API',
+    docs: outputs[2].output
+  });
+
+  assert.equal(
+    new ConcatReducer({ separator: '\n---\n' }).reduce(outputs.slice(0, 2)),
+    '{\n  "api": {\n    "routes": [\n      "/users"\n    ]\n  },\n  "owner": "architect"\n}\n---\nBuilt the API'
+  );
+
+  assert.deepEqual(new MergeReducer().reduce(outputs), {
+    api: { routes: ['/users', '/teams'], version: 2 },
+    owner: 'documenter'
+  });
+});
+
+test('the final reducer keeps the outputs nothing else depends on', () => {
+  const task = {
+    subtasks: [
+      { id: 's1', dependencies: [] },
+      { id: 's2', dependencies: ['s1'] },
+      { id: 's3', dependencies: ['s1'] }
+    ]
+  };
+
+  assert.deepEqual(new FinalReducer().reduce(outputs, { task }), ['Built the API', outputs[2].output]);
+  assert.equal(new FinalReducer().reduce(outputs.slice(0, 2), { task: { subtasks: task.subtasks.slice(0, 2) } }), 'Built the API');
+});
+
+test('task results are reduced into a stored artifact, and reducer failures leave the task completed', async () => {
+  const coordinator = new AgentCoordinator();
+  await coordinator.initSwarm({});
+  await coordinator.spawnAgent({ type: 'coder' });
+  coordinator.registerExecutor('coder', {
+    name: 'echo',
+    execute: async (context) => ({ output: { [context.subtask.key]: context.subtask.description } })
+  });
+  coordinator.registerReducer('broken', { reduce: () => { throw new Error('Cannot reduce'); } });
+
+  const spec = {
+    description: 'Ship the API',
+    subtasks: [
+      { id: 'design', description: 'Design it' },
+      { id: 'build', description: 'Build it', dependencies: ['design'] }
+    ]
+  };
+
+  const merged = await coordinator.orchestrateTask({ spec, reducer: 'merge' });
+  assert.equal((await merged.done).status, 'completed');
+  const result = await coordinator.getTaskResult(merged.taskId, { content: true });
+  assert.equal(result.reducer, 'merge');
+  assert.deepEqual(result.value, { design: 'Design it', build: 'Build it' });
+  assert.equal(result.partial, false);
+  assert.deepEqual(result.subtasks.map(subtask => [subtask.key, subtask.artifacts[0].content]), [
+    ['design', { design: 'Design it' }],
+    ['build', { build: 'Build it' }]
+  ]);
+
+  const failed = await coordinator.orchestrateTask({ spec, reducer: 'broken' });
+  assert.equal((await failed.done).status, 'completed');
+  const unreduced = await coordinator.getTaskResult(failed.taskId);
+  assert.equal(unreduced.value, null);
+  assert.equal(unreduced.error, 'Cannot reduce');
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SearchIndex, parseQuery, highlight } from '../search-index.js';
+
+async function openIndex(t, path) {
+  const index = new SearchIndex({ path: path || await mkdtemp(join(tmpdir(), 'claude-flow-search-')) });
+  await index.load();
+  t.after(async () => {
+    await index.close();
+    if (!path) await rm(index.path, { recursive: true, force: true });
+  });
+  return index;
+}
+
+const entry = (value, fields = {}) => ({ value, tags: [], created: Date.now(), updated: Date.now(), ...fields });
+const keys = results => results.map(result => result.key);
+
+test('BM25 ranks frequent terms in short documents and rare terms above common ones', async (t) => {
+  const index = await openIndex(t);
+  await index.add('default', 'short', entry('deploy the service, then deploy the worker'));
+  await index.add('default', 'long', entry(`deploy once ${'and then write a lot about other things '.repeat(10)}`));
+  await index.add('default', 'unrelated', entry('refactor the parser'));
+
+  assert.deepEqual(keys(index.search('deploy')), ['short', 'long']);
+
+  // Every document mentions "the"; only one mentions "parser"
+  const [best, ...rest] = index.search('the parser');
+  assert.equal(best.key, 'unrelated');
+  assert.deepEqual(best.terms.sort(), ['parser', 'the']);
+  assert.ok(rest.every(result => result.score < best.score / 2));
+
+  assert.equal(index.stats().documents, 3);
+});
+
+test('phrases must appear in order and prefixes match every indexed term that starts with them', async (t) => {
+  const index = await openIndex(t);
+  await index.add('default', 'plan', entry('write the rollback plan before the release'));
+  await index.add('default', 'reversed', entry('plan the rollback after the release'));
+  await index.add('default', 'split', entry({ steps: ['plan', 'rollback'] }));
+
+  assert.deepEqual(keys(index.search('"rollback plan"')), ['plan']);
+  assert.deepEqual(keys(index.search('"the release" rollback')).sort(), ['plan', 'reversed']);
+  assert.deepEqual(keys(index.search('rollb*')).sort(), ['plan', 'reversed', 'split']);
+  assert.deepEqual(index.search('"missing phrase"'), []);
+});
+
+test('field filters narrow by tag, namespace, key and date, and expired entries are left out', async (t) => {
+  const index = await openIndex(t);
+  const old = Date.parse('2024-01-01');
+  await index.add('notes', 'note-1', entry('cache design', { tags: ['research'], created: old, updated: old }));
+  await index.add('notes', 'note-2', entry('cache rollout', { tags: ['ops'] }));
+  await index.add('agents', 'agent-1', entry('cache agent'));
+  await index.add('notes', 'note-3', entry('cache expired', { expires: Date.now() - 1 }));
+
+  assert.deepEqual(keys(index.search('cache tag:research')), ['note-1']);
+  assert.deepEqual(keys(index.search('cache ns:agents')), ['agent-1']);
+  assert.deepEqual(keys(index.search('cache key:note-*')).sort(), ['note-1', 'note-2']);
+  assert.deepEqual(keys(index.search('cache created:<2024-06-01')), ['note-1']);
+  assert.deepEqual(keys(index.search('created:>7d', { namespaces: ['notes'] })), ['note-2']);
+  assert.deepEqual(keys(index.search('cache', { tags: ['ops'] })), ['note-2']);
+  assert.throws(() => index.search('created:>someday'), /Invalid date in search query: someday/);
+});
+
+test('queries split into terms, phrases and filters, and words with unknown fields stay text', () => {
+  const parsed = parseQuery('deplo* "Rollback  Plan" tags:ops agent:42 updated:>=1718000000000');
+
+  assert.deepEqual(parsed.terms, ['deplo*', 'agent', '42']);
+  assert.deepEqual(parsed.phrases, [['rollback', 'plan']]);
+  assert.deepEqual(parsed.filters, [
+    { field: 'tags', op: '=', value: 'ops' },
+    { field: 'updated', op: '>=', value: 1718000000000 }
+  ]);
+});
+
+test('snippets mark the query terms around their first match', () => {
+  const text = `${'intro '.repeat(40)}the rollback plan covers every deployment`;
+
+  assert.equal(highlight(text, ['rollback', 'deploy*'], { length: 60 }),
+    '…ntro intro the **rollback** plan covers every **deployment**');
+  assert.equal(highlight('nothing to see', ['rollback']), 'nothing to see');
+});
+
+test('documents survive reopening and other processes see changes after a refresh', async (t) => {
+  const writer = await openIndex(t);
+  await writer.add('default', 'a', entry('alpha release'));
+  await writer.add('default', 'b', entry('beta release'));
+
+  const reader = await openIndex(t, writer.path);
+  assert.deepEqual(keys(reader.search('release')).sort(), ['a', 'b']);
+  assert.equal(await reader.isCurrent(), true);
+
+  await writer.remove('default', 'a');
+  await writer.add('default', 'c', entry('gamma release'));
+  assert.equal(await reader.isCurrent(), false);
+
+  await reader.refresh();
+  assert.deepEqual(keys(reader.search('release')).sort(), ['b', 'c']);
+  assert.equal(await reader.isCurrent(), true);
+});
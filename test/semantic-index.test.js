@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SemanticIndex, HashingEmbedder } from '../semantic-index.js';
+
+const TOPICS = ['database', 'deployment', 'frontend', 'security', 'testing', 'billing', 'search', 'storage'];
+const WORDS = ['migration', 'rollback', 'cache', 'latency', 'schema', 'component', 'token', 'invoice', 'fixture', 'queue', 'retry', 'audit', 'index', 'shard', 'backup', 'session'];
+const VARIANTS = ['today', 'again', 'later', 'first', 'soon', 'twice'];
+
+// Deterministic groups of near-duplicate notes that differ in their last word
+const plan = group => `${TOPICS[group % 8]} ${WORDS[group % 16]} ${WORDS[(group * 7 + 3) % 16]} ${WORDS[(group * 5 + 1) % 16]} plan ${group}`;
+const notes = Array.from({ length: 48 }, (_, group) =>
+  VARIANTS.map((variant, i) => ({ key: `note-${group}-${i}`, text: `${plan(group)} ${variant}` }))
+).flat();
+
+async function openIndex(t, options = {}) {
+  const path = options.path || await mkdtemp(join(tmpdir(), 'claude-flow-semantic-'));
+  const index = new SemanticIndex({ ...options, path });
+  await index.load();
+  t.after(async () => {
+    await index.close();
+    if (!options.path) await rm(path, { recursive: true, force: true });
+  });
+  return index;
+}
+
+async function addNotes(index) {
+  for (const { key, text } of notes) {
+    await index.add('notes', key, text, { save: false });
+  }
+  await index.saveAll();
+}
+
+test('hashing embeddings are normalized, deterministic and closer for related texts', async () => {
+  const embedder = new HashingEmbedder({ dimensions: 64 });
+  const [a, b, c] = await embedder.embed(['database migration rollback', 'rollback the database migration', 'frontend component styling']);
+  const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+
+  assert.equal(a.length, 64);
+  assert.ok(Math.abs(dot(a, a) - 1) < 1e-9);
+  assert.deepEqual((await embedder.embed(['database migration rollback']))[0], a);
+  assert.ok(dot(a, b) > dot(a, c));
+});
+
+test('LSH search finds the same nearest neighbours as comparing every vector', async (t) => {
+  const exact = await openIndex(t, { exactBelow: Infinity });
+  const approximate = await openIndex(t, { exactBelow: 0 });
+  await addNotes(exact);
+  await addNotes(approximate);
+
+  let found = 0;
+  let expectedCount = 0;
+  for (let group = 0; group < 48; group += 5) {
+    const expected = await exact.search(plan(group), { k: 5 });
+    const results = await approximate.search(plan(group), { k: 5 });
+    const expectedScores = new Map(expected.map(result => [result.key, result.score]));
+
+    assert.equal(results.length, 5);
+    assert.equal(results[0].key, expected[0].key);
+    // Scores are exact cosine similarities however a candidate was found
+    for (const result of results) {
+      if (expectedScores.has(result.key)) {
+        found++;
+        assert.equal(result.score, expectedScores.get(result.key));
+      }
+    }
+    expectedCount += expected.length;
+  }
+
+  assert.ok(found / expectedCount >= 0.8, `recall ${found}/${expectedCount}`);
+
+  const [best] = await approximate.search(notes[17].text, { k: 1 });
+  // Stored vectors are rounded, so the note itself scores about 1
+  assert.equal(best.key, notes[17].key);
+  assert.ok(Math.abs(best.score - 1) < 1e-3);
+});
+
+test('search filters by namespace, exclusions and minimum score', async (t) => {
+  const index = await openIndex(t);
+  await index.add('notes', 'a', 'database migration rollback');
+  await index.add('notes', 'b', 'database migration plan');
+  await index.add('agents', 'c', 'database migration rollback agent');
+
+  assert.deepEqual((await index.search('database migration rollback', { namespaces: ['notes'] })).map(result => result.key), ['a', 'b']);
+  assert.deepEqual((await index.search('database migration rollback', { exclude: [{ namespace: 'notes', key: 'a' }] })).map(result => result.key), ['c', 'b']);
+  assert.deepEqual((await index.search('database migration rollback', { minScore: 0.99 })).map(result => result.key), ['a']);
+
+  await index.remove('notes', 'a');
+  assert.equal(index.stats().vectors, 2);
+});
+
+test('vectors reload only with the layout they were made with', async (t) => {
+  const index = await openIndex(t, { seed: 7 });
+  await addNotes(index);
+
+  const reopened = await openIndex(t, { path: index.path, seed: 7 });
+  assert.equal(reopened.stats().vectors, notes.length);
+  assert.deepEqual(await reopened.search('billing invoice', { k: 3 }), await index.search('billing invoice', { k: 3 }));
+
+  const reseeded = new SemanticIndex({ path: index.path, seed: 8 });
+  assert.equal(await reseeded.load(), false);
+  assert.equal(reseeded.stats().vectors, 0);
+  await reseeded.close();
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { HierarchicalTopology } from '../swarm-topology.js';
+import { TaskDecomposer } from '../task-decomposer.js';
+
+class SingleStepDecomposer extends TaskDecomposer {
+  constructor(type) {
+    super({ name: 'single-step' });
+    this.type = type;
+  }
+
+  async decompose(task) {
+    return [{ ...this.createComponent('step', task.description, { type: this.type, capabilities: [] }), estimatedTime: 5 }];
+  }
+}
+
+test('hierarchical topology maps subtask types to the branch of the matching agent type', () => {
+  const topology = new HierarchicalTopology();
+  for (const [id, type] of [['root', 'coordinator'], ['coder-1', 'coder'], ['coder-2', 'coder'], ['tester-1', 'tester']]) {
+    topology.join({ id, type });
+  }
+  const idle = ['coder-1', 'coder-2', 'tester-1'].map(id => ({ id }));
+
+  assert.deepEqual(topology.selectCandidates(idle, { type: 'implementation' }).map(agent => agent.id), ['coder-1', 'coder-2']);
+  assert.deepEqual(topology.selectCandidates(idle, { type: 'testing' }).map(agent => agent.id), ['tester-1']);
+  assert.deepEqual(topology.selectCandidates(idle, { type: 'deployment' }).map(agent => agent.id), ['coder-1', 'coder-2', 'tester-1']);
+});
+
+test('hierarchical swarms route a subtask through its branch lead', async () => {
+  // Agents score the same without type scoring, so only the topology keeps the tester, which joined first, from the work
+  const coordinator = new AgentCoordinator({ topology: 'hierarchical', scoring: { weights: { type: 0 } } });
+  await coordinator.initSwarm({ topology: 'hierarchical' });
+  const { agentId: root } = await coordinator.spawnAgent({ type: 'coordinator' });
+  await coordinator.spawnAgent({ type: 'tester' });
+  const { agentId: lead } = await coordinator.spawnAgent({ type: 'coder' });
+  await coordinator.spawnAgent({ type: 'coder' });
+  coordinator.registerDecomposer('single-step', new SingleStepDecomposer('implementation'));
+
+  const handle = await coordinator.orchestrateTask({ task: 'Implement the login form', decomposer: 'single-step' });
+  const summary = await handle.done;
+  const [subtask] = coordinator.tasks.get(handle.taskId).subtasks;
+
+  assert.equal(summary.status, 'completed');
+  assert.equal(subtask.route[0], root);
+  assert.equal(subtask.route[1], lead);
+  assert.equal(coordinator.agents.get(subtask.route.at(-1)).type, 'coder');
+});
+
+test('subtasks wait when a topology rules out every idle agent', async () => {
+  const coordinator = new AgentCoordinator();
+  const { swarmId } = await coordinator.initSwarm({});
+  await coordinator.spawnAgent({ type: 'tester' });
+  coordinator.registerDecomposer('single-step', new SingleStepDecomposer('implementation'));
+
+  // A custom candidate filter that only ever hands work to coders
+  const structure = coordinator.swarms.get(swarmId).structure;
+  structure.selectCandidates = agents => agents.filter(agent => agent.type === 'coder');
+
+  const handle = await coordinator.orchestrateTask({ task: 'Implement the login form', decomposer: 'single-step' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const [subtask] = coordinator.tasks.get(handle.taskId).subtasks;
+  assert.equal(subtask.status, 'queued');
+
+  const started = new Promise(resolve => coordinator.once('subtask:started', resolve));
+  const { agentId: coder } = await coordinator.spawnAgent({ type: 'coder' });
+  assert.equal((await started).agentId, coder);
+  assert.equal((await handle.done).status, 'completed');
+});
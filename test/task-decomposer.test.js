@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { RuleBasedDecomposer, SpecDecomposer, parseSpecText, runDecompositionCases } from '../task-decomposer.js';
+
+const casesFile = new URL('./fixtures/decomposition-cases.yaml', import.meta.url);
+
+test('decomposers produce the expected subtask graphs', async () => {
+  const { cases } = parseSpecText(await readFile(casesFile, 'utf8'));
+  const ruleBased = new RuleBasedDecomposer();
+  const spec = new SpecDecomposer();
+
+  const report = await runDecompositionCases({
+    decompose: task => (task.spec ? spec : ruleBased).decompose(task)
+  }, cases);
+
+  assert.equal(report.failed, 0, JSON.stringify(report.results.filter(result => !result.passed), null, 2));
+  assert.equal(report.passed, cases.length);
+});
+
+test('spec comments are stripped outside quoted scalars only', () => {
+  const spec = parseSpecText([
+    'description: "Fix issue #12" # tracked upstream',
+    "note: 'it''s #1'",
+    "plain: Don't ship # yet",
+    'tag: a#b',
+    'subtasks: ["Reproduce #12", \'Fix #12\'] # two steps'
+  ].join('\n'));
+
+  assert.deepEqual(spec, {
+    description: 'Fix issue #12',
+    note: "it's #1",
+    plain: "Don't ship",
+    tag: 'a#b',
+    subtasks: ['Reproduce #12', 'Fix #12']
+  });
+});
+
+test('the harness reports where a decomposition differs from the expected graph', async () => {
+  const report = await runDecompositionCases(new RuleBasedDecomposer(), [{
+    name: 'wrong order',
+    task: 'Test the parser, then implement the parser',
+    expected: {
+      subtasks: [
+        { id: 'build', description: 'implement the parser', type: 'implementation' },
+        { id: 'check', description: 'Test the parser', type: 'testing', dependsOn: ['build'] }
+      ]
+    }
+  }]);
+
+  const [result] = report.results;
+  assert.equal(report.failed, 1);
+  assert.deepEqual(result.missingDependencies, ['build -> check']);
+  assert.deepEqual(result.unexpectedDependencies, ['check -> build']);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { TaskDecomposer } from '../task-decomposer.js';
+
+const TASK_EVENTS = ['task:completed', 'task:failed', 'task:cancelled'];
+
+class SingleStepDecomposer extends TaskDecomposer {
+  async decompose(task) {
+    const estimatedTime = task.description.startsWith('Slow') ? 400 : 10;
+    return [{ ...this.createComponent('step', task.description, { type: 'implementation' }), estimatedTime }];
+  }
+}
+
+async function createCoordinator() {
+  const coordinator = new AgentCoordinator();
+  await coordinator.initSwarm({});
+  for (let i = 0; i < 3; i++) {
+    await coordinator.spawnAgent({ type: 'coder' });
+  }
+  coordinator.registerDecomposer('single-step', new SingleStepDecomposer());
+
+  const simulated = coordinator.getExecutor('coder');
+  coordinator.registerExecutor('coder', {
+    name: 'failing-on-request',
+    async execute(context) {
+      if (context.subtask.description.startsWith('Broken')) throw new Error('Build broke');
+      return simulated.execute(context);
+    }
+  });
+  return coordinator;
+}
+
+const listeners = coordinator => TASK_EVENTS.map(event => coordinator.listenerCount(event));
+
+test('a task whose dependency fails stops listening for the others', async () => {
+  const coordinator = await createCoordinator();
+  const slow = await coordinator.orchestrateTask({ task: 'Slow migration', decomposer: 'single-step' });
+  const broken = await coordinator.orchestrateTask({ task: 'Broken build', decomposer: 'single-step' });
+  const before = listeners(coordinator);
+
+  const dependent = await coordinator.orchestrateTask({
+    task: 'Release',
+    decomposer: 'single-step',
+    dependencies: [slow.taskId, broken.taskId]
+  });
+  const outcome = await dependent.done;
+
+  assert.equal(outcome.status, 'failed');
+  assert.match(coordinator.tasks.get(dependent.taskId).error, /ended with status failed/);
+  assert.equal(coordinator.tasks.get(slow.taskId).status, 'in_progress');
+  assert.deepEqual(listeners(coordinator), before);
+  await slow.done;
+});
+
+test('a cancelled task stops waiting for its dependencies', async () => {
+  const coordinator = await createCoordinator();
+  const slow = await coordinator.orchestrateTask({ task: 'Slow migration', decomposer: 'single-step' });
+  const before = listeners(coordinator);
+
+  const dependent = await coordinator.orchestrateTask({ task: 'Release', decomposer: 'single-step', dependencies: [slow.taskId] });
+  assert.notDeepEqual(listeners(coordinator), before);
+  await dependent.cancel('release postponed');
+
+  assert.equal((await dependent.done).status, 'cancelled');
+  assert.deepEqual(listeners(coordinator), before);
+  assert.equal((await slow.done).status, 'completed');
+});
+
+test('a task starts once all of its dependencies completed', async () => {
+  const coordinator = await createCoordinator();
+  const first = await coordinator.orchestrateTask({ task: 'Schema', decomposer: 'single-step' });
+  const second = await coordinator.orchestrateTask({ task: 'Slow migration', decomposer: 'single-step' });
+  const before = listeners(coordinator);
+
+  const dependent = await coordinator.orchestrateTask({ task: 'Release', decomposer: 'single-step', dependencies: [first.taskId, second.taskId] });
+  assert.equal((await dependent.done).status, 'completed');
+  assert.ok(coordinator.tasks.get(dependent.taskId).started >= coordinator.tasks.get(second.taskId).completed);
+  assert.deepEqual(listeners(coordinator), before);
+});
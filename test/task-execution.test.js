@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentCoordinator } from '../agent-coordination.js';
+import { TaskDecomposer } from '../task-decomposer.js';
+
+class StepsDecomposer extends TaskDecomposer {
+  constructor(keys) {
+    super({ name: 'steps' });
+    this.keys = keys;
+  }
+
+  async decompose(task) {
+    return this.keys.map(key => ({
+      ...this.createComponent(key, `${task.description}: ${key}`, { type: 'implementation' }),
+      estimatedTime: 20
+    }));
+  }
+}
+
+async function createCoordinator(keys = ['step']) {
+  const coordinator = new AgentCoordinator();
+  await coordinator.initSwarm({});
+  await coordinator.spawnAgent({ type: 'coder' });
+  coordinator.registerDecomposer('steps', new StepsDecomposer(keys));
+  return coordinator;
+}
+
+test('tasks that throw or are cancelled no longer count as in progress', async (t) => {
+  const coordinator = await createCoordinator();
+
+  t.mock.method(coordinator, 'runSubtaskWithRetry', async () => {
+    throw new Error('Executor pool crashed');
+  }, { times: 1 });
+  const crashed = await coordinator.orchestrateTask({ task: 'Crash', decomposer: 'steps', strategy: 'parallel' });
+  assert.equal((await crashed.done).status, 'failed');
+  assert.equal(coordinator.metrics.tasksInProgress, 0);
+
+  coordinator.once('subtask:started', () => setImmediate(() => cancelled.cancel('not needed')));
+  const cancelled = await coordinator.orchestrateTask({ task: 'Cancel', decomposer: 'steps', strategy: 'parallel' });
+  assert.equal((await cancelled.done).status, 'cancelled');
+  assert.equal(coordinator.metrics.tasksInProgress, 0);
+
+  const completed = await coordinator.orchestrateTask({ task: 'Complete', decomposer: 'steps', strategy: 'parallel' });
+  assert.equal((await completed.done).status, 'completed');
+  assert.equal(coordinator.metrics.tasksInProgress, 0);
+});
+
+test('artifact store failures are reported without failing the subtask or its agent', async (t) => {
+  const coordinator = await createCoordinator();
+  const [agent] = coordinator.agents.values();
+  t.mock.method(coordinator.artifacts, 'putAll', async () => {
+    throw new Error('Disk full');
+  });
+  const failures = [];
+  coordinator.on('subtask:artifacts-failed', data => failures.push(data));
+
+  const handle = await coordinator.orchestrateTask({ task: 'Store', decomposer: 'steps', strategy: 'parallel' });
+  assert.equal((await handle.done).status, 'completed');
+
+  const [subtask] = coordinator.tasks.get(handle.taskId).subtasks;
+  assert.equal(subtask.status, 'completed');
+  assert.equal(subtask.attempts, 1);
+  assert.deepEqual(subtask.result.artifacts, []);
+  assert.equal(subtask.result.artifactError, 'Disk full');
+  assert.deepEqual(failures, [{ taskId: handle.taskId, subtaskId: subtask.id, agentId: agent.id, error: 'Disk full' }]);
+
+  assert.equal(agent.tasksCompleted, 1);
+  assert.equal(agent.performance.samples, 1);
+  assert.equal(agent.performance.successRate, 1);
+});
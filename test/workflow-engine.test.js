@@ -0,0 +1,231 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkflowEngine, validateWorkflow } from '../workflow-engine.js';
+
+/**
+ * An engine whose tasks complete at once with their description as output,
+ * unless `fail` says the description should fail
+ */
+function createEngine({ fail = () => false, approve } = {}) {
+  const tasks = [];
+  const stored = new Map();
+
+  const engine = new WorkflowEngine({
+    orchestrate: async (options) => {
+      tasks.push(options);
+      const taskId = `task-${tasks.length}`;
+      const done = fail(options.task)
+        ? { status: 'failed', error: 'executor failed', results: [] }
+        : { status: 'completed', results: [{ status: 'fulfilled', value: { result: options.task } }] };
+      return { taskId, done: Promise.resolve(done) };
+    },
+    memory: {
+      store: async (key, value, options) => stored.set(`${options.namespace}/${key}`, value),
+      retrieve: async (key, namespace) => stored.get(`${namespace}/${key}`) ?? null
+    },
+    approve
+  });
+
+  return { engine, tasks, stored };
+}
+
+const statuses = (run) => Object.fromEntries(run.steps.map(step => [step.id, step.status]));
+
+test('validation accepts a wired workflow and reports unknown inputs and unused memory keys', () => {
+  assert.deepEqual(validateWorkflow({
+    name: 'delivery',
+    inputs: { feature: { required: true } },
+    steps: [
+      { id: 'research', agent: 'researcher', task: 'Research ${inputs.feature}', output: 'notes' },
+      { id: 'build', agent: 'coder', task: 'Build from ${memory.notes}', when: "steps.research.status == 'completed'" }
+    ]
+  }), { valid: true, errors: [] });
+
+  const { valid, errors } = validateWorkflow({
+    name: 'broken',
+    inputs: ['feature'],
+    steps: [
+      { id: 'build', task: 'Build ${inputs.featur} from ${memory.design}' },
+      { id: 'check', task: 'Check', when: 'inputs.strict' }
+    ]
+  });
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'Step build task references unknown input featur',
+    'Step build task references memory key design that no step reads or writes',
+    'Step check when references unknown input strict'
+  ]);
+});
+
+test('runs reject invalid workflows and missing required inputs', async () => {
+  const { engine, tasks } = createEngine();
+
+  await assert.rejects(
+    engine.run({ name: 'broken', steps: [{ id: 'build', task: 'Build', approval: 'Ship?' }] }),
+    /Invalid workflow broken: Step build must define exactly one of/
+  );
+  await assert.rejects(
+    engine.run({ name: 'delivery', inputs: { feature: { required: true } }, steps: [{ id: 'build', task: 'Build ${inputs.feature}' }] }),
+    /requires input feature/
+  );
+  assert.equal(tasks.length, 0);
+});
+
+test('steps whose when is false are skipped and their status is visible to later steps', async () => {
+  const { engine, tasks } = createEngine();
+
+  const run = await engine.run({
+    name: 'conditional',
+    inputs: { publish: { default: false } },
+    steps: [
+      { id: 'release', task: 'Release', when: 'inputs.publish' },
+      { id: 'report', task: 'Report ${steps.release.status}', when: "steps.release.status == 'skipped'" }
+    ]
+  });
+
+  assert.equal(run.status, 'completed');
+  assert.deepEqual(statuses(run), { release: 'skipped', report: 'completed' });
+  assert.deepEqual(tasks.map(task => task.task), ['Report skipped']);
+});
+
+test('if steps run the branch their condition selects', async () => {
+  const definition = {
+    name: 'branching',
+    inputs: { size: { default: 3 }, dryRun: { default: false } },
+    steps: [{
+      id: 'pick',
+      if: 'inputs.size > 5 && !inputs.dryRun',
+      then: [{ id: 'large', task: 'Split the work' }],
+      else: [{ id: 'small', task: 'Do it in one go' }]
+    }]
+  };
+
+  const small = createEngine();
+  const smallRun = await small.engine.run(definition);
+  assert.deepEqual(statuses(smallRun), { pick: 'completed', 'pick.else.small': 'completed' });
+  assert.equal(smallRun.steps[0].branch, 'else');
+
+  const large = createEngine();
+  const largeRun = await large.engine.run(definition, { inputs: { size: '8' } });
+  assert.deepEqual(statuses(largeRun), { pick: 'completed', 'pick.then.large': 'completed' });
+  assert.deepEqual(large.tasks.map(task => task.task), ['Split the work']);
+});
+
+test('foreach runs its steps once per input item with the item in scope only inside the loop', async () => {
+  const { engine, tasks } = createEngine();
+
+  const run = await engine.run({
+    name: 'per-module',
+    inputs: { modules: { default: ['api', 'ui'] } },
+    steps: [
+      {
+        id: 'tests',
+        foreach: '${inputs.modules}',
+        as: 'module',
+        steps: [{ id: 'test', agent: 'tester', task: 'Test ${module} (${loop.index}/${loop.count})' }]
+      },
+      { id: 'summary', task: 'Summarize [${module}] after ${steps.test.output}' }
+    ]
+  }, { inputs: { modules: ['api', 'ui', 'cli'] } });
+
+  assert.equal(run.status, 'completed');
+  assert.equal(run.steps[0].iterations, 3);
+  assert.deepEqual(run.steps.map(step => step.id), ['tests', 'tests[0].test', 'tests[1].test', 'tests[2].test', 'summary']);
+  assert.deepEqual(tasks.map(task => task.task), [
+    'Test api (0/3)',
+    'Test ui (1/3)',
+    'Test cli (2/3)',
+    'Summarize [] after Test cli (2/3)'
+  ]);
+  assert.equal(tasks[0].spec.subtasks[0].type, 'tester');
+});
+
+test('foreach fails the run when its expression is not a list', async () => {
+  const { engine } = createEngine();
+
+  const run = await engine.run({
+    name: 'per-module',
+    inputs: { modules: { default: 'api' } },
+    steps: [{ id: 'tests', foreach: '${inputs.modules}', steps: [{ id: 'test', task: 'Test ${item}' }] }]
+  });
+
+  assert.equal(run.status, 'failed');
+  assert.equal(run.error, 'Step tests foreach did not resolve to a list');
+});
+
+test('a rejected approval gate stops the run as rejected', async () => {
+  const gates = [];
+  const { engine, tasks } = createEngine({ approve: async (gate) => { gates.push(gate); return false; } });
+  const events = [];
+  engine.on('workflow:rejected', data => events.push(data));
+
+  const run = await engine.run({
+    name: 'gated',
+    inputs: ['feature'],
+    steps: [
+      { id: 'sign-off', approval: 'Ship ${inputs.feature}?' },
+      { id: 'release', task: 'Release' }
+    ]
+  }, { inputs: { feature: 'search' } });
+
+  assert.equal(run.status, 'rejected');
+  assert.equal(run.error, 'Step sign-off was not approved');
+  assert.deepEqual(statuses(run), { 'sign-off': 'rejected' });
+  assert.equal(gates[0].message, 'Ship search?');
+  assert.deepEqual(run.steps[0].output, { approved: false });
+  assert.equal(tasks.length, 0);
+  assert.deepEqual(events, [{ runId: run.id, workflow: 'gated', error: run.error }]);
+});
+
+test('gates without an approver are rejected and a per-run approver takes precedence', async () => {
+  const definition = { name: 'gated', steps: [{ id: 'sign-off', approval: 'Ship?' }] };
+
+  const unattended = await createEngine().engine.run(definition);
+  assert.equal(unattended.status, 'rejected');
+  assert.equal(unattended.error, 'Step sign-off was not approved (no approver configured)');
+
+  const { engine } = createEngine({ approve: async () => false });
+  assert.equal((await engine.run(definition, { approve: async () => true })).status, 'completed');
+});
+
+test('failed steps stop the run unless they continue on error', async () => {
+  const definition = (continueOnError) => ({
+    name: 'flaky',
+    steps: [
+      { id: 'lint', task: 'Lint', continueOnError },
+      { id: 'build', task: 'Build after lint ${steps.lint.status}' }
+    ]
+  });
+
+  const strict = createEngine({ fail: task => task === 'Lint' });
+  const stopped = await strict.engine.run(definition(false));
+  assert.equal(stopped.status, 'failed');
+  assert.equal(stopped.error, 'Step lint failed: executor failed');
+  assert.deepEqual(statuses(stopped), { lint: 'failed' });
+
+  const lenient = createEngine({ fail: task => task === 'Lint' });
+  const continued = await lenient.engine.run(definition(true));
+  assert.equal(continued.status, 'completed');
+  assert.deepEqual(statuses(continued), { lint: 'failed', build: 'completed' });
+  assert.deepEqual(lenient.tasks.map(task => task.task), ['Lint', 'Build after lint failed']);
+});
+
+test('step outputs are stored in memory and loaded by later steps that read them', async () => {
+  const { engine, tasks, stored } = createEngine();
+  await engine.memory.store('guidelines', 'small commits', { namespace: 'workflows' });
+
+  const run = await engine.run({
+    name: 'wired',
+    steps: [
+      { id: 'research', task: 'Research', output: 'notes' },
+      { id: 'build', task: 'Build from ${memory.notes} with ${memory.guidelines}', inputs: ['guidelines'] },
+      { id: 'review', task: 'Review', inputs: ['missing'] }
+    ]
+  });
+
+  assert.equal(stored.get('workflows/notes'), 'Research');
+  assert.equal(tasks[1].task, 'Build from Research with small commits');
+  assert.equal(run.status, 'failed');
+  assert.equal(run.error, 'Step review input missing not found in memory');
+  assert.equal(stored.get(`workflows/run:${run.id}`), run);
+});
@@ -0,0 +1,698 @@
+/**
+ * Claude Flow Workflow Engine
+ * Runs declarative multi-step workflows (YAML or JSON) with agent steps,
+ * memory-wired inputs and outputs, conditional branches, foreach loops and
+ * approval gates
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { parseSpecText } from './task-decomposer.js';
+
+const WORKFLOW_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const STRATEGIES = ['parallel', 'sequential', 'adaptive', 'balanced'];
+const STEP_KINDS = { task: 'task', subtasks: 'task', command: 'task', approval: 'approval', foreach: 'foreach', if: 'branch' };
+
+/**
+ * Workflow definition:
+ *
+ *   name: feature-delivery
+ *   inputs:
+ *     feature: { required: true }
+ *     modules: { default: [api, ui] }
+ *   steps:
+ *     - id: research
+ *       agent: researcher
+ *       task: Research ${inputs.feature}
+ *       output: research_notes            # stored in memory, readable as ${memory.research_notes}
+ *     - id: build
+ *       agent: coder
+ *       inputs: [design_guidelines]       # memory keys loaded before the step runs
+ *       task: Implement ${inputs.feature} following ${memory.design_guidelines}
+ *       when: ${steps.research.status == 'completed'}
+ *     - id: sign-off
+ *       approval: Ship ${inputs.feature}?
+ *     - id: tests
+ *       foreach: ${inputs.modules}
+ *       as: module
+ *       steps:
+ *         - id: test
+ *           agent: tester
+ *           task: Test the ${module} module
+ *     - id: release
+ *       if: ${inputs.publish}
+ *       then: [...]
+ *       else: [...]
+ *
+ * Task steps may also give `subtasks` (an inline task spec), `strategy`,
+ * `priority`, `command`, `retryPolicy`, `swarm` (name of the swarm to run
+ * in, instead of the active one) and `continueOnError`.
+ */
+export class WorkflowEngine extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function} options.orchestrate - (taskOptions) => task handle with a `done` promise
+   * @param {object} options.memory - { store(key, value, options), retrieve(key, namespace) }
+   * @param {string} options.templatesDir - directory searched for workflow files
+   * @param {function} options.approve - (gate) => Promise<boolean>, used when a run has no approver
+   */
+  constructor(options = {}) {
+    super();
+
+    this.orchestrate = options.orchestrate;
+    this.memory = options.memory || null;
+    this.templatesDir = options.templatesDir || join(process.cwd(), '.claude', 'templates');
+    this.namespace = options.namespace || 'workflows';
+    this.approve = options.approve || null;
+    this.runs = new Map();
+  }
+
+  /**
+   * Workflow files in the templates directory
+   */
+  async list() {
+    if (!existsSync(this.templatesDir)) return [];
+
+    const workflows = [];
+    const files = (await readdir(this.templatesDir))
+      .filter(file => WORKFLOW_EXTENSIONS.includes(extname(file)))
+      .sort();
+
+    for (const file of files) {
+      const path = join(this.templatesDir, file);
+
+      try {
+        const definition = parseSpecText(await readFile(path, 'utf8'));
+        const { valid, errors } = validateWorkflow(definition);
+        workflows.push({
+          name: definition?.name || basename(file, extname(file)),
+          file: path,
+          description: definition?.description || '',
+          steps: Array.isArray(definition?.steps) ? definition.steps.length : 0,
+          valid,
+          errors
+        });
+      } catch (error) {
+        workflows.push({ name: basename(file, extname(file)), file: path, valid: false, errors: [error.message] });
+      }
+    }
+
+    return workflows;
+  }
+
+  /**
+   * Load a workflow by file path, file name or `name` field
+   */
+  async load(reference) {
+    const candidates = [
+      reference,
+      ...WORKFLOW_EXTENSIONS.map(extension => join(this.templatesDir, `${reference}${extension}`))
+    ];
+
+    const path = candidates.find(candidate => extname(candidate) && existsSync(candidate));
+    if (path) {
+      return parseSpecText(await readFile(path, 'utf8'));
+    }
+
+    const match = (await this.list()).find(workflow => workflow.name === reference);
+    if (!match) {
+      throw new Error(`Workflow ${reference} not found in ${this.templatesDir}`);
+    }
+
+    return parseSpecText(await readFile(match.file, 'utf8'));
+  }
+
+  async validate(reference) {
+    const definition = typeof reference === 'string' ? await this.load(reference) : reference;
+    return { name: definition?.name, ...validateWorkflow(definition) };
+  }
+
+  /**
+   * Run a workflow to completion. Resolves with the run record; failures,
+   * rejected approvals and skipped steps are reported through it.
+   *
+   * Options:
+   *   - inputs: values for the workflow inputs
+   *   - approve: (gate) => Promise<boolean> deciding approval gates for this run
+   */
+  async run(reference, options = {}) {
+    const definition = typeof reference === 'string' ? await this.load(reference) : reference;
+
+    const { valid, errors } = validateWorkflow(definition);
+    if (!valid) {
+      throw new Error(`Invalid workflow ${definition?.name || reference}: ${errors.join('; ')}`);
+    }
+
+    const run = {
+      id: randomUUID(),
+      workflow: definition.name,
+      status: 'running',
+      inputs: resolveInputs(definition, options.inputs || {}),
+      memory: {},
+      steps: [],
+      started: Date.now(),
+      completed: null,
+      error: null
+    };
+
+    this.runs.set(run.id, run);
+    this.emit('workflow:started', { runId: run.id, workflow: run.workflow });
+
+    const scope = {
+      inputs: run.inputs,
+      memory: run.memory,
+      steps: {},
+      workflow: { name: definition.name, runId: run.id }
+    };
+
+    try {
+      await this.runSteps(definition.steps, scope, run, options, '');
+      run.status = 'completed';
+    } catch (error) {
+      run.status = error.rejected ? 'rejected' : 'failed';
+      run.error = error.message;
+    }
+
+    run.completed = Date.now();
+    await this.saveRun(run);
+
+    this.emit(`workflow:${run.status}`, { runId: run.id, workflow: run.workflow, error: run.error });
+
+    return run;
+  }
+
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * Helper methods
+   */
+
+  async runSteps(steps, scope, run, options, prefix) {
+    for (const step of steps) {
+      const record = { id: `${prefix}${step.id}`, kind: getStepKind(step), status: 'running', started: Date.now() };
+      run.steps.push(record);
+
+      if (step.when !== undefined && !evaluateCondition(step.when, scope)) {
+        record.status = 'skipped';
+        scope.steps[step.id] = { status: 'skipped', output: null };
+        this.emit('workflow:step-skipped', { runId: run.id, stepId: record.id });
+        continue;
+      }
+
+      this.emit('workflow:step-started', { runId: run.id, stepId: record.id, kind: record.kind });
+
+      try {
+        switch (record.kind) {
+          case 'task':
+            await this.runTaskStep(step, scope, run, record);
+            break;
+          case 'approval':
+            await this.runApprovalStep(step, scope, run, record, options);
+            break;
+          case 'foreach':
+            await this.runForeachStep(step, scope, run, options, record);
+            break;
+          case 'branch':
+            record.branch = evaluateCondition(step.if, scope) ? 'then' : 'else';
+            await this.runSteps(step[record.branch] || [], scope, run, options, `${record.id}.${record.branch}.`);
+            break;
+        }
+
+        record.status = record.status === 'running' ? 'completed' : record.status;
+      } catch (error) {
+        record.status = error.rejected ? 'rejected' : 'failed';
+        record.error = error.message;
+        throw error;
+      } finally {
+        record.completed = Date.now();
+        scope.steps[step.id] = { status: record.status, output: record.output ?? null, taskId: record.taskId };
+        this.emit('workflow:step-completed', { runId: run.id, stepId: record.id, status: record.status });
+      }
+    }
+  }
+
+  async runTaskStep(step, scope, run, record) {
+    // Memory keys the step reads, possibly written by other workflows or runs
+    for (const key of interpolate(step.inputs || [], scope)) {
+      const value = this.memory ? await this.memory.retrieve(key, this.namespace) : null;
+      if (value === null || value === undefined) {
+        if (!(key in scope.memory)) {
+          throw new Error(`Step ${record.id} input ${key} not found in memory`);
+        }
+      } else {
+        scope.memory[key] = value;
+      }
+    }
+
+    const description = interpolate(step.task || step.description || step.command, scope);
+    const taskOptions = {
+      task: description,
+      strategy: step.strategy,
+      priority: step.priority,
+      retryPolicy: step.retryPolicy,
+      swarmId: step.swarm ? interpolate(step.swarm, scope) : undefined
+    };
+
+    if (step.subtasks) {
+      taskOptions.spec = { description, subtasks: interpolate(step.subtasks, scope) };
+    } else if (step.agent || step.command) {
+      // A single subtask typed after the agent so the swarm routes it to that agent type
+      taskOptions.spec = {
+        description,
+        subtasks: [{
+          id: step.id,
+          description,
+          ...(step.agent && { type: step.agent }),
+          ...(step.command && { command: interpolate(step.command, scope) })
+        }]
+      };
+    }
+
+    const handle = await this.orchestrate(taskOptions);
+    record.taskId = handle.taskId;
+
+    const summary = await handle.done;
+    const outputs = (summary.results || [])
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value?.result ?? null);
+    record.output = outputs.length === 1 ? outputs[0] : outputs;
+
+    if (summary.status !== 'completed') {
+      if (!step.continueOnError) {
+        throw new Error(`Step ${record.id} ${summary.status}: ${summary.error || 'task did not complete'}`);
+      }
+      record.status = summary.status;
+    }
+
+    if (step.output) {
+      const key = interpolate(step.output, scope);
+      scope.memory[key] = record.output;
+
+      if (this.memory) {
+        await this.memory.store(key, record.output, {
+          namespace: this.namespace,
+          tags: ['workflow', run.workflow]
+        });
+      }
+    }
+  }
+
+  async runApprovalStep(step, scope, run, record, options) {
+    const gate = {
+      runId: run.id,
+      workflow: run.workflow,
+      stepId: record.id,
+      message: interpolate(step.approval, scope)
+    };
+
+    this.emit('workflow:approval-required', gate);
+
+    const approve = options.approve || this.approve;
+    const approved = approve ? await approve(gate) : false;
+
+    record.output = { approved };
+    this.emit('workflow:approval-decided', { ...gate, approved });
+
+    if (!approved) {
+      const error = new Error(`Step ${record.id} was not approved${approve ? '' : ' (no approver configured)'}`);
+      error.rejected = true;
+      throw error;
+    }
+  }
+
+  async runForeachStep(step, scope, run, options, record) {
+    const items = interpolate(step.foreach, scope);
+    if (!Array.isArray(items)) {
+      throw new Error(`Step ${record.id} foreach did not resolve to a list`);
+    }
+
+    const name = step.as || 'item';
+    record.iterations = items.length;
+
+    for (const [index, item] of items.entries()) {
+      const iterationScope = { ...scope, [name]: item, loop: { index, item, count: items.length } };
+      await this.runSteps(step.steps, iterationScope, run, options, `${record.id}[${index}].`);
+    }
+  }
+
+  async saveRun(run) {
+    if (!this.memory) return;
+
+    try {
+      await this.memory.store(`run:${run.id}`, run, { namespace: this.namespace, tags: ['workflow-run', run.workflow] });
+    } catch (error) {
+      this.emit('workflow:error', { runId: run.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Check a workflow definition. Returns { valid, errors }.
+ */
+export function validateWorkflow(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { valid: false, errors: ['Workflow must be an object'] };
+  }
+
+  if (!definition.name || typeof definition.name !== 'string') {
+    errors.push('Workflow must have a name');
+  }
+
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    errors.push('Workflow must define a non-empty steps list');
+    return { valid: false, errors };
+  }
+
+  const inputs = Array.isArray(definition.inputs) ? definition.inputs : Object.keys(definition.inputs || {});
+  const ids = new Set();
+  const memoryKeys = new Set();
+  const references = [];
+
+  const checkExpression = (stepId, field, value) => {
+    for (const expression of extractExpressions(value)) {
+      try {
+        parseExpression(expression);
+      } catch (error) {
+        errors.push(`Step ${stepId} ${field}: ${error.message}`);
+        continue;
+      }
+
+      for (const match of expression.matchAll(/\b(inputs|memory)\.([A-Za-z_][\w-]*)/g)) {
+        references.push({ stepId, field, scope: match[1], name: match[2] });
+      }
+    }
+  };
+
+  const checkSteps = (steps, path) => {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      errors.push(`${path} must be a non-empty steps list`);
+      return;
+    }
+
+    for (const step of steps) {
+      if (!step || typeof step !== 'object' || !step.id) {
+        errors.push(`${path} has a step without an id`);
+        continue;
+      }
+
+      const id = String(step.id);
+      if (ids.has(id)) {
+        errors.push(`Duplicate step id ${id}`);
+      }
+      ids.add(id);
+
+      const kinds = Object.keys(STEP_KINDS).filter(field => step[field] !== undefined);
+      if (new Set(kinds.map(field => STEP_KINDS[field])).size !== 1) {
+        errors.push(`Step ${id} must define exactly one of task (or command), approval, foreach or if`);
+        continue;
+      }
+
+      if (step.agent !== undefined && typeof step.agent !== 'string') {
+        errors.push(`Step ${id} agent must be an agent type name`);
+      }
+
+      if (step.strategy !== undefined && !STRATEGIES.includes(step.strategy)) {
+        errors.push(`Step ${id} has unknown strategy ${step.strategy}`);
+      }
+
+      if (step.inputs !== undefined && !Array.isArray(step.inputs)) {
+        errors.push(`Step ${id} inputs must be a list of memory keys`);
+      }
+
+      for (const key of step.inputs || []) {
+        if (!String(key).includes('${')) memoryKeys.add(String(key));
+      }
+
+      if (step.output !== undefined) {
+        if (typeof step.output !== 'string') {
+          errors.push(`Step ${id} output must be a memory key`);
+        } else if (!step.output.includes('${')) {
+          memoryKeys.add(step.output);
+        }
+      }
+
+      for (const field of ['task', 'description', 'command', 'approval', 'subtasks', 'output', 'inputs']) {
+        if (step[field] !== undefined) checkExpression(id, field, step[field]);
+      }
+
+      for (const field of ['when', 'if', 'foreach']) {
+        if (typeof step[field] === 'string') {
+          checkExpression(id, field, wrapExpression(step[field]));
+        }
+      }
+
+      switch (STEP_KINDS[kinds[0]]) {
+        case 'foreach':
+          if (step.as !== undefined && !/^[A-Za-z_]\w*$/.test(step.as)) {
+            errors.push(`Step ${id} loop variable ${step.as} is not a valid name`);
+          }
+          checkSteps(step.steps, `Step ${id}`);
+          break;
+        case 'branch':
+          checkSteps(step.then, `Step ${id} then`);
+          if (step.else !== undefined) checkSteps(step.else, `Step ${id} else`);
+          break;
+      }
+    }
+  };
+
+  checkSteps(definition.steps, 'Workflow');
+
+  for (const reference of references) {
+    if (reference.scope === 'inputs' && !inputs.includes(reference.name)) {
+      errors.push(`Step ${reference.stepId} ${reference.field} references unknown input ${reference.name}`);
+    }
+    if (reference.scope === 'memory' && !memoryKeys.has(reference.name)) {
+      errors.push(`Step ${reference.stepId} ${reference.field} references memory key ${reference.name} that no step reads or writes`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Helper functions
+ */
+
+function getStepKind(step) {
+  const field = Object.keys(STEP_KINDS).find(key => step[key] !== undefined);
+  return STEP_KINDS[field];
+}
+
+function resolveInputs(definition, provided) {
+  const declared = Array.isArray(definition.inputs)
+    ? Object.fromEntries(definition.inputs.map(name => [name, {}]))
+    : definition.inputs || {};
+
+  const inputs = {};
+
+  for (const [name, spec] of Object.entries(declared)) {
+    const config = spec && typeof spec === 'object' && !Array.isArray(spec) ? spec : { default: spec };
+
+    if (provided[name] !== undefined) {
+      inputs[name] = provided[name];
+    } else if (config.default !== undefined && config.default !== null) {
+      inputs[name] = config.default;
+    } else if (config.required) {
+      throw new Error(`Workflow ${definition.name} requires input ${name}`);
+    }
+  }
+
+  return { ...provided, ...inputs };
+}
+
+function wrapExpression(value) {
+  return /^\s*\$\{[\s\S]*\}\s*$/.test(value) ? value : `\${${value}}`;
+}
+
+function evaluateCondition(condition, scope) {
+  if (typeof condition !== 'string') return Boolean(condition);
+  return Boolean(interpolate(wrapExpression(condition), scope));
+}
+
+function extractExpressions(value) {
+  if (typeof value === 'string') {
+    return Array.from(value.matchAll(/\$\{([^}]*)\}/g), match => match[1]);
+  }
+  if (Array.isArray(value)) return value.flatMap(extractExpressions);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(extractExpressions);
+  return [];
+}
+
+/**
+ * Replace ${expression} placeholders. A string that is a single placeholder
+ * keeps the expression's value (so lists can feed foreach); otherwise values
+ * are spliced into the text.
+ */
+function interpolate(value, scope) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\s*\$\{([^}]*)\}\s*$/);
+    if (whole) {
+      return evaluateExpression(whole[1], scope);
+    }
+
+    return value.replace(/\$\{([^}]*)\}/g, (_, expression) => {
+      const result = evaluateExpression(expression, scope);
+      if (result === undefined || result === null) return '';
+      return typeof result === 'object' ? JSON.stringify(result) : String(result);
+    });
+  }
+
+  if (Array.isArray(value)) return value.map(item => interpolate(item, scope));
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, scope)]));
+  }
+
+  return value;
+}
+
+/**
+ * Expressions support paths (inputs.feature, steps.build.output[0]),
+ * string, number, boolean and null literals, comparisons (== != < <= > >=),
+ * && || ! and parentheses
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(==|!=|<=|>=|&&|\|\||[<>!()])|([A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*|\[\d+\])*))/y;
+
+  let position = 0;
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`Invalid expression "${expression}" at position ${position}`);
+    }
+
+    if (match[1] !== undefined) tokens.push({ type: 'literal', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'literal', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (match[3] !== undefined) tokens.push({ type: 'operator', value: match[3] });
+    else if (['true', 'false', 'null'].includes(match[4])) tokens.push({ type: 'literal', value: JSON.parse(match[4]) });
+    else tokens.push({ type: 'path', value: match[4] });
+
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree of { type, ... } nodes
+ */
+function parseExpression(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOperator('&&')) {
+      position++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isOperator('!')) {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    if (isOperator('==', '!=', '<', '<=', '>', '>=')) {
+      const operator = tokens[position++].value;
+      return { type: 'compare', operator, left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error(`Unexpected end of expression "${expression}"`);
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const node = parseOr();
+      if (!isOperator(')')) {
+        throw new Error(`Missing ) in expression "${expression}"`);
+      }
+      position++;
+      return node;
+    }
+
+    if (token.type === 'operator') {
+      throw new Error(`Unexpected ${token.value} in expression "${expression}"`);
+    }
+
+    return token;
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${tokens[position].value} in expression "${expression}"`);
+  }
+
+  return tree;
+}
+
+function evaluateExpression(expression, scope) {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'literal': return node.value;
+      case 'path': return resolvePath(node.value, scope);
+      case 'not': return !evaluate(node.operand);
+      case 'and': return evaluate(node.left) && evaluate(node.right);
+      case 'or': return evaluate(node.left) || evaluate(node.right);
+      case 'compare': return compare(node.operator, evaluate(node.left), evaluate(node.right));
+    }
+  };
+
+  return evaluate(parseExpression(expression));
+}
+
+function resolvePath(path, scope) {
+  const parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+  return parts.reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), scope);
+}
+
+function compare(operator, left, right) {
+  // Loose equality between numbers and numeric strings, strict otherwise
+  const equal = left === right || (left !== null && right !== null && left !== undefined && right !== undefined &&
+    typeof left !== 'object' && typeof right !== 'object' && String(left) === String(right));
+
+  switch (operator) {
+    case '==': return equal;
+    case '!=': return !equal;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+  }
+}
+
+export default WorkflowEngine;